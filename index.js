@@ -1,14 +1,176 @@
-var { parse } = require('node-sqlparser');
+var { parse, bind, stringify, findStatements, locateError } = require('./lib/parser');
+var { evaluate, truth, compare, hasAggregate, valueKey, transform, getColumn, outerName } = require('./lib/expression');
+var { Functions } = require('./lib/functions');
+var { Transaction } = require('./lib/transaction');
+var { Index, findRows, joinKeys, hashJoin } = require('./lib/indexes');
+var { tableDefinition, alterDefinition, describeColumns, columnDefinition, coerceValue, coerceRow, checkRow, checkKeys, tableKeys, keyValue, keyError } = require('./lib/schema');
+var { Result, valuesType, expressionType } = require('./lib/result');
+var { Migrator, loadMigrations } = require('./lib/migrations');
+var { iterate, filterMap, take, collect, each, readable } = require('./lib/stream');
+var { splitPredicate, conjoin, usedColumns } = require('./lib/predicate');
+var { SQLError, UnsupportedFeatureError, QueryError, DriverError, callDriver } = require('./lib/errors');
+var { TableCache } = require('./lib/cache');
+var { performance } = require('perf_hooks');
+
+/**
+ * The database of the virtual tables describing the tables and columns
+ */
+const INFORMATION_SCHEMA = 'information_schema';
+
+function isSchemaTable(from) {
+    return !!from.db && from.db.toLowerCase() === INFORMATION_SCHEMA;
+}
+
+/**
+ * Lists the tables and views a statement reads, including those read by
+ * its derived tables and subqueries
+ *
+ * @param {any} sqlobj
+ * @returns {Set<string>}
+ */
+function referencedTables(sqlobj) {
+    let names = new Set();
+    let walk = (node) => {
+        if (node === null || typeof node !== 'object') return;
+        if (Array.isArray(node)) return node.forEach(walk);
+        if (Array.isArray(node.from)) {
+            node.from.forEach(from => {
+                if (from.table && !isSchemaTable(from)) names.add(from.table);
+            });
+        }
+        for (let key in node) {
+            if (typeof node[key] === 'object') walk(node[key]);
+        }
+    };
+    walk(sqlobj);
+    return names;
+}
+
+/**
+ * The error for a view which reads itself
+ *
+ * @param {Array<string>} path The views expanded, each reading the next
+ * @param {string} view The view read again
+ * @returns {SQLError}
+ */
+function viewCycleError(path, view) {
+    let cycle = path.slice(path.indexOf(view)).concat(view);
+    return new SQLError("View " + view + " refers to itself: " + cycle.join(" -> "));
+}
+
+/**
+ * Gives a function which makes a row of a table have the columns of the
+ * table's definition, in order. The fields left by a dropped or renamed
+ * column are left out, and a column the row has no field for is NULL.
+ *
+ * @param {Array<{name:string}>|null} definition The table definition, null if it is not known
+ * @returns {function(any):any}
+ */
+function projection(definition) {
+    if (!definition) return row => row;
+    let names = definition.map(column => column.name);
+    return row => {
+        let keys = Object.keys(row);
+        if (keys.length === names.length && keys.every((key, n) => key === names[n])) return row;
+        let projected = {};
+        for (let name of names) {
+            projected[name] = row[name] === undefined ? null : row[name];
+        }
+        return projected;
+    };
+}
+
+/**
+ * The key DISTINCT compares selected rows by
+ */
+function fieldsKey(fields) {
+    return JSON.stringify(Object.keys(fields).map(key => valueKey(fields[key])));
+}
+
+/**
+ * The milliseconds since a time taken from performance.now()
+ */
+function elapsed(start) {
+    return Math.round((performance.now() - start) * 1000) / 1000;
+}
+
+/**
+ * Describes the tables of a FROM clause and how they are joined. Given the
+ * trace of a run, each table also says how it was read and joined.
+ *
+ * @param {Array<any>} from The FROM clause
+ * @param {Array<{access:string,rows:number,join?:string,joined?:number}>} trace What happened to each table
+ * @returns {string}
+ */
+function describeFrom(from, trace = null) {
+    return from.map((table, n) => {
+        let text = table.expr ? "(" + table.expr.text + ")" : (table.db ? table.db + "." : "") + table.table;
+        if (table.as) text += " " + table.as;
+        if (n > 0) {
+            text = (table.join || "JOIN") + " " + text;
+            if (table.on) text += " ON " + stringify(table.on);
+            if (table.using) text += " USING (" + table.using.join(", ") + ")";
+        }
+        let traced = trace && trace[n];
+        if (traced) {
+            let notes = [traced.access + ", " + traced.rows + " rows"];
+            if (traced.join) notes.push(traced.join + " join, " + traced.joined + " rows");
+            text += " (" + notes.join("; ") + ")";
+        }
+        return text;
+    }).join(" ");
+}
+
+/**
+ * Describes a statement other than a SELECT by what it does and the table
+ * it does it to
+ */
+function describeStatement(sqlobj) {
+    let stage = sqlobj.type === 'transaction' ? sqlobj.action.toUpperCase() : sqlobj.type.toUpperCase().replace('_', ' ');
+    let name = sqlobj.table || (sqlobj.from && sqlobj.from[0].table) || (sqlobj.name && (sqlobj.name.table || sqlobj.name)) || '';
+    let detail = sqlobj.where ? (name + " WHERE " + stringify(sqlobj.where)).trim() : name;
+    return { stage: stage, detail: detail };
+}
 
 const ExtendedSyntax = {
+    "DROP_INDEX": {
+        re: /^\s*DROP\s+INDEX\s+(IF\s+EXISTS\s+)?(\S+?)(?:\s+ON\s+(\S+?))?\s*;?\s*$/i,
+        convert: function(sql) {
+            if (this.re.test(sql)) {
+                var match = this.re.exec(sql);
+                return {
+                    type: "drop_index",
+                    ifExists: !!match[1],
+                    name: match[2],
+                    table: match[3] || null
+                }
+            }
+            return false;
+        }
+    },
+    "DROP_VIEW": {
+        re: /^\s*DROP\s+VIEW\s+(IF\s+EXISTS\s+)?(\S+?)\s*;?\s*$/i,
+        convert: function(sql) {
+            if (this.re.test(sql)) {
+                var match = this.re.exec(sql);
+                return {
+                    type: "drop_view",
+                    ifExists: !!match[1],
+                    name: match[2]
+                }
+            }
+            return false;
+        }
+    },
     "DROP": {
-        re: /^\s*DROP\s+TABLE\s+(\S+)\s*;?$/i,
+        re: /^\s*DROP\s+TABLE\s+(IF\s+EXISTS\s+)?(\S+?)\s*;?\s*$/i,
         convert: function(sql) {
             if (this.re.test(sql)) {
                 var match = this.re.exec(sql);
                 return {
                     type: "drop_table",
-                    table: match[1]
+                    ifExists: !!match[1],
+                    table: match[2]
                 }
             }
             return false;
@@ -23,70 +185,48 @@ class AbstractDriver {
      * @param {any} where The where clause
      * @param {any} row The row of data as an JSON like object
      * @param {string|false} namespace If not false, the namespace or table name to prepend to each column name
+     * @param {Array<any>} group For HAVING, the rows of the group being tested
+     * @returns {boolean} True only if the clause evaluates to TRUE, FALSE and NULL do not match
      */
-    doWhere(where, row, namespace = false) {
-        if (where === null) return true;
-
-        var getVal = (obj) => { 
-            if (obj.type === "column_ref") {
-                let field = namespace ? obj.table + "." + obj.column : obj.column
-                return row[field];
-            }
-            if (obj.type === "binary_expr") return this.doWhere(obj, row);
-            return obj.value;
-        }
-
-        var replaceIfNotPrecededBy = (notPrecededBy, replacement) => {
-            return function(match) {
-                return match.slice(0, notPrecededBy.length) === notPrecededBy
-                ? match
-                : replacement;
-            }
-        }
-
-        var like2RegExp = (like) => {
-            var restring = like;
-            restring = restring.replace(/([\.\*\?\$\^])/g, "\\$1");
-            restring = restring.replace(/(?:\\)?%/g, replaceIfNotPrecededBy('\\', '.*?'));
-            restring = restring.replace(/(?:\\)?_/g, replaceIfNotPrecededBy('\\', '.'));
-            restring = restring.replace('\\%', '%');
-            restring = restring.replace('\\_', '_');
-            return new RegExp('^' + restring + '$');
-        }
-
-        switch (where.type) {
-            case "binary_expr":
-                switch(where.operator) {
-                    case "=":
-                        return getVal(where.left) == getVal(where.right);
-                    case "!=":
-                    case "<>":
-                        return getVal(where.left) != getVal(where.right);
-                    case "<":
-                        return getVal(where.left) < getVal(where.right);
-                    case "<=":
-                        return getVal(where.left) <= getVal(where.right);
-                    case ">":
-                        return getVal(where.left) > getVal(where.right);
-                    case ">=":
-                        return getVal(where.left) >= getVal(where.right);
-                    case "AND":
-                        return getVal(where.left) && getVal(where.right);
-                    case "OR":
-                        return getVal(where.left) && getVal(where.right);
-                    case "IS":
-                        return getVal(where.left) === getVal(where.right)
-                    case "LIKE":
-                        return like2RegExp(getVal(where.right)).test(getVal(where.left)) === true;
-                    case "NOT LIKE":
-                        return like2RegExp(getVal(where.right)).test(getVal(where.left)) === false;
-                    default:
-                        return false;
-                }
-                break;
-            default:
-                return false;
+    doWhere(where, row, namespace = false, group = null) {
+        if (where === null || where === undefined) return true;
+        return truth(this.evaluate(where, row, namespace, group)) === true;
+    }
+
+    /**
+     * Evaluates an expression against a given row
+     * @param {any} expr The expression tree
+     * @param {any} row The row of data as an JSON like object
+     * @param {string|false} namespace If not false, column names in the row are prepended with their table name
+     * @param {Array<any>} group The rows aggregate functions are calculated over, null outside of aggregate queries
+     * @returns {any} The value of the expression, null for SQL NULL
+     */
+    evaluate(expr, row, namespace = false, group = null) {
+        return evaluate(expr, {
+            row: row,
+            namespace: namespace,
+            functions: this.functions || Functions,
+            group: group,
+            outer: this.outerValues || null,
+            subquery: (select, scope) => this.runSubquery(select, scope)
+        });
+    }
+
+    /**
+     * Registers a scalar function which can be called from any clause of the
+     * SQL run by this driver. Replaces a built in function of the same name.
+     * 
+     * @param {string} name The function name, case insensitive
+     * @param {function(...any):any} fn Called with the evaluated arguments, SQL NULL is passed as null
+     */
+    registerFunction(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error("registerFunction requires a function for " + name);
         }
+        if (!Object.prototype.hasOwnProperty.call(this, 'functions')) {
+            this.functions = Object.create(Functions);
+        }
+        this.functions[name.toUpperCase()] = fn;
     }
 
     /**
@@ -96,453 +236,2431 @@ class AbstractDriver {
      * @param {object} sqlobj 
      * @param {Array} data 
      * @param {object} row 
+     * @param {boolean} namespace If true, the column names include their table name
+     * @param {Array<object>} group For aggregate queries, the rows of the group which row represents
      */
-    chooseFields(sqlobj, data, row, namespace = false) {
+    chooseFields(sqlobj, data, row, namespace = false, group = null) {
         if (sqlobj.columns === "*") {
             data.push(row);
             return;
         }
 
-        let isAggregate = sqlobj.columns.some((col) => { return col.expr.type === 'aggr_func'; });
+        let result = {};
+        for (let col of sqlobj.columns) {
+            let name = this.columnName(col, namespace);
+            result[name] = this.evaluate(col.expr, row, namespace, group);
+            if (result[name] === undefined) result[name] = null;
+        }
+        data.push(result);
+    }
 
-        if (isAggregate === true) {
-            var groupby = () => {
-                if (sqlobj.groupby == null) {
-                    if (data.length < 1) {
-                        data.push({});
-                    }
-                    return 0
-                };
-                let result = data.findIndex(drow => {
-                    return sqlobj.groupby.every(group => drow[group.column] == row[group.column]);
-                });
+    /**
+     * The name of a selected column in the result rows
+     * 
+     * @param {{expr:any,as:string|null}} col The column from the select list
+     * @param {boolean} namespace If true, the column names include their table name
+     * @returns {string}
+     */
+    columnName(col, namespace = false) {
+        if (col.as) {
+            return col.as;
+        }
+        if (col.expr.type === 'column_ref') {
+            return namespace && col.expr.table ? col.expr.table + "." + col.expr.column : col.expr.column;
+        }
+        return stringify(col.expr);
+    }
 
-                if (result == -1) {
-                    data.push({});
-                    return data.length - 1;
-                }
-                return result;
-            }
-            var index = groupby();
-
-            for (let col of sqlobj.columns) {
-                let name;
-                switch(col.expr.type) {
-                    case 'column_ref':
-                        name = col.as || col.expr.column;
-                        data[index][name] = row[col.expr.column];
-                        break;
-                    case 'aggr_func': 
-                        name = col.as || col.expr.name.toUpperCase() + "(" + col.expr.args.expr.column + ")";
-                        
-                        switch(col.expr.name.toUpperCase()) {
-                            case 'SUM':
-                                if (data[index][name] === undefined) {
-                                    data[index][name] = 0;
-                                }
-                                data[index][name] += row[col.expr.args.expr.column];
-                                break;
-                            case 'COUNT':
-                                if (data[index][name] === undefined) {
-                                    data[index][name] = 0;
-                                }
-                                data[index][name]++;
-                                break;
-                        }
-                        break;
-                }
-            }
-        } else {
-            let result = {};
-            for (let col of sqlobj.columns) {
-                let name = col.as || (namespace ? col.expr.table + "." + col.expr.column : col.expr.column);
-                result[name] = row[namespace ? col.expr.table + "." + col.expr.column : col.expr.column];
-                if (result[name] === undefined) result[name] = null;
+    /**
+     * Splits the rows of an aggregate query into groups according to the
+     * GROUP BY clause. Without GROUP BY all rows form a single group, even
+     * when there are no rows.
+     * 
+     * @param {object} sqlobj 
+     * @param {Array<object>} rows 
+     * @param {boolean} namespace If true, the column names include their table name
+     * @returns {Array<Array<object>>}
+     */
+    groupRows(sqlobj, rows, namespace = false) {
+        if (!sqlobj.groupby) {
+            return [rows];
+        }
+
+        let groups = new Map();
+        for (let row of rows) {
+            let key = JSON.stringify(sqlobj.groupby.map(expr => valueKey(this.evaluate(expr, row, namespace))));
+            if (!groups.has(key)) {
+                groups.set(key, []);
             }
-            data.push(result);
+            groups.get(key).push(row);
         }
+        return Array.from(groups.values());
     }
-    
+
     /**
-     * Joins two tables
+     * Joins two tables. Rows of an outer join which match nothing have the
+     * columns of the other table set to NULL.
      * 
      * @param {Array<any>} dest The destination table, the join will perfer this table
      * @param {Array<any>} src The source table, the join will pick from this table
+     * @param {any} query The ON condition, null to join every pair of rows
      * @param {boolean} includeAllDest If true, all rows in the destination table will be included in the results
      * @param {boolean} includeAllSrc If true, all rows in the source table will be included in the results
      * @param {boolean} namespace If true, the column names include their table name
+     * @param {Array<string>} destColumns The columns of the destination table, set to NULL for source rows which match nothing
+     * @param {Array<string>} srcColumns The columns of the source table, set to NULL for destination rows which match nothing
+     * @param {{join?:string,joined?:number}} trace If given, records whether a hash join or a nested loop was used, and the rows it produced
      */
-    join(dest, src, query, includeAllDest, includeAllSrc, namespace = false) {
+    join(dest, src, query, includeAllDest, includeAllSrc, namespace = false, destColumns = [], srcColumns = [], trace = null) {
         var rows = [];
 
-        let destRows = dest.map(row => {
-            return { used: false, row: row };
-        });
+        // rows which can only match on equal values of = conditions are paired up with a hash join
+        let matches = null;
+        if (query && dest.length && src.length) {
+            let names = (table, columns) => {
+                let names = new Set(columns);
+                table.forEach(row => Object.keys(row).forEach(key => names.add(key)));
+                return names;
+            };
+            let destNames = names(dest, destColumns), srcNames = names(src, srcColumns);
+            let has = (names, ref) => {
+                if (ref.table) return names.has(ref.table + "." + ref.column);
+                if (names.has(ref.column)) return true;
+                for (let name of names) {
+                    if (name.slice(-ref.column.length - 1) === "." + ref.column) return true;
+                }
+                return false;
+            };
+            let keys = joinKeys(query, ref => {
+                let inDest = has(destNames, ref), inSrc = has(srcNames, ref);
+                return inDest === inSrc ? null : (inDest ? 'dest' : 'src');
+            });
+            if (keys.length) {
+                matches = hashJoin(dest, src, keys, (expr, row) => this.evaluate(expr, row, namespace));
+            }
+        }
 
-        let srcRows = src.map(row => {
-            return { used: false, row: row };
-        });
+        let nulls = (columns) => {
+            let row = {};
+            for (let column of columns) row[column] = null;
+            return row;
+        };
+        let srcUsed = includeAllSrc ? src.map(() => false) : null;
 
-        for (let destRow of destRows) {
+        for (let n = 0; n < dest.length; n++) {
+            let used = false;
+            let candidates = matches ? matches[n] : src.map((row, m) => m);
 
-            for (let srcRow of srcRows) {
-                var bigrow = {}
-                for (var k in destRow.row) { bigrow[k] = destRow.row[k]; }
-                for (var k in srcRow.row) { bigrow[k] = srcRow.row[k]; }
+            for (let m of candidates) {
+                var bigrow = Object.assign({}, dest[n], src[m]);
                 if (this.doWhere(query, bigrow, namespace)) {
                     rows.push(bigrow);
-                    destRow.used = true;
-                    srcRow.used = true;
+                    used = true;
+                    if (srcUsed) srcUsed[m] = true;
                 }
             }
+            if (!used && includeAllDest) {
+                rows.push(Object.assign({}, dest[n], nulls(srcColumns)));
+            }
         }
 
-        if (includeAllDest) {
-            destRows.filter(row => row.used == false).map(row => rows.push(row.row));
-        }
         if (includeAllSrc) {
-            srcRows.filter(row => row.used == false).map(row => rows.push(row.row));
+            src.forEach((row, m) => {
+                if (!srcUsed[m]) rows.push(Object.assign(nulls(destColumns), row));
+            });
         }
 
+        if (trace) {
+            trace.join = matches ? 'hash' : 'nested loop';
+            trace.joined = rows.length;
+        }
         return rows;
     }
 
     /**
-     * Performs an SQL SELECT
+     * Sorts rows in place according to an ORDER BY clause. By default NULLs
+     * sort before any other value, so they come first in ascending order and
+     * last in descending order, unless NULLS FIRST or NULLS LAST is given.
      * 
-     * @param {any} sqlobj
+     * @param {Array<any>} rows The rows to sort
+     * @param {Array<{expr:any,type:string,nulls?:string}>} orderby The ORDER BY clause
+     * @param {function(any, {expr:any}):any} valueOf Returns the value of an ORDER BY item for one of the rows
      */
-    doSelect(sqlobj) {
-        return new Promise((resolve, reject) => {
-            let promises = [];
-            let namespace = sqlobj.from.length > 1;
-            
-            for (let n = 0; n < sqlobj.from.length; n++) {
-                promises.push(this.load(sqlobj.from[n].table));
-            }
-            Promise.all(promises).then((tableset) => {
-                var tables = tableset.map((table, n) => {
-                    var rows = Object.values(table);
-                    var result = {
-                        from: sqlobj.from[n],
-                        name: sqlobj.from[n].table,
-                        rows: []
-                    }
-                    if (namespace) {
-                        result.rows = rows.map(row => {
-                            var nsRow = {}
-                            for (var key in row) {
-                                nsRow[sqlobj.from[n].table + "." + key] = row[key];
-                            }
-                            return nsRow;
-                        });
-                    } else {
-                        result.rows = rows;
-                    }
-                    return result
-                });
-
-                while (tables.length > 1) {
-                    // take the second table and merge it into the first according to the join rules
-                    switch(tables[1].from.join) {
-                        case 'INNER JOIN':
-                            tables[0].rows = this.join(tables[0].rows, tables[1].rows, tables[1].from.on, false, false, namespace);
-                            break;
-                        case 'LEFT JOIN':
-                            tables[0].rows = this.join(tables[0].rows, tables[1].rows, tables[1].from.on, true, false, namespace);
-                            break;
-                        case 'RIGHT JOIN':
-                            tables[0].rows = this.join(tables[0].rows, tables[1].rows, tables[1].from.on, false, true, namespace);
-                            break;
-                        case 'FULL JOIN':
-                            tables[0].rows = this.join(tables[0].rows, tables[1].rows, tables[1].from.on, true, true, namespace);
-                            break;
-                    }
-                    tables.splice(1,1);
-                }
+    sortRows(rows, orderby, valueOf) {
+        let keyed = rows.map((row, index) => {
+            return { row: row, index: index, keys: orderby.map(orderer => valueOf(row, orderer)) };
+        });
 
-                // the join has been performed, now this is a big table treat it as such
-                let result = [];
-                
-                let resultRows = tables[0].rows.filter(row => this.doWhere(sqlobj.where, row, namespace));
+        keyed.sort((a, b) => {
+            for (let n = 0; n < orderby.length; n++) {
+                let orderer = orderby[n];
+                let x = a.keys[n], y = b.keys[n];
+                let xNull = x === null || x === undefined, yNull = y === null || y === undefined;
 
-                if (sqlobj.orderby) {
-                    resultRows.sort((a, b) => {
-                        for (let orderer of sqlobj.orderby) {
-                            let column = namespace ? orderer.expr.table + "." + orderer.expr.column : orderer.expr.column;
-                            if (orderer.expr.type !== 'column_ref') {
-                                throw new Error("ORDER BY only supported for columns, aggregates are not supported");
-                            }
+                if (xNull || yNull) {
+                    if (xNull && yNull) continue;
+                    let nullsFirst = orderer.nulls ? orderer.nulls === 'FIRST' : orderer.type != 'DESC';
+                    return xNull === nullsFirst ? -1 : 1;
+                }
 
-                            if (a[column] > b[column]) {
-                                return orderer.type == 'ASC' ? 1 : -1;
-                            }
-                            if (a[column] < b[column]) {
-                                return orderer.type == 'ASC' ? -1 : 1;
-                            }
-                        }
-                        return 0;
-                    });
+                let cmp = compare(x, y);
+                if (cmp > 0) {
+                    return orderer.type == 'DESC' ? -1 : 1;
                 }
+                if (cmp < 0) {
+                    return orderer.type == 'DESC' ? 1 : -1;
+                }
+            }
+            return a.index - b.index;
+        });
 
-                resultRows.map(row => this.chooseFields(sqlobj, result, row, namespace));
+        keyed.forEach((item, n) => rows[n] = item.row);
+    }
 
-                if (sqlobj.limit) {
-                    if (sqlobj.limit.length !== 2) {
-                        throw new Error("Invalid LIMIT expression: Use LIMIT [offset,] number");
-                    }
-                    let offs = parseInt(sqlobj.limit[0].value);
-                    let len = parseInt(sqlobj.limit[1].value);
-                    result = result.slice(offs, offs + len);
-                }
+    /**
+     * Replaces references to column labels from the select list with the
+     * labelled expression, so HAVING and ORDER BY can use labels.
+     * 
+     * @param {any} expr The expression to resolve
+     * @param {any} sqlobj The SELECT statement
+     * @returns {any} The expression with labels replaced
+     */
+    resolveAliases(expr, sqlobj) {
+        if (sqlobj.columns === '*') return expr;
 
-                resolve(result);
-            });
+        let aliases = {};
+        for (let col of sqlobj.columns) {
+            if (col.as) aliases[col.as] = col.expr;
+        }
+        return transform(expr, node => {
+            if (node.type === 'column_ref' && !node.table && Object.prototype.hasOwnProperty.call(aliases, node.column)) {
+                return aliases[node.column];
+            }
         });
     }
 
     /**
-     * Performs an SQL UPDATE.
+     * Loads the tables in the FROM clause and joins them into a single
+     * set of rows. When more than one table is involved, each column is
+     * prefixed with its table alias, or its table name if it has none.
      * 
-     * @param {function} resolve 
-     * @param {function} reject 
-     * @param {any} sqlobj
-     * @returns {Promise<Array<string|number>>} 
+     * @param {any} sqlobj The SELECT statement
+     * @param {boolean} namespace If true, the column names include their table name
+     * @param {Array<any>} trace If given, records how each table was read and joined
+     * @returns {Promise<Array<any>>}
      */
-    doUpdate(sqlobj) {
-        return new Promise((resolve, reject) => {
-            this.load(sqlobj.table).then((table) => {
-                let rows = [];
-                let promises = [];
-                let updateObj = {};
+    joinTables(sqlobj, namespace, trace = null) {
+        return this.loadFrom(sqlobj, namespace, true, false, trace).then(tableset => this.joinRows(sqlobj, tableset, namespace, trace));
+    }
 
-                for (let item of sqlobj.set) {
-                    updateObj[item.column] = item.value.value;
-                }
+    /**
+     * Loads the rows of each table in the FROM clause, running the SELECT
+     * of a derived table or a view. The column names of the tables are listed when
+     * they are namespaced, or when asked for. The rows of a table whose
+     * definition is known have its columns, and only those.
+     * 
+     * @param {any} sqlobj The SELECT statement
+     * @param {boolean} namespace If true, the column names are needed to join the tables
+     * @param {boolean} useIndexes If true, a single table is narrowed down to the rows its WHERE clause may match, by the driver's loadWhere or an index
+     * @param {boolean} listColumns If true, the column names are always listed
+     * @param {Array<{access:string,rows:number}>} trace If given, records how each table was read and the rows read
+     * @returns {Promise<Array<{rows:Array<any>,columns:Array<string>|null}>>}
+     */
+    loadFrom(sqlobj, namespace, useIndexes, listColumns = false, trace = null) {
+        if (!sqlobj.from) {
+            return Promise.resolve([]);
+        }
 
-                for (let row_id in table) {
-                    if (this.doWhere(sqlobj.where, table[row_id]) === true) {
-                        promises.push(this.store(sqlobj.table, row_id, updateObj));
-                        rows.push(row_id);
-                    }
+        let accesses = [];
+        // a derived table is part of the views the statement was expanded from
+        let expanded = sqlobj.expanded || [];
+        let load = (from, n) => {
+            if (from.expr) {
+                accesses[n] = 'subquery';
+                return this.doSelect(expanded.length ? Object.assign({}, from.expr, { expanded: expanded }) : from.expr);
+            }
+            if (isSchemaTable(from)) {
+                accesses[n] = INFORMATION_SCHEMA;
+                return this.loadSchemaTable(from.table);
+            }
+            return this.getView(from.table).then(view => {
+                if (view) {
+                    accesses[n] = 'view';
+                    return this.selectView(view, expanded);
                 }
-                Promise.all(promises).then((values) => {
-                    resolve(rows);
-                }).catch((reason) => {
-                    reject(reason);
+                let filter = useIndexes && sqlobj.from.length === 1;
+                let used = [sqlobj.columns, sqlobj.where, sqlobj.groupby, sqlobj.having, sqlobj.orderby];
+                let scan = filter
+                    ? this.scanTable(from.table, sqlobj.where, from.as, used)
+                    : this.openStream(from.table).then(stream => stream ? { rows: stream, where: null, access: 'loadStream' } : null);
+                return Promise.all([scan, this.getDefinition(from.table)]).then(([scanned, definition]) => {
+                    let project = projection(definition);
+                    accesses[n] = scanned ? scanned.access : (this.cache && this.cache.has(from.table) ? 'cache' : 'load');
+                    if (scanned) {
+                        // only the rows the WHERE clause matches are kept
+                        return collect(filterMap(scanned.rows, ([key, row]) => {
+                            row = project(row);
+                            return this.doWhere(scanned.where, row) ? row : undefined;
+                        }));
+                    }
+                    return this.loadTable(from.table).then(table => {
+                        if (!filter || !sqlobj.where) {
+                            return Object.values(table).map(project);
+                        }
+                        return this.findRows(from.table, table, sqlobj.where, from.as).then(keys => keys.map(key => project(table[key])));
+                    });
                 });
             });
+        };
+        let columns = (from, rows) => Promise.resolve(from.expr || isSchemaTable(from) ? null : this.getDefinition(from.table)).then(definition => {
+            let names = new Set(definition ? definition.map(column => column.name) : []);
+            rows.forEach(row => Object.keys(row).forEach(key => names.add(key)));
+            return Array.from(names);
         });
+
+        return Promise.all(sqlobj.from.map((from, n) => load(from, n).then(rows => {
+            if (trace) trace[n] = { access: accesses[n], rows: rows.length };
+            if (!namespace && !listColumns) return { rows: rows, columns: null };
+            return columns(from, rows).then(names => ({ rows: rows, columns: names }));
+        })));
     }
 
     /**
-     * Performs an SQL INSERT
+     * Joins the loaded tables of a FROM clause
      * 
-     * @param {function} resolve 
-     * @param {function} reject 
-     * @param {any} sqlobj 
-     * @returns {Promise<Array<string|number>}
+     * @param {any} sqlobj The SELECT statement
+     * @param {Array<{rows:Array<any>,columns:Array<string>|null}>} tableset The loaded tables
+     * @param {boolean} namespace If true, the column names include their table name
+     * @param {Array<{join?:string,joined?:number}>} trace If given, records how each table was joined
+     * @returns {Array<any>}
      */
-    doInsert(sqlobj) {
-        return new Promise((resolve, reject) => {
-            let rows = [];
-            for (let i = 0; i < sqlobj.values.length; i++) {
-                let data = {};
-                for (let n = 0; n < sqlobj.columns.length; n++) {
-                    data[sqlobj.columns[n]] = sqlobj.values[i].value[n].value;
-                }
-                
-                rows.push(this.store(sqlobj.table, null, data));
+    joinRows(sqlobj, tableset, namespace, trace = null) {
+        if (!sqlobj.from) {
+            // SELECT without FROM works on a single empty row
+            return [{}];
+        }
+
+        var tables = tableset.map((loaded, n) => {
+            let from = sqlobj.from[n];
+            let prefix = (from.as || from.table) + ".";
+            var result = {
+                from: from,
+                name: from.as || from.table,
+                rows: loaded.rows,
+                columns: []
             }
-            Promise.all(rows).then((values) => {
-                resolve(values);
-            }).catch((reason) => {
-                reject(reason);
-            });
+            if (namespace) {
+                result.rows = loaded.rows.map(row => {
+                    var nsRow = {}
+                    for (var key in row) {
+                        nsRow[prefix + key] = row[key];
+                    }
+                    return nsRow;
+                });
+                result.columns = loaded.columns.map(name => prefix + name);
+            }
+            return result
         });
+
+        let joined = tables[0];
+        for (let table of tables.slice(1)) {
+            let on = table.from.on;
+            if (table.from.using) {
+                on = this.usingCondition(joined, table);
+            }
+
+            // merge the next table into the tables joined so far according to the join rules
+            let includeAllDest = table.from.join === 'LEFT JOIN' || table.from.join === 'FULL JOIN';
+            let includeAllSrc = table.from.join === 'RIGHT JOIN' || table.from.join === 'FULL JOIN';
+            let traced = trace ? trace[tables.indexOf(table)] : null;
+            joined.rows = this.join(joined.rows, table.rows, on || null, includeAllDest, includeAllSrc, namespace, joined.columns, table.columns, traced);
+            joined.columns = joined.columns.concat(table.columns);
+
+            if (table.from.using) {
+                // a USING column can be named without its table, with the value from whichever table has one
+                for (let row of joined.rows) {
+                    for (let ref of on.columns) {
+                        let left = row[ref.left], right = row[ref.right];
+                        row[ref.column] = left === null || left === undefined ? right : left;
+                    }
+                }
+            }
+        }
+
+        return joined.rows;
     }
 
     /**
-     * Performs an SQL DELETE.
+     * Builds the ON condition for a join with USING(column, ...), comparing
+     * each column of the joined table with the same column of the first
+     * table joined so far which has it
      * 
-     * @param {function} resolve 
-     * @param {function} reject 
-     * @param {any} sqlobj 
-     * @returns {Promise<Array<string|number>>}
+     * @param {{name:string,columns:Array<string>}} joined The tables joined so far
+     * @param {{name:string,columns:Array<string>,from:any}} table The table being joined
+     * @returns {any} The condition, with a columns list of {column, left, right} for each USING column
      */
-    doDelete(sqlobj) {
-        return new Promise((resolve, reject) => {
-            this.load(sqlobj.from[0].table).then((table) => {
-                let promises = [], rowIds = [];
-                for (let row_id in table) { 
-                    if (this.doWhere(sqlobj.where, table[row_id]) === true) {
-                        rowIds.push(row_id);
-                        promises.push(this.remove(sqlobj.from[0].table, row_id));
-                    }
-                }
-                Promise.all(promises).then(() => {
-                    resolve(rowIds);
-                }).catch((reason) => {
-                    reject(reason);
-                });
+    usingCondition(joined, table) {
+        let condition = null;
+        let columns = [];
+        for (let column of table.from.using) {
+            let left = joined.columns.find(name => name.slice(-column.length - 1) === "." + column);
+            let right = table.name + "." + column;
+            if (left === undefined || table.columns.indexOf(right) < 0) {
+                throw new QueryError("Column " + column + " in USING is not in both tables");
+            }
+            let split = left.lastIndexOf(".");
+            let compare = {
+                type: 'binary_expr',
+                operator: '=',
+                left: { type: 'column_ref', table: left.slice(0, split), column: column },
+                right: { type: 'column_ref', table: table.name, column: column }
+            };
+            condition = condition ? { type: 'binary_expr', operator: 'AND', left: condition, right: compare } : compare;
+            columns.push({ column: column, left: left, right: right });
+        }
+        condition.columns = columns;
+        return condition;
+    }
+
+    /**
+     * Plans an SQL SELECT as a list of stages, run in order:
+     * FROM/JOIN, WHERE, GROUP BY, HAVING, SELECT, DISTINCT, ORDER BY and LIMIT.
+     * 
+     * Each stage receives the items produced by the one before and returns
+     * the items for the next. An item is {row, group, fields}: the source
+     * row, the rows of its group for aggregate queries, and once the SELECT
+     * stage has run, the selected fields.
+     * 
+     * Only the FROM stage returns a promise, unless the tables have already
+     * been loaded, in which case every stage runs synchronously. Each stage
+     * has a detail describing what it does, which EXPLAIN lists.
+     * 
+     * @param {any} sqlobj
+     * @param {Array<{rows:Array<any>,columns:Array<string>|null}>} tableset The tables of the FROM clause, if already loaded
+     * @param {Array<any>} trace If given, the FROM stage records how each table was read and joined
+     * @returns {Array<{name:string,detail:string,run:function(Array<any>):Array<any>|Promise<Array<any>>}>}
+     */
+    planSelect(sqlobj, tableset = null, trace = null) {
+        let namespace = !!sqlobj.from && sqlobj.from.length > 1;
+        let isAggregate = sqlobj.groupby || sqlobj.having || hasAggregate(sqlobj.columns) || hasAggregate(sqlobj.orderby);
+        let stages = [];
+        let items = (rows) => rows.map(row => {
+            return { row: row, group: null, fields: null };
+        });
+
+        stages.push({
+            name: 'FROM',
+            detail: sqlobj.from ? describeFrom(sqlobj.from) : '',
+            run: () => tableset ? items(this.joinRows(sqlobj, tableset, namespace, trace)) : this.joinTables(sqlobj, namespace, trace).then(items)
+        });
+
+        if (sqlobj.where) {
+            stages.push({
+                name: 'WHERE',
+                detail: stringify(sqlobj.where),
+                run: items => items.filter(item => this.doWhere(sqlobj.where, item.row, namespace))
+            });
+        }
+
+        if (isAggregate) {
+            stages.push({
+                name: 'GROUP BY',
+                detail: sqlobj.groupby ? sqlobj.groupby.map(stringify).join(", ") : '',
+                run: items => this.groupRows(sqlobj, items.map(item => item.row), namespace).map(group => {
+                    return { row: group[0] || {}, group: group, fields: null };
+                })
+            });
+        }
+
+        if (sqlobj.having) {
+            let having = this.resolveAliases(sqlobj.having, sqlobj);
+            stages.push({
+                name: 'HAVING',
+                detail: stringify(sqlobj.having),
+                run: items => items.filter(item => this.doWhere(having, item.row, namespace, item.group))
             });
+        }
+
+        stages.push({
+            name: 'SELECT',
+            detail: sqlobj.columns === '*' ? '*' : sqlobj.columns.map(col => this.columnName(col, namespace)).join(", "),
+            run: items => items.map(item => {
+                let fields = [];
+                this.chooseFields(sqlobj, fields, item.row, namespace, item.group);
+                item.fields = fields[0];
+                return item;
+            })
         });
+
+        if (sqlobj.distinct) {
+            stages.push({
+                name: 'DISTINCT',
+                detail: '',
+                run: items => {
+                    let seen = new Set();
+                    return items.filter(item => {
+                        let key = fieldsKey(item.fields);
+                        if (seen.has(key)) return false;
+                        seen.add(key);
+                        return true;
+                    });
+                }
+            });
+        }
+
+        if (sqlobj.orderby) {
+            // a bare integer orders by that position in the select list
+            let orderby = sqlobj.orderby.map(orderer => {
+                if (orderer.expr.type === 'number' && !orderer.expr.paren) {
+                    return Object.assign({}, orderer, { position: orderer.expr.value });
+                }
+                return Object.assign({}, orderer, { expr: this.resolveAliases(orderer.expr, sqlobj) });
+            });
+
+            stages.push({
+                name: 'ORDER BY',
+                detail: sqlobj.orderby.map(orderer => stringify(orderer.expr) + " " + orderer.type + (orderer.nulls ? " NULLS " + orderer.nulls : "")).join(", "),
+                run: items => {
+                    this.sortRows(items, orderby, (item, orderer) => {
+                        if (orderer.position !== undefined) {
+                            let values = Object.keys(item.fields).map(key => item.fields[key]);
+                            if (!Number.isInteger(orderer.position) || orderer.position < 1 || orderer.position > values.length) {
+                                throw new QueryError("ORDER BY position " + orderer.position + " is not in the select list");
+                            }
+                            return values[orderer.position - 1];
+                        }
+                        return this.evaluate(orderer.expr, item.row, namespace, item.group);
+                    });
+                    return items;
+                }
+            });
+        }
+
+        if (sqlobj.limit) {
+            stages.push({
+                name: 'LIMIT',
+                detail: sqlobj.limit.length === 2 ? stringify(sqlobj.limit[1]) + " OFFSET " + stringify(sqlobj.limit[0]) : '',
+                run: items => {
+                    let [offs, len] = this.limitRange(sqlobj);
+                    return items.slice(offs, offs + len);
+                }
+            });
+        }
+
+        return stages;
     }
 
     /**
-     * Performs an SQL CREATE
+     * Works out the offset and number of rows of a LIMIT clause
      * 
      * @param {any} sqlobj
-     * @returns {Promise<boolean>}
+     * @returns {Array<number>} [offset, count]
      */
-    doCreate(sqlobj) {
-        return new Promise((resolve, reject) => {
-            // create a new table definition
-            let columns = [];
-            let n = 0;
-            for (var col of sqlobj.columns) {
-                var column = {
-                    name: col.name,
-                    index: n++
-                }
-
-                switch (col.type.type.toUpperCase()) {
-                    case 'CHAR':
-                    case 'CHARACTER':
-                        column.type = 'string';
-                        column.pad = ' ';
-                        column.length = parseInt(col.type.args[0]);
-                        break;
-                    case 'VARCHAR':
-                        column.type = 'string';
-                        column.length = parseInt(col.type.args[0]);
-                        break;
-                    case 'BINARY':
-                    case 'VARBINARY':
-                        column.type = 'binary';
-                        column.length = parseInt(col.type.args[0]);
-                        break;
-                    case 'BOOLEAN':
-                        column.type = 'boolean';
-                        break;
-                    case 'INTEGER':
-                    case 'SMALLINT':
-                    case 'BIGINT':                
-                        column.type = 'integer';
-                        break;
-                    case 'DECIMAL':
-                    case 'NUMERIC':
-                    case 'FLOAT':
-                    case 'REAL':
-                    case 'DOUBLE':
-                        column.type = 'float';
-                        break;
-                    case 'DATE':
-                    case 'TIME':
-                    case 'TIMESTAMP':
-                        column.type = 'date';
-                        break;
-                    case 'INTERVAL':
-                    case 'ARRAY':
-                    case 'MULTISET':
-                    case 'XML':
-                        throw col.type.type.toUpperCase() + ' not yet supported';
-                    case 'TEXT':
-                        column.type = 'string';
-                        break;
-                }
-
-                columns.push(column);
-            }
-
-            this.create(sqlobj.name.table, columns).then(success => resolve(success));
-        });
-    }
-
-    /**
-     * Performs an SQL DROP
+    limitRange(sqlobj) {
+        if (sqlobj.limit.length !== 2) {
+            throw new QueryError("Invalid LIMIT expression: Use LIMIT [offset,] number or LIMIT number OFFSET offset");
+        }
+        return [parseInt(this.evaluate(sqlobj.limit[0], {})), parseInt(this.evaluate(sqlobj.limit[1], {}))];
+    }
+
+    /**
+     * Performs an SQL SELECT
      * 
      * @param {any} sqlobj
-     * @returns {Promise<boolean>}
+     * @returns {Promise<Array<any>>}
      */
-    doDrop(sqlobj) {
-        return this.drop(sqlobj.table);
+    doSelect(sqlobj) {
+        return this.streamSelect(sqlobj).then(rows => {
+            if (rows) {
+                return collect(rows);
+            }
+            return this.planSelect(sqlobj).reduce((previous, stage) => {
+                return previous.then(items => stage.run(items));
+            }, Promise.resolve([])).then(items => items.map(item => item.fields));
+        });
     }
 
     /**
-     * Runs the SQL statement
+     * Runs a SELECT of a single table streamed from loadWhere or loadStream
+     * as a pipeline: each row is tested against WHERE and its columns
+     * selected as it is read, and the stream is stopped once LIMIT has been
+     * reached. Queries which group or sort their rows are not streamed.
      * 
-     * @param {string} sql 
-     * @returns {Promise<array>} Promise of array of selected rows, updated rows, inserted rows, or deleted row Firebase keys
-     * @memberof Firebase
-     */
-    runSQL(sql) {
-        return new Promise((resolve, reject) => {
-            this.ready().then(() => {
-                // we are now authenticated
-                let sqlobj;
-                try {
-                    sqlobj = parse(sql);
-                } catch (err) {
-                    // look for syntax not supported by SQL parser
-                    sqlobj = false;
-                    for (var key in ExtendedSyntax) {
-                        if (ExtendedSyntax[key].re.test(sql)) {
-                            sqlobj = ExtendedSyntax[key].convert(sql);
-                        }
-                    }
-                    if (!sqlobj) {
-                        return reject(err)
-                    };
-                }
+     * @param {any} sqlobj
+     * @returns {Promise<{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}|null>} The selected rows, null if the query can not be streamed
+     */
+    streamSelect(sqlobj) {
+        let from = sqlobj.from && sqlobj.from.length === 1 ? sqlobj.from[0] : null;
+        if (!from || !from.table || isSchemaTable(from) || sqlobj.groupby || sqlobj.having || sqlobj.orderby || hasAggregate(sqlobj.columns)) {
+            return Promise.resolve(null);
+        }
 
-                switch(sqlobj.type) {
-                    case 'select':
-                        this.doSelect(sqlobj).then(rows => resolve(rows)).catch(err => reject(err));
-                        break;
-                    case 'update':
-                        this.doUpdate(sqlobj).then(ids => resolve(ids)).catch(err => reject(err));
-                        break;
-                    case 'insert':
-                        this.doInsert(sqlobj).then(ids => resolve(ids)).catch(err => reject(err));
-                        break;
-                    case 'delete':
-                        this.doDelete(sqlobj).then(ids => resolve(ids)).catch(err => reject(err));
-                        break;
-                    case 'create_table':
-                        this.doCreate(sqlobj).then(success => resolve(success)).catch(err => reject(err));
-                        break;
-                    case 'drop_table':
-                        this.doDrop(sqlobj).then(success => resolve(success)).catch(err => reject(err));
-                        break;
-                    default:
-                        reject("Invalid SQL syntax: " + sqlobj.type);
-                        break;
+        let range = null;
+        let project = null;
+        return Promise.all([this.getView(from.table), this.getDefinition(from.table)]).then(([view, definition]) => {
+            if (view) {
+                return null;
+            }
+            project = projection(definition);
+            range = sqlobj.limit ? this.limitRange(sqlobj) : null;
+            // DISTINCT can drop rows after they are loaded, so the driver is only told the limit without it
+            let limit = range && !sqlobj.distinct ? range[0] + Math.max(range[1], 0) : null;
+            return this.scanTable(from.table, sqlobj.where, from.as, [sqlobj.columns, sqlobj.where], limit);
+        }).then(scanned => {
+            if (!scanned) {
+                return null;
+            }
+            let seen = sqlobj.distinct ? new Set() : null;
+            let rows = filterMap(scanned.rows, ([key, row]) => {
+                row = project(row);
+                if (!this.doWhere(scanned.where, row)) return undefined;
+                let fields = [];
+                this.chooseFields(sqlobj, fields, row);
+                if (seen) {
+                    let key = fieldsKey(fields[0]);
+                    if (seen.has(key)) return undefined;
+                    seen.add(key);
                 }
+                return fields[0];
             });
+
+            if (range) {
+                let [offs, len] = range;
+                let skipped = 0;
+                rows = take(filterMap(rows, row => skipped++ < offs ? undefined : row), Math.max(len, 0));
+            }
+            return rows;
         });
     }
 
     /**
-     * Executes the passed SQL
+     * Opens a table as a stream of the [key, row] entries a WHERE clause
+     * may match, from the driver's loadWhere, or failing that its
+     * loadStream. The rows still need to be tested against the WHERE clause
+     * returned, which leaves out the conditions loadWhere handled.
      * 
-     * @param {string} sql 
-     * @returns {Promise<array>} Promise of array of selected rows, updated rows, inserted rows, or deleted row Firebase keys
-     * @memberof Firebase
+     * @param {string} name The table name
+     * @param {any} where The WHERE clause
+     * @param {string} alias The table alias
+     * @param {Array<any>|null} used The parts of the statement which use the table's columns, null if every column is needed
+     * @param {number|null} limit The number of matching rows needed, null for all of them
+     * @returns {Promise<{rows:{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>},where:any,access:string}|null>} The rows, the conditions left to test, and the method which read them, loadWhere or loadStream, or null if the table is not streamed
      */
-    execute(sql) {
-        return this.runSQL(sql);
+    scanTable(name, where, alias = null, used = null, limit = null) {
+        return this.pushdown(name, where, alias, used, limit).then(pushed => {
+            return pushed || this.openStream(name).then(stream => stream ? { rows: stream, where: where, access: 'loadStream' } : null);
+        });
     }
 
     /**
-     * Executes the passed SQL
+     * Asks the driver's loadWhere for the rows of a table a WHERE clause
+     * matches. The conditions of the WHERE clause which can be are passed
+     * in a plain form, with the columns the statement uses. The limit is
+     * only passed if every condition can be.
      * 
-     * @param {string} sql 
-     * @returns {Promise<array>} Promise of array of selected rows, updated rows, inserted rows, or deleted row Firebase keys
-     * @memberof Firebase
+     * @param {string} name The table name
+     * @param {any} where The WHERE clause
+     * @param {string} alias The table alias
+     * @param {Array<any>|null} used The parts of the statement which use the table's columns, null if every column is needed
+     * @param {number|null} limit The number of matching rows needed, null for all of them
+     * @returns {Promise<{rows:{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>},where:any,access:string}|null>} The rows, and the conditions the driver did not handle, or null if it does not filter the table
+     */
+    pushdown(name, where, alias = null, used = null, limit = null) {
+        // loadWhere does not see the changes of an open transaction
+        if (this.transaction && this.transaction.tables[name]) {
+            return Promise.resolve(null);
+        }
+
+        let isColumn = (ref) => ref.type === 'column_ref' && !ref.outer && (!ref.table || ref.table === name || ref.table === alias);
+        let split;
+        return Promise.resolve().then(() => {
+            split = splitPredicate(where, isColumn, expr => this.evaluate(expr, {}));
+            let columns = used ? usedColumns(used, isColumn) : null;
+            return callDriver(this, 'loadWhere', [name, split.conditions, columns, split.rest.length ? null : limit]);
+        }).then(result => {
+            if (!result) {
+                return null;
+            }
+            let handled = (expr, n) => result.handled === true || (Array.isArray(result.handled) && result.handled.indexOf(n) >= 0);
+            return { rows: iterate(result.rows), where: conjoin(split.rest.concat(split.exprs.filter((expr, n) => !handled(expr, n)))), access: 'loadWhere' };
+        });
+    }
+
+    /**
+     * Opens a table as a stream of its [key, row] entries from the driver's
+     * loadStream method
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}|null>} null if the driver does not stream the table, or an open transaction has changed it
+     */
+    openStream(table) {
+        if (this.transaction && this.transaction.tables[table]) {
+            return Promise.resolve(null);
+        }
+        return callDriver(this, 'loadStream', [table]).then(stream => stream ? iterate(stream) : null);
+    }
+
+    /**
+     * Loads the tables used by the subqueries of a statement, so they can
+     * be run while its expressions are evaluated. The columns of an outer
+     * query used in a subquery are marked, and are bound to the values of
+     * the outer row each time the subquery runs.
+     * 
+     * @param {any} sqlobj The statement
+     * @returns {Promise<boolean>}
+     */
+    prepareSubqueries(sqlobj) {
+        // subqueries are found outer first, and loaded inner first so a derived table's subqueries are ready when it is run
+        let subqueries = [];
+        let find = (node, derived) => {
+            if (node === null || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(item => find(item, false));
+            if (node.type === 'select' && node !== sqlobj && !derived) {
+                subqueries.push(node);
+            }
+            for (let key in node) {
+                if (key === 'select' && node === sqlobj) {
+                    // the SELECT of an INSERT or CREATE TABLE ... AS runs as a statement of its own
+                    find(node.select, true);
+                } else if (key === 'from' && Array.isArray(node.from)) {
+                    node.from.forEach(from => {
+                        find(from.expr, true);
+                        find(from.on, false);
+                    });
+                } else if (typeof node[key] === 'object') {
+                    find(node[key], false);
+                }
+            }
+        };
+        find(sqlobj, false);
+        if (!subqueries.length) {
+            return Promise.resolve(true);
+        }
+
+        this.subqueries = this.subqueries || new WeakMap();
+        return subqueries.reverse().reduce((previous, select) => previous.then(() => {
+            // the subqueries of a view are part of the views it was expanded from
+            let loaded = sqlobj.expanded ? Object.assign({}, select, { expanded: sqlobj.expanded }) : select;
+            return this.loadFrom(loaded, !!select.from && select.from.length > 1, false, true).then(tableset => {
+                this.subqueries.set(select, { tableset: tableset, outer: this.markOuterColumns(select, tableset), cache: new Map() });
+            });
+        }), Promise.resolve()).then(() => true);
+    }
+
+    /**
+     * Finds the columns used in a subquery, or in the subqueries inside it,
+     * which are not columns of its own tables and so belong to an outer
+     * query. Each is marked as an outer column.
+     * 
+     * @param {any} select The subquery
+     * @param {Array<{rows:Array<any>,columns:Array<string>}>} tableset Its loaded tables
+     * @returns {Array<any>} The column_refs of the outer query, one for each name
+     */
+    markOuterColumns(select, tableset) {
+        let names = new Set(), columns = new Set();
+        (select.from || []).forEach((from, n) => {
+            names.add(from.as || from.table);
+            names.add(from.table);
+            tableset[n].columns.forEach(column => columns.add(column));
+        });
+        let isLocal = (ref) => ref.table ? names.has(ref.table) : columns.has(ref.column);
+
+        let outer = new Map();
+        let walk = (node) => {
+            if (node === null || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (node.type === 'column_ref') {
+                if (!isLocal(node)) {
+                    node.outer = true;
+                    outer.set(outerName(node), node);
+                }
+                return;
+            }
+            if (node.type === 'select' && node !== select) {
+                // the outer columns of an inner subquery may be columns of this one
+                let prepared = this.subqueries.get(node);
+                (prepared ? prepared.outer : []).filter(ref => !isLocal(ref)).forEach(ref => outer.set(outerName(ref), ref));
+                return;
+            }
+            for (let key in node) {
+                if (key === 'from' && node === select) {
+                    // ON conditions can use outer columns, derived tables can not
+                    (node.from || []).forEach(from => walk(from.on));
+                } else if (typeof node[key] === 'object') {
+                    walk(node[key]);
+                }
+            }
+        };
+        walk(select);
+        return Array.from(outer.values());
+    }
+
+    /**
+     * Runs a subquery prepared by prepareSubqueries. The result is cached
+     * for the values of the outer columns it uses, so a subquery which uses
+     * none runs once.
+     * 
+     * @param {any} select The subquery
+     * @param {any} scope The scope of the expression it is in
+     * @returns {Array<Object>} The selected rows
+     */
+    runSubquery(select, scope) {
+        let prepared = this.subqueries && this.subqueries.get(select);
+        if (!prepared) {
+            throw new SQLError("Subquery has not been prepared: " + select.text);
+        }
+
+        let values = new Map(prepared.outer.map(ref => [outerName(ref), getColumn(ref, scope)]));
+        let key = JSON.stringify(Array.from(values.values()).map(valueKey));
+        if (prepared.cache.has(key)) {
+            return prepared.cache.get(key);
+        }
+
+        // the subquery runs synchronously, so the outer values can be kept until it returns
+        let saved = this.outerValues;
+        this.outerValues = values;
+        try {
+            let items = this.planSelect(select, prepared.tableset).reduce((items, stage) => stage.run(items), []);
+            let rows = items.map(item => item.fields);
+            prepared.cache.set(key, rows);
+            return rows;
+        } finally {
+            this.outerValues = saved;
+        }
+    }
+
+    /**
+     * Gets the definition of a table as built by CREATE TABLE. Definitions of
+     * tables created through this driver are kept, others are requested from
+     * loadDefinition.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<Array<{name:string,index:number,type:string}>|null>} null if the definition is not known
+     */
+    getDefinition(table) {
+        if (this.definitions && this.definitions[table]) {
+            return Promise.resolve(this.definitions[table]);
+        }
+        return callDriver(this, 'loadDefinition', [table]).then(definition => {
+            if (definition) {
+                this.definitions = this.definitions || {};
+                this.definitions[table] = definition;
+            }
+            return definition || null;
+        });
+    }
+
+    /**
+     * Coerces the rows being written to a table to their column types and
+     * checks them against the table's constraints, throwing an Error for the
+     * first constraint which fails.
+     * 
+     * @param {string} table The table name
+     * @param {Array<any>} definition The table definition
+     * @param {Array<Object>} values The values being written to each row
+     * @param {Array<Object>|null} current For an update, the current contents of each row, null for an insert
+     * @param {Array<Object>|null} existing The other rows in the table, null to skip the key checks
+     * @returns {Array<Object>} The coerced values to store
+     */
+    prepareRows(table, definition, values, current, existing) {
+        let insert = current === null;
+        let prepared = values.map(data => coerceRow(table, definition, data, insert, expr => this.evaluate(expr, {})));
+        let rows = prepared.map((data, n) => insert ? data : Object.assign({}, current[n], data));
+
+        for (let row of rows) {
+            checkRow(table, definition, row, (expr, row) => this.evaluate(expr, row));
+        }
+        if (existing !== null) {
+            checkKeys(table, definition, existing, rows);
+        }
+        return prepared;
+    }
+
+    /**
+     * Performs an SQL UPDATE.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<Result>} The keys of the rows updated, and with RETURNING, the rows it returns
+     */
+    doUpdate(sqlobj) {
+        return this.getDefinition(sqlobj.table).then(definition => {
+            // only the key columns of the other rows are needed, to check the keys
+            let columns = definition ? [].concat(...tableKeys(definition).map(key => key.columns)) : [];
+            let keep = columns.length ? row => {
+                let kept = {};
+                columns.forEach(column => kept[column] = row[column]);
+                return kept;
+            } : null;
+            return this.matchRows(sqlobj.table, sqlobj.where, null, keep).then(matched => [definition, matched]);
+        }).then(([definition, matched]) => {
+            let table = matched.rows;
+            let rows = matched.keys;
+            let updates = [];
+
+            for (let row_id of rows) {
+                let updateObj = {};
+                for (let item of sqlobj.set) {
+                    updateObj[item.column] = this.evaluate(item.value, table[row_id]);
+                }
+                updates.push(updateObj);
+            }
+
+            if (definition) {
+                updates = this.prepareRows(sqlobj.table, definition, updates, rows.map(row_id => table[row_id]), matched.others);
+            }
+
+            return this.writeRows(sqlobj.table, rows.map((row_id, n) => ({ index: row_id, values: updates[n] })), table).then(() => {
+                return this.writeResult(sqlobj, rows, [], rows, rows.map((row_id, n) => Object.assign({}, table[row_id], updates[n])));
+            });
+        });
+    }
+
+    /**
+     * Performs an SQL INSERT or REPLACE, of VALUES or the rows of a SELECT.
+     * Without a column list, the values are for the columns of the table
+     * definition in order, or for a SELECT into a table without a
+     * definition, the columns it selects.
+     * 
+     * @param {any} sqlobj 
+     * @returns {Promise<Result>} The keys of the rows inserted, and with RETURNING, the rows it returns
+     */
+    doInsert(sqlobj) {
+        let selected = sqlobj.select ? this.doSelect(sqlobj.select) : null;
+        return Promise.all([this.getDefinition(sqlobj.table), selected]).then(([definition, selected]) => {
+            let columns = sqlobj.columns || (definition ? definition.map(column => column.name) : null);
+            let values;
+            if (selected) {
+                if (!columns) {
+                    columns = selected.length ? Object.keys(selected[0]) : [];
+                }
+                values = selected.map(row => Object.keys(row).map(key => row[key]));
+            } else {
+                if (!columns) {
+                    throw new QueryError("INSERT INTO " + sqlobj.table + " needs a column list, the table definition is not known");
+                }
+                values = sqlobj.values.map(list => list.value.map(expr => this.evaluate(expr, {})));
+            }
+
+            let rows = [];
+            for (let i = 0; i < values.length; i++) {
+                if (values[i].length !== columns.length) {
+                    throw new QueryError("INSERT has " + columns.length + " columns but " + (selected ? "SELECT returns " + values[i].length : values[i].length + " values"));
+                }
+                let data = {};
+                for (let n = 0; n < columns.length; n++) {
+                    data[columns[n]] = values[i][n];
+                }
+                rows.push(data);
+            }
+
+            if (sqlobj.conflict || sqlobj.type === 'replace') {
+                return this.upsertRows(sqlobj, definition, rows);
+            }
+            // the existing rows are only needed to check keys
+            let existing = definition && tableKeys(definition).length ? this.loadTable(sqlobj.table).then(table => Object.values(table)) : null;
+            return Promise.resolve(existing).then(existing => {
+                if (definition) {
+                    rows = this.prepareRows(sqlobj.table, definition, rows, null, existing);
+                }
+                return this.writeRows(sqlobj.table, rows.map(data => ({ index: null, values: data })));
+            }).then(ids => this.writeResult(sqlobj, ids, ids, [], rows));
+        });
+    }
+
+    /**
+     * Inserts rows which may conflict with rows already in the table, for
+     * INSERT ... ON CONFLICT and REPLACE. A row conflicts with another when
+     * they have the same values for the columns of ON CONFLICT, or without
+     * them, for any primary or unique key of the table. The rows are
+     * inserted in order, so a row can conflict with one inserted before it
+     * by the same statement.
+     * 
+     * On a conflict DO NOTHING skips the row, DO UPDATE updates the row it
+     * conflicts with, where excluded.column is the value of the row which
+     * was not inserted, and REPLACE replaces the row it conflicts with and
+     * removes any other rows it conflicts with.
+     * 
+     * @param {any} sqlobj The INSERT or REPLACE statement
+     * @param {Array<any>|null} definition The table definition
+     * @param {Array<Object>} rows The values of the rows being inserted
+     * @returns {Promise<Result>} The keys of the rows inserted then those updated, and with RETURNING, the rows it returns
+     */
+    upsertRows(sqlobj, definition, rows) {
+        let name = sqlobj.table;
+        let conflict = sqlobj.conflict || { columns: null, action: 'replace', set: null, where: null };
+        let keys = definition ? tableKeys(definition) : [];
+        let targets = keys;
+        if (conflict.columns) {
+            let matches = key => key.columns.length === conflict.columns.length && conflict.columns.every(column => key.columns.indexOf(column) >= 0);
+            if (!definition) {
+                keys = [{ name: 'UNIQUE', columns: conflict.columns }];
+            }
+            targets = keys.filter(matches);
+        }
+        if (!targets.length) {
+            return Promise.reject(new QueryError(conflict.columns
+                ? "ON CONFLICT (" + conflict.columns.join(", ") + ") is not a PRIMARY KEY or UNIQUE key of table " + name
+                : "Table " + name + " has no PRIMARY KEY or UNIQUE key to find conflicting rows by"));
+        }
+
+        return this.loadTable(name).then(table => {
+            // each row of the table as the statement leaves it, found by its key values
+            let entries = Object.keys(table).map(row_id => ({ row_id: row_id, row: table[row_id], values: null, deleted: false }));
+            let found = keys.map(() => new Map());
+            let add = (entry, check) => keys.forEach((key, n) => {
+                let value = keyValue(name, definition, key, entry.row);
+                if (value === null) return;
+                if (found[n].has(value) && found[n].get(value) !== entry) {
+                    if (check) throw keyError(name, key);
+                    return;
+                }
+                found[n].set(value, entry);
+            });
+            let drop = (entry) => keys.forEach((key, n) => {
+                let value = keyValue(name, definition, key, entry.row);
+                if (value !== null && found[n].get(value) === entry) found[n].delete(value);
+            });
+            entries.forEach(entry => add(entry, false));
+
+            for (let data of rows) {
+                let row = definition ? coerceRow(name, definition, data, true, expr => this.evaluate(expr, {})) : data;
+                let conflicts = [];
+                for (let key of targets) {
+                    let value = keyValue(name, definition, key, row);
+                    let entry = value === null ? null : found[keys.indexOf(key)].get(value);
+                    if (entry && conflicts.indexOf(entry) < 0) conflicts.push(entry);
+                }
+
+                if (!conflicts.length) {
+                    let entry = { row_id: null, row: row, values: row, deleted: false };
+                    add(entry, true);
+                    entries.push(entry);
+                } else if (conflict.action === 'update') {
+                    let entry = conflicts[0];
+                    let scope = Object.assign({}, entry.row);
+                    for (let column in entry.row) scope['excluded.' + column] = null;
+                    for (let column in row) scope['excluded.' + column] = row[column];
+                    if (!this.doWhere(conflict.where, scope)) continue;
+
+                    let values = {};
+                    for (let item of conflict.set) {
+                        values[item.column] = this.evaluate(item.value, scope);
+                    }
+                    if (definition) values = coerceRow(name, definition, values, false);
+                    drop(entry);
+                    entry.row = Object.assign({}, entry.row, values);
+                    entry.values = Object.assign({}, entry.values, values);
+                    add(entry, true);
+                } else if (conflict.action === 'replace') {
+                    conflicts.forEach(entry => {
+                        drop(entry);
+                        entry.deleted = true;
+                    });
+                    // the fields of the old row which the new one does not have are cleared
+                    let entry = conflicts[0];
+                    let values = {};
+                    for (let column in entry.row) values[column] = null;
+                    entry.row = entry.values = Object.assign(values, row);
+                    entry.deleted = false;
+                    add(entry, true);
+                }
+            }
+
+            let changed = entries.filter(entry => entry.values !== null || entry.deleted);
+            if (definition) {
+                for (let entry of changed) {
+                    if (!entry.deleted) checkRow(name, definition, entry.row, (expr, row) => this.evaluate(expr, row));
+                }
+            }
+
+            let removed = changed.filter(entry => entry.deleted && entry.row_id !== null);
+            let inserted = changed.filter(entry => !entry.deleted && entry.row_id === null);
+            let updated = changed.filter(entry => !entry.deleted && entry.row_id !== null);
+            let writes = removed.map(entry => ({ index: entry.row_id, values: null }))
+                .concat(inserted.map(entry => ({ index: null, values: entry.row })))
+                .concat(updated.map(entry => ({ index: entry.row_id, values: entry.values })));
+
+            return this.writeRows(name, writes, table).then(stored => {
+                return this.writeResult(sqlobj, stored.slice(removed.length),
+                    stored.slice(removed.length, removed.length + inserted.length),
+                    stored.slice(removed.length + inserted.length),
+                    inserted.concat(updated).map(entry => entry.row));
+            });
+        });
+    }
+
+    /**
+     * Performs an SQL DELETE.
+     * 
+     * @param {any} sqlobj 
+     * @returns {Promise<Result>} The keys of the rows deleted, and with RETURNING, the rows it returns
+     */
+    doDelete(sqlobj) {
+        let name = sqlobj.from[0].table;
+        return this.matchRows(name, sqlobj.where, sqlobj.from[0].as).then(matched => {
+            let table = matched.rows;
+            let rowIds = matched.keys;
+            return this.writeRows(name, rowIds.map(row_id => ({ index: row_id, values: null })), table).then(() => {
+                return this.writeResult(sqlobj, rowIds, [], [], rowIds.map(row_id => table[row_id]));
+            });
+        });
+    }
+
+    /**
+     * Finds the rows of a table a WHERE clause matches, for UPDATE and
+     * DELETE. If the driver filters or streams the table only the rows
+     * matched are kept, otherwise the table is loaded and its indexes used.
+     * 
+     * @param {string} name The table name
+     * @param {any} where The WHERE clause
+     * @param {string} alias The table alias
+     * @param {function(Object):Object} keep Returns what is kept of each row which is not matched, null to keep nothing
+     * @returns {Promise<{rows:{[key:string]:any},keys:Array<string|number>,others:Array<Object>}>} The rows matched by key, their keys in table order, and what is kept of the other rows
+     */
+    matchRows(name, where, alias = null, keep = null) {
+        let matched = { rows: {}, keys: [], others: [] };
+        let test = where;
+        let visit = (key, row) => {
+            if (this.doWhere(test, row) === true) {
+                matched.rows[key] = row;
+                matched.keys.push(key);
+            } else if (keep) {
+                matched.others.push(keep(row));
+            }
+        };
+
+        // loadWhere only returns the matching rows, so it can not be used when the others are kept
+        let scan = keep ? this.openStream(name).then(stream => stream ? { rows: stream, where: where } : null) : this.scanTable(name, where, alias);
+        return scan.then(scanned => {
+            if (scanned) {
+                test = scanned.where;
+                return each(scanned.rows, ([key, row]) => visit(key, row));
+            }
+            return this.loadTable(name).then(table => {
+                return this.findRows(name, table, where, alias).then(keys => {
+                    let found = new Set(keys);
+                    for (let key of Object.keys(table)) {
+                        if (found.has(key)) {
+                            visit(key, table[key]);
+                        } else if (keep) {
+                            matched.others.push(keep(table[key]));
+                        }
+                    }
+                });
+            });
+        }).then(() => matched);
+    }
+
+    /**
+     * Builds the result of a write, with the rows returned by its RETURNING
+     * clause if it has one. execute() resolves with the returned rows, or
+     * without RETURNING, the keys of the rows written.
+     * 
+     * @param {any} sqlobj The INSERT, UPDATE or DELETE statement
+     * @param {Array<string|number>} ids The keys of the rows written
+     * @param {Array<string|number>} insertIds The keys of the rows inserted
+     * @param {Array<string|number>} updatedIds The keys of the rows updated
+     * @param {Array<Object>} rows The rows written, as they are after the write, or before it for a DELETE
+     * @returns {Result}
+     */
+    writeResult(sqlobj, ids, insertIds, updatedIds, rows) {
+        let result = new Result(sqlobj.type);
+        result.ids = ids.slice();
+        result.insertIds = insertIds.slice();
+        result.updatedIds = updatedIds.slice();
+        result.rowsAffected = ids.length;
+        if (sqlobj.returning) {
+            for (let row of rows) {
+                this.chooseFields({ columns: sqlobj.returning }, result.rows, Object.assign({}, row));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Performs an SQL CREATE. With IF NOT EXISTS, nothing is done if the
+     * table exists.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>} false if the table already existed
+     */
+    doCreate(sqlobj) {
+        let name = sqlobj.name.table;
+        return Promise.resolve(sqlobj.ifNotExists ? callDriver(this, 'tableExists', [name]) : false).then(exists => {
+            if (exists) {
+                return false;
+            }
+            if (sqlobj.select) {
+                return this.createFromSelect(sqlobj);
+            }
+
+            // create a new table definition
+            let columns = tableDefinition(sqlobj);
+            return callDriver(this, 'create', [name, columns]).then(success => {
+                this.definitions = this.definitions || {};
+                this.definitions[name] = columns;
+                return success;
+            });
+        });
+    }
+
+    /**
+     * Performs CREATE TABLE ... AS SELECT, creating a table with the
+     * columns of the query and storing its rows. Each column has the type
+     * and length of the column it was selected from, or the type of its
+     * expression. Only a column whose type can not be worked out from the
+     * query, such as a parameter or a subquery, has the type of its values.
+     * Constraints are not copied.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>}
+     */
+    createFromSelect(sqlobj) {
+        let name = sqlobj.name.table;
+        let select = sqlobj.select;
+        return this.doSelect(select).then(rows => {
+            return this.resultColumns(select.columns, select.from || [], rows).then(columns => {
+                let definition = columns.map((column, n) => {
+                    let definition = { name: column.name, index: n };
+                    if (column.type && column.type !== 'object') definition.type = column.type;
+                    if (column.length !== undefined) definition.length = column.length;
+                    return definition;
+                });
+
+                return callDriver(this, 'create', [name, definition]).then(success => {
+                    this.definitions = this.definitions || {};
+                    this.definitions[name] = definition;
+                    return this.writeRows(name, rows.map(row => ({ index: null, values: Object.assign({}, row) }))).then(() => success);
+                });
+            });
+        });
+    }
+
+    /**
+     * Performs an SQL DROP. With IF EXISTS, nothing is done if the table
+     * does not exist.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>} false if the table did not exist
+     */
+    doDrop(sqlobj) {
+        if (sqlobj.ifExists) {
+            return callDriver(this, 'tableExists', [sqlobj.table]).then(exists => {
+                return exists ? this.doDrop(Object.assign({}, sqlobj, { ifExists: false })) : false;
+            });
+        }
+        return callDriver(this, 'drop', [sqlobj.table]).then(success => {
+            this.invalidateCache(sqlobj.table);
+            if (this.definitions) {
+                delete this.definitions[sqlobj.table];
+            }
+            if (this.transaction) {
+                this.transaction.forget(sqlobj.table);
+            }
+            if (this.indexes) {
+                delete this.indexes[sqlobj.table];
+            }
+            return success;
+        });
+    }
+
+    /**
+     * Performs an SQL ALTER TABLE. The existing rows are changed through
+     * load and store, unless the driver's alter method changes them itself.
+     * A table renamed this way is copied to the new name, so its rows are
+     * given new keys.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>}
+     */
+    doAlter(sqlobj) {
+        if (this.transaction) {
+            return Promise.reject(new UnsupportedFeatureError("ALTER TABLE can not be used inside a transaction", 'alter_table'));
+        }
+        let name = sqlobj.table;
+        let renamed = sqlobj.action === 'rename_table' ? this.getDefinition(sqlobj.to) : null;
+
+        return Promise.all([this.getDefinition(name), renamed, this.getIndexes(name)]).then(([definition, renamed, indexes]) => {
+            if (renamed) {
+                throw new QueryError("Table " + sqlobj.to + " already exists");
+            }
+            let altered = definition ? alterDefinition(name, definition, sqlobj) : null;
+
+            let invalidate = () => {
+                this.invalidateCache(name);
+                if (sqlobj.action === 'rename_table') this.invalidateCache(sqlobj.to);
+            };
+            return callDriver(this, 'alter', [name, altered, sqlobj]).then(done => {
+                return done ? null : this.alterRows(sqlobj, altered);
+            }).then(() => invalidate(), err => {
+                // the rows may have been changed before it failed
+                invalidate();
+                throw err;
+            }).then(() => {
+                this.definitions = this.definitions || {};
+                if (sqlobj.action === 'rename_table') {
+                    delete this.definitions[name];
+                    if (altered) this.definitions[sqlobj.to] = altered;
+                } else if (altered) {
+                    this.definitions[name] = altered;
+                }
+                return this.alterIndexes(sqlobj, indexes);
+            }).then(() => true);
+        });
+    }
+
+    /**
+     * Changes the stored rows of a table for an ALTER TABLE
+     * 
+     * @param {any} sqlobj The ALTER TABLE statement
+     * @param {Array<any>|null} altered The new table definition, null if it is not known
+     * @returns {Promise<any>}
+     */
+    alterRows(sqlobj, altered) {
+        let name = sqlobj.table;
+        if (sqlobj.action === 'rename_table') {
+            return Promise.all([callDriver(this, 'load', [name]), callDriver(this, 'create', [sqlobj.to, altered || []])]).then(([table]) => {
+                return this.writeRows(sqlobj.to, Object.keys(table).map(key => ({ index: null, values: table[key] })));
+            }).then(() => callDriver(this, 'drop', [name]));
+        }
+
+        return this.loadTable(name).then(table => {
+            let keys = Object.keys(table);
+            let has = (key, column) => Object.prototype.hasOwnProperty.call(table[key], column);
+            let writes = [];
+
+            switch (sqlobj.action) {
+                case 'add_column': {
+                    let column = altered ? altered[altered.length - 1] : columnDefinition(sqlobj.column, 0);
+                    let value = column.default === undefined ? null : coerceValue(this.evaluate(column.default, {}), column, name);
+                    if (altered) {
+                        let rows = keys.map(key => Object.assign({}, table[key], { [column.name]: value }));
+                        rows.forEach(row => checkRow(name, [column], row, (expr, row) => this.evaluate(expr, row)));
+                        if (column.primaryKey || column.unique) {
+                            checkKeys(name, altered, [], rows);
+                        }
+                    }
+                    if (value !== null) {
+                        writes = keys.map(key => ({ index: key, values: { [column.name]: value } }));
+                    }
+                    break;
+                }
+                case 'drop_column':
+                    writes = keys.filter(key => has(key, sqlobj.column))
+                        .map(key => ({ index: key, values: { [sqlobj.column]: null } }));
+                    break;
+                case 'rename_column':
+                    writes = keys.filter(key => has(key, sqlobj.column))
+                        .map(key => ({ index: key, values: { [sqlobj.to]: table[key][sqlobj.column], [sqlobj.column]: null } }));
+                    break;
+            }
+            return this.writeRows(name, writes, table);
+        });
+    }
+
+    /**
+     * Updates the indexes of a table after an ALTER TABLE. Indexes on a
+     * dropped column are dropped, and the others are built again when next
+     * used.
+     * 
+     * @param {any} sqlobj The ALTER TABLE statement
+     * @param {Array<Index>} indexes The indexes of the table
+     * @returns {Promise<any>}
+     */
+    alterIndexes(sqlobj, indexes) {
+        let name = sqlobj.table;
+        let drops = [];
+        for (let index of indexes) {
+            index.clear();
+            if (sqlobj.action === 'drop_column' && index.columns.indexOf(sqlobj.column) >= 0) {
+                delete this.indexes[name][index.name];
+                drops.push(callDriver(this, 'dropIndex', [name, index.name]));
+            } else if (sqlobj.action === 'rename_column') {
+                index.columns = index.columns.map(column => column === sqlobj.column ? sqlobj.to : column);
+            } else if (sqlobj.action === 'rename_table') {
+                index.table = sqlobj.to;
+            }
+        }
+        if (sqlobj.action === 'rename_table') {
+            this.indexes[sqlobj.to] = this.indexes[name];
+            delete this.indexes[name];
+        }
+        return Promise.all(drops);
+    }
+
+    /**
+     * Lists the tables, those given by the driver's listTables method or
+     * else the tables whose definitions are known
+     * 
+     * @returns {Promise<Array<string>>}
+     */
+    getTableNames() {
+        return callDriver(this, 'listTables').then(names => {
+            return (names || Object.keys(this.definitions || {})).slice().sort();
+        });
+    }
+
+    /**
+     * Loads the rows of a table of information_schema: tables, with the
+     * name of each table, or columns, describing the columns of the tables
+     * whose definitions are known
+     * 
+     * @param {string} name The table name, without information_schema
+     * @returns {Promise<Array<Object>>}
+     */
+    loadSchemaTable(name) {
+        switch (name.toLowerCase()) {
+            case 'tables':
+                return this.getTableNames().then(names => names.map(table => ({ table_name: table })));
+            case 'columns':
+                return this.getTableNames().then(names => {
+                    return Promise.all(names.map(table => this.getDefinition(table))).then(definitions => {
+                        return [].concat(...names.map((table, n) => definitions[n] ? describeColumns(table, definitions[n]) : []));
+                    });
+                });
+            default:
+                return Promise.reject(new QueryError("Unknown table " + INFORMATION_SCHEMA + "." + name));
+        }
+    }
+
+    /**
+     * Performs SHOW TABLES
+     * 
+     * @returns {Promise<Array<{table_name:string}>>}
+     */
+    doShowTables() {
+        return this.loadSchemaTable('tables');
+    }
+
+    /**
+     * Performs DESCRIBE, giving the same rows as information_schema.columns
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<Array<Object>>}
+     */
+    doDescribe(sqlobj) {
+        return this.getDefinition(sqlobj.table).then(definition => {
+            if (!definition) {
+                throw new QueryError("The definition of table " + sqlobj.table + " is not known");
+            }
+            return describeColumns(sqlobj.table, definition);
+        });
+    }
+
+    /**
+     * Performs EXPLAIN, giving a row for each stage a SELECT is planned as,
+     * with its step, stage name and detail. Other statements are given a
+     * single row. With ANALYZE the SELECT is run, each stage gaining the
+     * rows it produced and the milliseconds it took, and the detail of the
+     * FROM stage how each table was read and joined.
+     *
+     * The stages are those of a SELECT which is not streamed: the rows of a
+     * single table which are streamed pass through them together.
+     *
+     * @param {any} sqlobj
+     * @returns {Promise<Array<{step:number,stage:string,detail:string,rows?:number,time?:number}>>}
+     */
+    doExplain(sqlobj) {
+        let statement = sqlobj.statement;
+        if (statement.type !== 'select') {
+            if (sqlobj.analyze) {
+                return Promise.reject(new UnsupportedFeatureError("EXPLAIN ANALYZE can only run a SELECT", 'explain'));
+            }
+            return Promise.resolve([Object.assign({ step: 1 }, describeStatement(statement))]);
+        }
+
+        let trace = [];
+        let stages = this.planSelect(statement, null, trace);
+        let rows = stages.map((stage, n) => ({ step: n + 1, stage: stage.name, detail: stage.detail }));
+        if (!sqlobj.analyze) {
+            return Promise.resolve(rows);
+        }
+
+        return this.prepareSubqueries(statement).then(() => stages.reduce((previous, stage, n) => previous.then(items => {
+            let start = performance.now();
+            return Promise.resolve(stage.run(items)).then(items => {
+                rows[n].rows = items.length;
+                rows[n].time = elapsed(start);
+                return items;
+            });
+        }), Promise.resolve([]))).then(() => {
+            if (statement.from) {
+                rows[0].detail = describeFrom(statement.from, trace);
+            }
+            return rows;
+        });
+    }
+
+    /**
+     * Gets a view. Views created through this driver are kept, others are
+     * requested from loadView.
+     * 
+     * @param {string} name The view name
+     * @returns {Promise<{name:string,sql:string,columns:Array<string>|null,select:any}|null>} null if there is no such view
+     */
+    getView(name) {
+        if (this.views && this.views[name]) {
+            return Promise.resolve(this.views[name]);
+        }
+        return callDriver(this, 'loadView', [name]).then(definition => {
+            if (!definition) return null;
+            this.views = this.views || {};
+            this.views[name] = this.parseView(name, definition);
+            return this.views[name];
+        });
+    }
+
+    /**
+     * Parses the SELECT of a view
+     * 
+     * @param {string} name The view name
+     * @param {{sql:string,columns:Array<string>|null}} definition The view definition
+     * @returns {{name:string,sql:string,columns:Array<string>|null,select:any}}
+     */
+    parseView(name, definition) {
+        let select = parse(definition.sql);
+        if (select.type !== 'select') {
+            throw new QueryError("View " + name + " is not a SELECT");
+        }
+        return { name: name, sql: definition.sql, columns: definition.columns || null, select: select };
+    }
+
+    /**
+     * Runs the SELECT of a view. With a column list, the selected columns
+     * are renamed in order.
+     * 
+     * The SELECT is given the views being expanded, ending with this one,
+     * as its expanded property, so a view which reads itself is found
+     * rather than expanded forever.
+     * 
+     * @param {{name:string,columns:Array<string>|null,select:any}} view
+     * @param {Array<string>} expanded The names of the views being expanded, which read this one
+     * @returns {Promise<Array<Object>>}
+     */
+    selectView(view, expanded = []) {
+        if (expanded.indexOf(view.name) >= 0) {
+            return Promise.reject(viewCycleError(expanded, view.name));
+        }
+        let select = Object.assign({}, view.select, { expanded: expanded.concat(view.name) });
+        return this.prepareSubqueries(select).then(() => this.doSelect(select)).then(rows => {
+            if (!view.columns) return rows;
+            return rows.map(row => {
+                let values = Object.keys(row).map(key => row[key]);
+                let renamed = {};
+                view.columns.forEach((column, n) => renamed[column] = n < values.length ? values[n] : null);
+                return renamed;
+            });
+        });
+    }
+
+    /**
+     * Performs CREATE VIEW, saving the view through createView
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>} false if the view already existed, with IF NOT EXISTS
+     */
+    doCreateView(sqlobj) {
+        let name = sqlobj.name;
+        if (sqlobj.params.length) {
+            return Promise.reject(new QueryError("Parameters can not be used in a view"));
+        }
+        if (sqlobj.columns && Array.isArray(sqlobj.select.columns) && sqlobj.columns.length !== sqlobj.select.columns.length) {
+            return Promise.reject(new QueryError("View " + name + " has " + sqlobj.columns.length + " columns but its SELECT has " + sqlobj.select.columns.length));
+        }
+
+        return Promise.all([this.getView(name), this.getDefinition(name)]).then(([view, table]) => {
+            if (table) {
+                throw new QueryError("Table " + name + " already exists");
+            }
+            if (view && sqlobj.ifNotExists) {
+                return false;
+            }
+            if (view && !sqlobj.orReplace) {
+                throw new QueryError("View " + name + " already exists");
+            }
+
+            let definition = { sql: sqlobj.select.text, columns: sqlobj.columns };
+            let parsed = this.parseView(name, definition);
+            return this.checkViewCycle(name, parsed.select).then(() => callDriver(this, 'createView', [name, definition])).then(() => {
+                this.views = this.views || {};
+                this.views[name] = parsed;
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Checks that a view does not read itself, directly or through the
+     * views it reads
+     * 
+     * @param {string} name The view name
+     * @param {any} select The SELECT of the view
+     * @param {Array<string>} path The views which read this one
+     * @returns {Promise<boolean>} Rejects with an SQLError if it does
+     */
+    checkViewCycle(name, select, path = []) {
+        path = path.concat(name);
+        return Array.from(referencedTables(select)).reduce((previous, table) => previous.then(() => {
+            if (path.indexOf(table) >= 0) {
+                throw viewCycleError(path, table);
+            }
+            return this.getView(table).then(view => view ? this.checkViewCycle(table, view.select, path) : true);
+        }), Promise.resolve(true));
+    }
+
+    /**
+     * Performs DROP VIEW
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>} false if there was no such view, with IF EXISTS
+     */
+    doDropView(sqlobj) {
+        return this.getView(sqlobj.name).then(view => {
+            if (!view) {
+                if (sqlobj.ifExists) return false;
+                throw new QueryError("Unknown view " + sqlobj.name);
+            }
+            return callDriver(this, 'dropView', [sqlobj.name]).then(() => {
+                delete this.views[sqlobj.name];
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Gets the indexes of a table. Indexes created through this driver are
+     * kept, others are requested from loadIndexes.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<Array<Index>>}
+     */
+    getIndexes(table) {
+        this.indexes = this.indexes || {};
+        if (this.indexes[table]) {
+            return Promise.resolve(Object.values(this.indexes[table]));
+        }
+        return callDriver(this, 'loadIndexes', [table]).then(definitions => {
+            if (!this.indexes[table]) {
+                this.indexes[table] = {};
+                for (let definition of definitions || []) {
+                    this.indexes[table][definition.name] = new Index(definition.name, table, definition.columns);
+                }
+            }
+            return Object.values(this.indexes[table]);
+        });
+    }
+
+    /**
+     * Finds the rows of a table a WHERE clause may match, using the table's
+     * indexes for its equality and range conditions where it can. The rows
+     * found still have to be tested against the WHERE clause.
+     * 
+     * @param {string} name The table name
+     * @param {{[key:string]:any}} table The table rows by key
+     * @param {any} where The WHERE clause
+     * @param {string} alias The table alias
+     * @returns {Promise<Array<string>>} The row keys, in table order
+     */
+    findRows(name, table, where, alias = null) {
+        let keys = Object.keys(table);
+        // indexes do not include the changes of an open transaction
+        if (!where || (this.transaction && this.transaction.tables[name])) {
+            return Promise.resolve(keys);
+        }
+
+        return this.getIndexes(name).then(indexes => {
+            if (!indexes.length) return keys;
+            for (let index of indexes) {
+                if (!index.matches(table)) index.build(table);
+            }
+
+            let isColumn = (ref) => ref.type === 'column_ref' && (!ref.table || ref.table === name || ref.table === alias);
+            let found = findRows(indexes, where, isColumn, expr => this.evaluate(expr, {}));
+            if (found === null) return keys;
+            found = new Set(found);
+            return keys.filter(key => found.has(key));
+        });
+    }
+
+    /**
+     * Brings the indexes up to date with the rows written by a transaction
+     * 
+     * @param {Transaction} transaction
+     * @param {{[key:string]:string}} stored The keys the inserted rows were stored under
+     */
+    updateIndexes(transaction, stored) {
+        for (let table in transaction.tables) {
+            let indexes = this.indexes && this.indexes[table] ? Object.values(this.indexes[table]) : [];
+            for (let index of indexes.filter(index => index.built)) {
+                for (let [key, change] of transaction.tables[table]) {
+                    if (change.inserted) {
+                        if (!change.deleted) index.add(stored[key], change.values);
+                    } else if (change.deleted) {
+                        index.remove(key);
+                    } else if (index.rows.has(key)) {
+                        index.add(key, change.values);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Performs an SQL CREATE INDEX
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>}
+     */
+    doCreateIndex(sqlobj) {
+        return Promise.all([this.loadTable(sqlobj.table), this.getDefinition(sqlobj.table), this.getIndexes(sqlobj.table)]).then(([table, definition]) => {
+            let exists = Object.keys(this.indexes).some(name => this.indexes[name][sqlobj.name]);
+            if (exists) {
+                if (sqlobj.ifNotExists) return false;
+                throw new QueryError("Index " + sqlobj.name + " already exists");
+            }
+            for (let column of sqlobj.columns) {
+                if (definition && !definition.some(col => col.name === column)) {
+                    throw new QueryError("Unknown column " + column + " in table " + sqlobj.table);
+                }
+            }
+
+            let index = new Index(sqlobj.name, sqlobj.table, sqlobj.columns);
+            return callDriver(this, 'createIndex', [sqlobj.table, sqlobj.name, sqlobj.columns]).then(() => {
+                if (!this.transaction || !this.transaction.tables[sqlobj.table]) {
+                    index.build(table);
+                }
+                this.indexes[sqlobj.table][sqlobj.name] = index;
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Performs an SQL DROP INDEX
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean>}
+     */
+    doDropIndex(sqlobj) {
+        return Promise.resolve(sqlobj.table ? this.getIndexes(sqlobj.table) : null).then(() => {
+            let indexes = this.indexes || {};
+            let table = Object.keys(indexes).find(table => indexes[table][sqlobj.name]);
+            if (table === undefined) {
+                if (sqlobj.ifExists) return false;
+                throw new QueryError("Unknown index " + sqlobj.name);
+            }
+            return callDriver(this, 'dropIndex', [table, sqlobj.name]).then(() => {
+                delete indexes[table][sqlobj.name];
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Performs BEGIN, COMMIT, ROLLBACK, SAVEPOINT and RELEASE.
+     * 
+     * Only one transaction can be active on a driver, the statements run
+     * while it is active are part of it. The rows inserted inside it are
+     * given temporary keys, and COMMIT resolves with the keys they were
+     * stored under.
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<boolean|{[key:string]:string}>} For COMMIT, the key each inserted row was stored under, by its temporary key
+     */
+    doTransaction(sqlobj) {
+        return Promise.resolve().then(() => {
+            let transaction = this.transaction;
+            if (sqlobj.action === 'begin') {
+                if (transaction) {
+                    throw new QueryError("A transaction is already active");
+                }
+                this.transaction = new Transaction();
+                return true;
+            }
+            if (!transaction) {
+                throw new QueryError("No transaction is active");
+            }
+
+            switch (sqlobj.action) {
+                case 'commit':
+                    // a COMMIT which fails leaves the transaction rolled back
+                    this.transaction = null;
+                    return this.commitTransaction(transaction);
+                case 'rollback':
+                    if (sqlobj.savepoint) {
+                        transaction.rollbackTo(sqlobj.savepoint);
+                    } else {
+                        this.transaction = null;
+                    }
+                    return true;
+                case 'savepoint':
+                    transaction.savepoint(sqlobj.savepoint);
+                    return true;
+                case 'release':
+                    transaction.release(sqlobj.savepoint);
+                    return true;
+            }
+        });
+    }
+
+    /**
+     * Loads a table, from the cache if it is enabled and has the table.
+     * Inside a transaction the rows include the changes made by the
+     * transaction.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<{[key:string]:any}>}
+     */
+    loadTable(table) {
+        let transaction = this.transaction;
+        let load = (table) => callDriver(this, 'load', [table]);
+        return (this.cache ? this.cache.load(table, load) : load(table)).then(rows => transaction ? transaction.apply(table, rows) : rows);
+    }
+
+    /**
+     * Commits a transaction, and brings the indexes up to date with it. The
+     * cached rows of the tables it writes are dropped, whether it succeeds
+     * or not.
+     * 
+     * @param {Transaction} transaction
+     * @param {{[table:string]:any}} loaded Tables already loaded from the driver, by name
+     * @returns {Promise<{[key:string]:string}>} The keys the inserted rows were stored under, by temporary key
+     */
+    commitTransaction(transaction, loaded = {}) {
+        let invalidate = () => Object.keys(transaction.tables).forEach(table => this.cache && this.cache.invalidate(table));
+        return transaction.commit(this, loaded).then(stored => {
+            invalidate();
+            this.updateIndexes(transaction, stored);
+            return stored;
+        }, err => {
+            invalidate();
+            throw err;
+        });
+    }
+
+    /**
+     * Keeps the rows loaded from the driver, so a table used by several
+     * statements is loaded once until it expires or is written. Writes
+     * made through this driver drop the rows of the tables they change,
+     * and the driver's watchTables method is asked to report the changes
+     * made by others.
+     * 
+     * @param {{ttl?:number,maxTables?:number,maxRows?:number}} options The milliseconds a table is kept for, 0 to keep it until it is written, and the number of tables and of rows kept
+     * @returns {Promise<boolean>} Rejects, leaving the cache off, if watchTables fails
+     */
+    enableCache(options = {}) {
+        return this.disableCache().then(() => {
+            let cache = new TableCache(options);
+            this.cache = cache;
+            return callDriver(this, 'watchTables', [table => this.invalidateCache(table)]).then(unwatch => {
+                this.unwatch = unwatch;
+                return true;
+            }, err => {
+                this.cache = null;
+                throw err;
+            });
+        });
+    }
+
+    /**
+     * Turns the cache off, dropping the rows kept and stopping watchTables
+     * 
+     * @returns {Promise<boolean>}
+     */
+    disableCache() {
+        let unwatch = this.unwatch;
+        this.cache = null;
+        this.unwatch = null;
+        if (typeof unwatch !== 'function') {
+            return Promise.resolve(true);
+        }
+        return Promise.resolve().then(() => unwatch()).then(() => true, err => {
+            throw DriverError.wrap('watchTables', err);
+        });
+    }
+
+    /**
+     * Drops the cached rows of a table, or of every table, such as after
+     * the table has been changed by another process. Its indexes are built
+     * again when next used.
+     * 
+     * @param {string|null} table The table name, null for every table
+     */
+    invalidateCache(table = null) {
+        if (this.cache) {
+            this.cache.invalidate(table);
+        }
+        let tables = table === null ? Object.keys(this.indexes || {}) : [table];
+        for (let name of tables) {
+            if (this.indexes && this.indexes[name]) {
+                Object.values(this.indexes[name]).forEach(index => index.clear());
+            }
+        }
+    }
+
+    /**
+     * Writes the rows changed by a statement. Inside a transaction they are
+     * kept until COMMIT, otherwise they are written together as their own
+     * transaction, so a statement which fails part way leaves the table as
+     * it was.
+     * 
+     * @param {string} table The table name
+     * @param {Array<{index:string|number|null,values:any}>} writes The rows to store, index null to insert and values null to remove
+     * @param {{[key:string]:any}} loaded The rows of the table, if already loaded
+     * @returns {Promise<Array<string>>} The key of each row written
+     */
+    writeRows(table, writes, loaded) {
+        let transaction = this.transaction || new Transaction();
+        let keys = writes.map(write => write.values === null
+            ? transaction.remove(table, write.index)
+            : transaction.store(table, write.index, write.values));
+
+        if (transaction === this.transaction) {
+            return Promise.resolve(keys);
+        }
+        return this.commitTransaction(transaction, loaded ? { [table]: loaded } : {}).then(stored => {
+            return keys.map(key => key in stored ? stored[key] : key);
+        });
+    }
+
+    /**
+     * Builds the structured result of a statement from the value it
+     * resolved with
+     * 
+     * @param {any} sqlobj The statement
+     * @param {any} value The selected rows, the Result of a write, or the result of any other statement
+     * @returns {Promise<Result>}
+     */
+    describeResult(sqlobj, value) {
+        let result = value instanceof Result ? value : new Result(sqlobj.type);
+        let columns = null;
+        if (sqlobj.type === 'select') {
+            result.rows = value;
+            columns = this.resultColumns(sqlobj.columns, sqlobj.from || [], value);
+        } else if (sqlobj.type === 'show_tables' || sqlobj.type === 'describe' || sqlobj.type === 'explain') {
+            result.rows = value;
+            columns = this.resultColumns('*', [], value);
+        } else if (value instanceof Result) {
+            if (sqlobj.returning) {
+                let from = sqlobj.type === 'delete' ? sqlobj.from : [{ table: sqlobj.table, as: null }];
+                columns = this.resultColumns(sqlobj.returning, from, result.rows);
+            }
+        } else if (sqlobj.type === 'transaction' && sqlobj.action === 'commit') {
+            result.keys = Object.assign({}, value);
+        }
+        return Promise.resolve(columns).then(columns => {
+            result.columns = columns || [];
+            return result;
+        });
+    }
+
+    /**
+     * Describes the columns of the rows returned by a statement. A column
+     * taken from a table with a known definition has its declared type and
+     * length, a computed column the type of its expression, and others, or
+     * expressions whose type can not be worked out, the type of their values.
+     * 
+     * @param {Array<any>|string} columns The select list, or '*'
+     * @param {Array<any>} from The tables the rows come from
+     * @param {Array<Object>} rows The rows
+     * @returns {Promise<Array<{name:string,type:string|null,length?:number}>>}
+     */
+    resultColumns(columns, from, rows) {
+        let tables = from.filter(table => table.table && !isSchemaTable(table));
+        let namespace = from.length > 1;
+        return Promise.all(tables.map(table => this.getDefinition(table.table))).then(definitions => {
+            let sources = {};
+            let names = [];
+            tables.forEach((table, n) => {
+                for (let column of definitions[n] || []) {
+                    let qualified = (table.as || table.table) + "." + column.name;
+                    sources[qualified] = column;
+                    if (!(column.name in sources)) sources[column.name] = column;
+                    names.push(namespace ? qualified : column.name);
+                }
+            });
+
+            let refs = {};
+            let exprs = {};
+            if (columns === '*') {
+                rows.forEach(row => names.push(...Object.keys(row)));
+            } else {
+                names = columns.map(col => {
+                    let name = this.columnName(col, namespace);
+                    if (col.expr.type === 'column_ref') {
+                        refs[name] = col.expr.table ? col.expr.table + "." + col.expr.column : col.expr.column;
+                    } else if (!(name in exprs)) {
+                        exprs[name] = col.expr;
+                    }
+                    return name;
+                });
+            }
+
+            let columnType = (ref) => {
+                let source = sources[ref.table ? ref.table + "." + ref.column : ref.column];
+                return source && source.type || null;
+            };
+            return Array.from(new Set(names)).map(name => {
+                let source = name in refs ? sources[refs[name]] : name in exprs ? null : sources[name];
+                if (!source || !source.type) {
+                    let type = name in exprs ? expressionType(exprs[name], columnType, this.functions || Functions) : null;
+                    return { name: name, type: type || valuesType(rows.map(row => row[name])) };
+                }
+                let column = { name: name, type: source.type };
+                if (Number.isInteger(source.length)) column.length = source.length;
+                return column;
+            });
+        });
+    }
+
+    /**
+     * Runs the SQL statement
+     * 
+     * @param {string} sql 
+     * @param {Array<any>|Object} params Values for the ? and $1 parameters in order, or for the :name parameters by name
+     * @param {{metadata?:boolean}} options With metadata true, resolve with a Result describing the rows and the rows written
+     * @returns {Promise<array>} Promise of array of selected rows, or of the keys of the rows inserted, updated or deleted
+     * @memberof AbstractDriver
+     */
+    runSQL(sql, params, options = {}) {
+        let query = { sql: sql, params: params, statement: null };
+        let start = performance.now();
+        let after = (result, error) => {
+            return Promise.resolve()
+                .then(() => this.afterQuery(Object.assign({ result: result, error: error, time: elapsed(start) }, query)))
+                .catch(() => null);
+        };
+
+        return callDriver(this, 'ready').then(() => {
+            // we are now authenticated
+            let sqlobj;
+            try {
+                sqlobj = parse(sql);
+            } catch (err) {
+                // look for syntax not supported by SQL parser
+                sqlobj = false;
+                for (var key in ExtendedSyntax) {
+                    if (ExtendedSyntax[key].re.test(sql)) {
+                        sqlobj = ExtendedSyntax[key].convert(sql);
+                    }
+                }
+                if (!sqlobj) {
+                    throw err;
+                }
+            }
+
+            bind(sqlobj, params);
+            query.statement = sqlobj;
+            return this.beforeQuery(query);
+        }).then(() => {
+            let sqlobj = query.statement;
+            // the statement EXPLAIN ANALYZE runs prepares its own subqueries
+            let prepared = sqlobj.type === 'explain' ? Promise.resolve(true) : this.prepareSubqueries(sqlobj);
+            return prepared.then(() => this.runStatement(sqlobj)).then(value => {
+                if (options.metadata) return this.describeResult(sqlobj, value);
+                // a write resolves with the rows it returns, or its keys
+                return value instanceof Result ? (sqlobj.returning ? value.rows : value.ids) : value;
+            });
+        }).then(value => after(value, null).then(() => value), err => after(null, err).then(() => { throw err; }));
+    }
+
+    /**
+     * Runs a parsed statement whose parameters have been bound
+     * 
+     * @param {any} sqlobj
+     * @returns {Promise<any>}
+     */
+    runStatement(sqlobj) {
+        switch(sqlobj.type) {
+            case 'select':
+                return this.doSelect(sqlobj);
+            case 'update':
+                return this.doUpdate(sqlobj);
+            case 'insert':
+            case 'replace':
+                return this.doInsert(sqlobj);
+            case 'delete':
+                return this.doDelete(sqlobj);
+            case 'create_table':
+                return this.doCreate(sqlobj);
+            case 'drop_table':
+                return this.doDrop(sqlobj);
+            case 'alter_table':
+                return this.doAlter(sqlobj);
+            case 'show_tables':
+                return this.doShowTables(sqlobj);
+            case 'describe':
+                return this.doDescribe(sqlobj);
+            case 'create_view':
+                return this.doCreateView(sqlobj);
+            case 'drop_view':
+                return this.doDropView(sqlobj);
+            case 'create_index':
+                return this.doCreateIndex(sqlobj);
+            case 'drop_index':
+                return this.doDropIndex(sqlobj);
+            case 'transaction':
+                return this.doTransaction(sqlobj);
+            case 'explain':
+                return this.doExplain(sqlobj);
+            default:
+                return Promise.reject(new UnsupportedFeatureError("Unsupported statement: " + sqlobj.type, sqlobj.type));
+        }
+    }
+
+    /**
+     * Executes the passed SQL
+     * 
+     * @param {string} sql 
+     * @param {Array<any>|Object} params Values for the ? and $1 parameters in order, or for the :name parameters by name
+     * @param {{metadata?:boolean}} options With metadata true, resolve with a Result describing the rows and the rows written
+     * @returns {Promise<array>} Promise of array of selected rows, or of the keys of the rows inserted, updated or deleted
+     * @memberof AbstractDriver
+     */
+    execute(sql, params, options) {
+        return this.runSQL(sql, params, options);
+    }
+
+    /**
+     * Executes the passed SQL
+     * 
+     * @param {string} sql 
+     * @param {Array<any>|Object} params Values for the ? and $1 parameters in order, or for the :name parameters by name
+     * @param {{metadata?:boolean}} options With metadata true, resolve with a Result describing the rows and the rows written
+     * @returns {Promise<array>} Promise of array of selected rows, or of the keys of the rows inserted, updated or deleted
+     * @memberof AbstractDriver
+     */
+    query(sql, params, options) {
+        return this.runSQL(sql, params, options);
+    }
+
+    /**
+     * Runs a SELECT and streams its rows. Queries of a single table which
+     * do not group or sort their rows run as the rows are read from the
+     * driver's loadStream, and stop reading once LIMIT has been reached.
+     * Other queries are run in full, and their rows streamed. beforeQuery
+     * is called before the query runs, but not afterQuery, as the rows are
+     * read after this returns.
+     * 
+     * @param {string} sql 
+     * @param {Array<any>|Object} params Values for the ? and $1 parameters in order, or for the :name parameters by name
+     * @returns {Readable} An object mode stream of the selected rows
+     */
+    queryStream(sql, params) {
+        return readable(callDriver(this, 'ready').then(() => {
+            let sqlobj = parse(sql);
+            if (sqlobj.type !== 'select') {
+                throw new UnsupportedFeatureError("queryStream can only run a SELECT", sqlobj.type);
+            }
+            bind(sqlobj, params);
+            let query = { sql: sql, params: params, statement: sqlobj };
+            return Promise.resolve(this.beforeQuery(query)).then(() => this.prepareSubqueries(sqlobj)).then(() => this.streamSelect(sqlobj)).then(rows => {
+                return rows || this.doSelect(sqlobj).then(rows => iterate(rows));
+            });
+        }));
+    }
+
+    /**
+     * Runs a script of statements separated by semicolons, in order.
+     * Semicolons in quoted strings and comments do not end a statement.
+     * 
+     * Unless continueOnError is set, the first statement which fails stops
+     * the script, and the promise rejects with its error. The error has the
+     * text of the statement as its statement property and the results of
+     * the statements before it as its results property. The line and
+     * column of a syntax error are those in the whole script.
+     * 
+     * @param {string} sql
+     * @param {{continueOnError?:boolean}} options With continueOnError true, run the remaining statements after one fails
+     * @returns {Promise<Array<{sql:string,result:any,error:any}>>} The text of each statement, with its result or its error
+     */
+    executeScript(sql, options = {}) {
+        let statements;
+        try {
+            statements = findStatements(sql);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        let results = [];
+        return statements.reduce((previous, statement) => previous.then(() => {
+            return this.runSQL(statement.sql).then(result => {
+                results.push({ sql: statement.sql, result: result, error: null });
+            }, err => {
+                err = locateError(err, sql, statement.offset);
+                if (!options.continueOnError) {
+                    if (err instanceof Error) {
+                        err.statement = statement.sql;
+                        err.results = results;
+                    }
+                    throw err;
+                }
+                results.push({ sql: statement.sql, result: null, error: err });
+            });
+        }), Promise.resolve()).then(() => results);
+    }
+
+    /**
+     * Runs the migration scripts in a directory which have not run yet, in
+     * order of version. Each file is named with its version number first,
+     * as in 001_create_users.sql, and the versions which have run are
+     * recorded in a table.
+     * 
+     * @param {string} directory
+     * @param {string} table The table the versions which have run are recorded in
+     * @returns {Promise<Array<{version:number,name:string}>>} The migrations run
+     */
+    migrate(directory, table = 'migrations') {
+        let migrator = new Migrator(this, table);
+        return loadMigrations(directory).then(migrations => migrator.migrate(migrations));
+    }
+
+    /* Optional Functions */
+
+    /**
+     * Loads the definition of a table, as passed to create(). Drivers which
+     * store table definitions should override this so that column types and
+     * constraints are enforced for tables created by an earlier process.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<Array<{name:string,index:number,type:string}>|null>} null if the definition is not known
+     */
+    loadDefinition(table) {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Loads the indexes of a table which were saved by createIndex in an
+     * earlier process. Their rows are indexed in memory when first used.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<Array<{name:string,columns:Array<string>}>>}
+     */
+    loadIndexes(table) {
+        return Promise.resolve([]);
+    }
+
+    /**
+     * Called by CREATE INDEX, drivers can save the index to be returned by
+     * loadIndexes later
+     * 
+     * @param {string} table The table name
+     * @param {string} name The index name
+     * @param {Array<string>} columns The indexed columns
+     * @returns {Promise<boolean>}
+     */
+    createIndex(table, name, columns) {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Called by DROP INDEX
+     * 
+     * @param {string} table The table name
+     * @param {string} name The index name
+     * @returns {Promise<boolean>}
+     */
+    dropIndex(table, name) {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Streams the rows of a table, for tables too large to load. When a
+     * driver returns a stream, SELECT, UPDATE and DELETE read the table
+     * from it instead of calling load.
+     * 
+     * @param {string} table The table name
+     * @returns {Iterable<Array<any>>|AsyncIterable<Array<any>>|null} The [key, row] entries of the table, such as from an async generator or an object mode Readable, or null to load the table with load
+     */
+    loadStream(table) {
+        return null;
+    }
+
+    /**
+     * Loads the rows of a table which match a WHERE clause, for backends
+     * which can filter rows themselves. The conditions ANDed together in the
+     * WHERE clause which can be expressed in a plain form are passed:
+     * {column, operator, value} for =, <>, <, <=, >, >=, LIKE and NOT LIKE,
+     * {column, operator, values} for IN, NOT IN, BETWEEN and NOT BETWEEN,
+     * {column, operator} for IS NULL and IS NOT NULL, and {and: [...]},
+     * {or: [...]} and {not: ...} for conditions combined with AND, OR and NOT.
+     * Conditions which are not handled are evaluated on the rows returned.
+     * Those which are handled may not be, so they must follow three-valued
+     * logic: no condition but IS NULL matches a NULL column, even negated.
+     * 
+     * @param {string} table The table name
+     * @param {Array<any>} predicate The conditions, all of which a row must match
+     * @param {Array<string>|null} columns The columns the statement uses, null if it uses them all. Other columns can be left out of the rows.
+     * @param {number|null} limit The number of matching rows the statement needs, null for all of them. Only apply it when handling every condition.
+     * @returns {Promise<{rows:Iterable<Array<any>>|AsyncIterable<Array<any>>,handled:boolean|Array<number>}|null>|null} The [key, row] entries of the rows, and true if every condition was handled or the positions of those which were, or null to load the table with load
+     */
+    loadWhere(table, predicate, columns, limit) {
+        return null;
+    }
+
+    /**
+     * Stores the rows of a table inserted and updated by a statement, or by
+     * a transaction when it is committed, in one call. Drivers which write
+     * whole files, or can send many rows in one request, should implement
+     * it. If it fails it should store none of the rows.
+     * 
+     * @param {string} table The table name
+     * @param {Array<{index:string|number|null,row:any}>} rows Each row's key and fields to store, as they are passed to store, index null to insert
+     * @returns {Promise<Array<string|number>>|null} The key of each row, in order, or null to store them one at a time with store
+     */
+    storeMany(table, rows) {
+        return null;
+    }
+
+    /**
+     * Removes the rows of a table deleted by a statement, or by a
+     * transaction when it is committed, in one call. If it fails it should
+     * remove none of the rows.
+     * 
+     * @param {string} table The table name
+     * @param {Array<string|number>} ids The row keys
+     * @returns {Promise<Array<string|number>>|null} The keys removed, or null to remove them one at a time with remove
+     */
+    removeMany(table, ids) {
+        return null;
+    }
+
+    /**
+     * Called before each statement is run, once it has been parsed and its
+     * parameters bound, such as to log it or to reject statements which are
+     * not allowed. If it throws or rejects, the statement is not run and
+     * rejects with its error. It can be overridden, or set on a driver.
+     * 
+     * @param {{sql:string,params:Array<any>|Object,statement:any}} query The SQL, its parameters and the parsed statement, whose type is select, insert, drop_table...
+     * @returns {Promise<any>|any}
+     */
+    beforeQuery(query) {
+        return null;
+    }
+
+    /**
+     * Called after each statement has run or failed, including statements
+     * which could not be parsed or were rejected by beforeQuery, such as to
+     * log it or record its time. An error it throws is ignored.
+     * 
+     * @param {{sql:string,params:Array<any>|Object,statement:any,result:any,error:any,time:number}} query The SQL, its parameters and the parsed statement, null if it could not be parsed, with its result or error and the milliseconds it took
+     * @returns {Promise<any>|any}
+     */
+    afterQuery(query) {
+        return null;
+    }
+
+    /**
+     * Called by enableCache, for drivers which can tell when their tables
+     * are changed by another process, such as with a file watcher. The
+     * driver calls changed with the name of each table changed, or with
+     * null if it can not tell which, and the cached rows are dropped.
+     * 
+     * @param {function(string|null):void} changed
+     * @returns {Promise<function():any|null>|function():any|null} A function which stops watching, called by disableCache, or null
+     */
+    watchTables(changed) {
+        return null;
+    }
+
+    /**
+     * Called by CREATE VIEW. Drivers which save the view definition can
+     * return it from loadView, so the view can be used by later processes.
+     * 
+     * @param {string} name The view name
+     * @param {{sql:string,columns:Array<string>|null}} definition The SELECT of the view, and the names given to its columns
+     * @returns {Promise<boolean>}
+     */
+    createView(name, definition) {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Called by DROP VIEW
+     * 
+     * @param {string} name The view name
+     * @returns {Promise<boolean>}
+     */
+    dropView(name) {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Loads the definition of a view, as passed to createView
+     * 
+     * @param {string} name The view name
+     * @returns {Promise<{sql:string,columns:Array<string>|null}|null>} null if there is no such view
+     */
+    loadView(name) {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Called by ALTER TABLE with the new definition of the table, before
+     * its rows are changed. Drivers which save table definitions should
+     * save the new one, and can change the rows themselves.
+     * 
+     * @param {string} table The table name
+     * @param {Array<{name:string,index:number,type:string}>|null} definition The new table definition, null if it is not known
+     * @param {{action:string,column:any,to:string|null}} change The change: add_column with the column's CREATE TABLE definition, drop_column or rename_column with the column name, and rename_table
+     * @returns {Promise<boolean>} true if the rows have been changed, false to have them changed through load and store
+     */
+    alter(table, definition, change) {
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Checks whether a table exists, for CREATE TABLE IF NOT EXISTS and
+     * DROP TABLE IF EXISTS. Drivers should override this if they can check
+     * the storage, by default a table exists if its definition is known or
+     * listTables lists it.
+     * 
+     * @param {string} table The table name
+     * @returns {Promise<boolean>}
+     */
+    tableExists(table) {
+        return this.getDefinition(table).then(definition => {
+            if (definition) return true;
+            return Promise.resolve(this.listTables()).then(names => !!names && names.indexOf(table) >= 0);
+        });
+    }
+
+    /**
+     * Lists the tables in the storage, for SHOW TABLES and information_schema
+     * 
+     * @returns {Promise<Array<string>|null>} null to list the tables whose definitions are known
+     */
+    listTables() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Called before the rows changed by a transaction, or by a single
+     * statement outside one, are written. Drivers whose storage has its own
+     * transactions can start one here.
+     * 
+     * @returns {Promise<boolean>} true if rollback() undoes the writes made since, false to have them undone by writing the old rows back
+     */
+    begin() {
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Called once all the rows changed by a transaction have been written
+     * 
+     * @returns {Promise<boolean>}
+     */
+    commit() {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Called when writing the rows changed by a transaction fails
+     * 
+     * @returns {Promise<boolean>}
      */
-    query(sql) {
-        return this.runSQL(sql);
+    rollback() {
+        return Promise.resolve(true);
     }
 
     /* Abstract Functions */
@@ -554,7 +2672,7 @@ class AbstractDriver {
      * @returns {Promise<{[key:string|number]:any}>} 
      */
     load(table) {
-        throw "load must be overridden in the implementing class";
+        throw new DriverError("load must be overridden in the implementing class", 'load');
     }
 
     /**
@@ -565,7 +2683,7 @@ class AbstractDriver {
      * @returns {number|string} Then index or object key which was stored
      */
     store(table, index, row) {
-        throw "store must be overridden in the implementing class";
+        throw new DriverError("store must be overridden in the implementing class", 'store');
     }
 
     /**
@@ -575,7 +2693,7 @@ class AbstractDriver {
      * @returns {Promise<any?>}
      */
     remove(table, index) {
-        throw "remove must be overridden in the implementing class";
+        throw new DriverError("remove must be overridden in the implementing class", 'remove');
     }
 
     /**
@@ -586,7 +2704,7 @@ class AbstractDriver {
      * @returns {Promise<boolean>}
      */
     create(table, definition) {
-        throw "create must be overridden in the implementing class";
+        throw new DriverError("create must be overridden in the implementing class", 'create');
     }
 
     /**
@@ -596,7 +2714,7 @@ class AbstractDriver {
      * @returns {Promise<boolean>}
      */
     drop(table) {
-        throw "drop must be overridden in the implementing class";
+        throw new DriverError("drop must be overridden in the implementing class", 'drop');
     }
     
     /**
@@ -605,7 +2723,7 @@ class AbstractDriver {
      * @returns {Promise<boolean>}
      */
     close() {
-        throw "close must be overridden in the implementing class";
+        throw new DriverError("close must be overridden in the implementing class", 'close');
     }
 
     /**
@@ -614,7 +2732,7 @@ class AbstractDriver {
      * @returns {Promise<boolean>}
      */
     ready() {
-        throw "ready must be overridden in the implementing class";
+        throw new DriverError("ready must be overridden in the implementing class", 'ready');
     }
 }
 
@@ -0,0 +1,171 @@
+/**
+ * A cache of the rows loaded from a driver, so a table read by several
+ * statements in a row, or twice by one statement, is loaded once. Each
+ * table is kept as a snapshot of its rows until it expires, is dropped to
+ * make room for another, or is invalidated by a write to the table.
+ */
+
+/**
+ * The milliseconds a table is kept for
+ */
+const DEFAULT_TTL = 60000;
+
+/**
+ * The number of tables kept
+ */
+const DEFAULT_MAX_TABLES = 32;
+
+/**
+ * The number of rows kept, of all the tables together
+ */
+const DEFAULT_MAX_ROWS = 100000;
+
+/**
+ * Copies the rows of a table, so changes to the copy do not change the
+ * snapshot
+ *
+ * @param {{[key:string]:any}} rows
+ * @returns {{[key:string]:any}}
+ */
+function copyRows(rows) {
+    let copy = {};
+    for (let key in rows) {
+        copy[key] = Object.assign({}, rows[key]);
+    }
+    return copy;
+}
+
+class TableCache {
+    /**
+     * @param {{ttl?:number,maxTables?:number,maxRows?:number}} options The milliseconds a table is kept for, 0 to keep it until it is invalidated, and the number of tables and rows kept
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl >= 0 ? options.ttl : DEFAULT_TTL;
+        this.maxTables = options.maxTables > 0 ? options.maxTables : DEFAULT_MAX_TABLES;
+        this.maxRows = options.maxRows > 0 ? options.maxRows : DEFAULT_MAX_ROWS;
+        // the least recently used table comes first
+        this.entries = new Map();
+        this.rows = 0;
+        // bumped when a table is invalidated, so a load started before then is not kept
+        this.versions = Object.create(null);
+        this.generation = 0;
+    }
+
+    /**
+     * Gets the snapshot of a table which has not expired
+     *
+     * @param {string} table The table name
+     * @returns {{rows:{[key:string]:any},count:number,expires:number}|null}
+     */
+    entry(table) {
+        let entry = this.entries.get(table);
+        if (!entry) return null;
+        if (entry.expires !== null && entry.expires <= Date.now()) {
+            this.delete(table);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Checks if the rows of a table are cached
+     *
+     * @param {string} table The table name
+     * @returns {boolean}
+     */
+    has(table) {
+        return this.entry(table) !== null;
+    }
+
+    /**
+     * Loads the rows of a table from the cache, or with the load function
+     * if they are not cached, and then keeps them
+     *
+     * @param {string} table The table name
+     * @param {function(string):Promise<{[key:string]:any}>} load Loads the rows from the driver
+     * @returns {Promise<{[key:string]:any}>} A copy of the rows, which can be changed
+     */
+    load(table, load) {
+        let entry = this.entry(table);
+        if (entry) {
+            // the table is now the most recently used
+            this.entries.delete(table);
+            this.entries.set(table, entry);
+            return Promise.resolve(copyRows(entry.rows));
+        }
+
+        let version = this.version(table);
+        return load(table).then(rows => {
+            if (this.version(table) === version) {
+                this.set(table, copyRows(rows));
+            }
+            return rows;
+        });
+    }
+
+    /**
+     * Keeps the rows of a table, making room for them by dropping the least
+     * recently used tables. A table with more rows than are kept is not.
+     *
+     * @param {string} table The table name
+     * @param {{[key:string]:any}} rows
+     */
+    set(table, rows) {
+        let count = Object.keys(rows).length;
+        this.delete(table);
+        if (count > this.maxRows) return;
+
+        for (let oldest of this.entries.keys()) {
+            if (this.entries.size < this.maxTables && this.rows + count <= this.maxRows) break;
+            this.delete(oldest);
+        }
+        this.entries.set(table, { rows: rows, count: count, expires: this.ttl ? Date.now() + this.ttl : null });
+        this.rows += count;
+    }
+
+    /**
+     * Drops the rows of a table
+     *
+     * @param {string} table The table name
+     */
+    delete(table) {
+        let entry = this.entries.get(table);
+        if (entry) {
+            this.rows -= entry.count;
+            this.entries.delete(table);
+        }
+    }
+
+    /**
+     * Drops the rows of a table, or of every table, because they have
+     * changed. Loads which started before are not kept when they finish.
+     *
+     * @param {string|null} table The table name, null for every table
+     */
+    invalidate(table = null) {
+        if (table === null) {
+            this.entries.clear();
+            this.rows = 0;
+            this.versions = Object.create(null);
+            this.generation++;
+            return;
+        }
+        this.delete(table);
+        this.versions[table] = (this.versions[table] || 0) + 1;
+    }
+
+    /**
+     * The number of times a table has been invalidated, with those of the
+     * whole cache
+     *
+     * @param {string} table The table name
+     * @returns {string}
+     */
+    version(table) {
+        return this.generation + ":" + (this.versions[table] || 0);
+    }
+}
+
+module.exports = {
+    TableCache: TableCache
+};
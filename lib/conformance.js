@@ -0,0 +1,274 @@
+/**
+ * A conformance suite for drivers built on AbstractDriver. Each case runs
+ * SQL through a new driver and checks the rows that come back, so a driver
+ * which loads, stores and removes rows correctly passes them all, as do
+ * the optional methods such as loadWhere and storeMany when it has them.
+ *
+ *     runConformance(() => new MyDriver(options)).then(report => {
+ *         report.results.filter(result => !result.passed).forEach(result => console.log(result.name, result.error));
+ *     });
+ */
+
+var assert = require('assert');
+
+/**
+ * The tables each case starts with
+ */
+const FIXTURE = [
+    "CREATE TABLE users (id INTEGER PRIMARY KEY, name VARCHAR(40) NOT NULL, age INTEGER, city VARCHAR(40))",
+    "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total FLOAT, note TEXT)",
+    "INSERT INTO users (id, name, age, city) VALUES (1, 'Ann', 34, 'Oslo'), (2, 'Bob', 27, 'Rome'), (3, 'Cid', 41, 'Oslo'), (4, 'Dee', NULL, NULL)",
+    "INSERT INTO orders (id, user_id, total, note) VALUES (1, 1, 10.5, '100% cotton'), (2, 1, 4.5, 'a_b'), (3, 2, 20, 'axb'), (4, 3, 7, 'a.b'), (5, 9, 1, NULL)"
+];
+
+/**
+ * Each case is a query and the rows it should return, or a function run
+ * against the driver which rejects if the driver is wrong
+ */
+const CASES = [
+    {
+        name: "SELECT all rows",
+        sql: "SELECT id, name FROM users ORDER BY id",
+        expected: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Cid' }, { id: 4, name: 'Dee' }]
+    },
+    {
+        name: "SELECT * has every column",
+        sql: "SELECT * FROM users WHERE id = 4",
+        expected: [{ id: 4, name: 'Dee', age: null, city: null }]
+    },
+    {
+        name: "SELECT with WHERE, AND and OR",
+        sql: "SELECT name FROM users WHERE (age > 30 AND city = 'Oslo') OR id = 2 ORDER BY name",
+        expected: [{ name: 'Ann' }, { name: 'Bob' }, { name: 'Cid' }]
+    },
+    {
+        name: "SELECT with NULL conditions",
+        sql: "SELECT name FROM users WHERE city IS NULL OR age <> 27 ORDER BY name",
+        expected: [{ name: 'Ann' }, { name: 'Cid' }, { name: 'Dee' }]
+    },
+    {
+        name: "Negated conditions do not match NULL",
+        run: (driver) => {
+            // without ORDER BY the rows are streamed, and the conditions the driver handled are not tested again
+            let ids = (sql) => driver.query(sql).then(rows => rows.map(row => row.id).sort((a, b) => a - b));
+            return ids("SELECT id FROM users WHERE city <> 'Rome'")
+                .then(found => assert.deepStrictEqual(found, [1, 3]))
+                .then(() => ids("SELECT id FROM users WHERE NOT (age > 30)"))
+                .then(found => assert.deepStrictEqual(found, [2]))
+                .then(() => ids("SELECT id FROM users WHERE city NOT IN ('Rome')"))
+                .then(found => assert.deepStrictEqual(found, [1, 3]))
+                .then(() => ids("SELECT id FROM users WHERE city NOT LIKE 'R%'"))
+                .then(found => assert.deepStrictEqual(found, [1, 3]))
+                .then(() => ids("SELECT id FROM users WHERE age NOT BETWEEN 30 AND 40"))
+                .then(found => assert.deepStrictEqual(found, [2, 3]))
+                .then(() => ids("SELECT id FROM users WHERE NOT (city = 'Oslo' OR age < 30)"))
+                .then(found => assert.deepStrictEqual(found, []));
+        }
+    },
+    {
+        name: "SELECT with IN and BETWEEN",
+        sql: "SELECT id FROM users WHERE id IN (1, 2, 3) AND age BETWEEN 30 AND 50 ORDER BY id",
+        expected: [{ id: 1 }, { id: 3 }]
+    },
+    {
+        name: "SELECT with parameters",
+        sql: "SELECT name FROM users WHERE city = ? AND age > ? ORDER BY id",
+        params: ['Oslo', 35],
+        expected: [{ name: 'Cid' }]
+    },
+    {
+        name: "SELECT DISTINCT with LIMIT and OFFSET",
+        sql: "SELECT DISTINCT city FROM users WHERE city IS NOT NULL ORDER BY city LIMIT 1 OFFSET 1",
+        expected: [{ city: 'Rome' }]
+    },
+    {
+        name: "SELECT expressions and functions",
+        sql: "SELECT UPPER(name) AS upper, COALESCE(city, 'none') AS city, age + 1 AS next FROM users WHERE id IN (2, 4) ORDER BY id",
+        expected: [{ upper: 'BOB', city: 'Rome', next: 28 }, { upper: 'DEE', city: 'none', next: null }]
+    },
+    {
+        name: "INNER JOIN",
+        sql: "SELECT u.name, o.total FROM users u JOIN orders o ON o.user_id = u.id ORDER BY o.id",
+        expected: [
+            { 'u.name': 'Ann', 'o.total': 10.5 },
+            { 'u.name': 'Ann', 'o.total': 4.5 },
+            { 'u.name': 'Bob', 'o.total': 20 },
+            { 'u.name': 'Cid', 'o.total': 7 }
+        ]
+    },
+    {
+        name: "LEFT JOIN fills NULLs",
+        sql: "SELECT u.name AS name, o.id AS order_id FROM users u LEFT JOIN orders o ON o.user_id = u.id WHERE u.id > 2 ORDER BY u.id",
+        expected: [{ name: 'Cid', order_id: 4 }, { name: 'Dee', order_id: null }]
+    },
+    {
+        name: "Aggregates",
+        sql: "SELECT COUNT(*) AS n, COUNT(user_id) AS users, SUM(total) AS sum, AVG(total) AS avg, MIN(total) AS lo, MAX(total) AS hi FROM orders",
+        expected: [{ n: 5, users: 5, sum: 43, avg: 8.6, lo: 1, hi: 20 }]
+    },
+    {
+        name: "Aggregates of no rows",
+        sql: "SELECT COUNT(*) AS n, SUM(total) AS sum FROM orders WHERE total > 1000",
+        expected: [{ n: 0, sum: null }]
+    },
+    {
+        name: "GROUP BY and HAVING",
+        sql: "SELECT city, COUNT(*) AS n, MAX(age) AS oldest FROM users GROUP BY city HAVING n > 1 OR city = 'Rome' ORDER BY city",
+        expected: [{ city: 'Oslo', n: 2, oldest: 41 }, { city: 'Rome', n: 1, oldest: 27 }]
+    },
+    {
+        name: "LIKE wildcards",
+        sql: "SELECT id FROM orders WHERE note LIKE 'a_b' ORDER BY id",
+        expected: [{ id: 2 }, { id: 3 }, { id: 4 }]
+    },
+    {
+        name: "LIKE escaped underscore",
+        sql: "SELECT id FROM orders WHERE note LIKE ? ORDER BY id",
+        params: ['a\\_b'],
+        expected: [{ id: 2 }]
+    },
+    {
+        name: "LIKE escaped percent",
+        sql: "SELECT id FROM orders WHERE note LIKE ? ORDER BY id",
+        params: ['100\\%%'],
+        expected: [{ id: 1 }]
+    },
+    {
+        name: "LIKE treats regular expression characters literally",
+        sql: "SELECT id FROM orders WHERE note LIKE 'a.b' OR note LIKE '%(%' ORDER BY id",
+        expected: [{ id: 4 }]
+    },
+    {
+        name: "INSERT stores typed values",
+        run: (driver) => {
+            return driver.execute("CREATE TABLE typed (id INTEGER PRIMARY KEY, price FLOAT, active BOOLEAN, born DATE, label VARCHAR(3))").then(() => {
+                return driver.execute("INSERT INTO typed (id, price, active, born, label) VALUES (1, '2.5', 'yes', '2018-07-19', 'abcdef')");
+            }).then(ids => {
+                assert.strictEqual(ids.length, 1);
+                return driver.query("SELECT * FROM typed");
+            }).then(rows => {
+                assert.strictEqual(rows.length, 1);
+                assert.strictEqual(rows[0].price, 2.5);
+                assert.strictEqual(rows[0].active, true);
+                assert.ok(rows[0].born instanceof Date, "DATE values are read back as Dates");
+                assert.strictEqual(rows[0].born.getTime(), new Date('2018-07-19').getTime());
+                assert.strictEqual(rows[0].label, 'abc');
+            });
+        }
+    },
+    {
+        name: "INSERT gives each row its own key",
+        run: (driver) => {
+            return driver.execute("INSERT INTO orders (id, user_id, total) VALUES (6, 1, 1), (7, 1, 2), (8, 1, 3)").then(ids => {
+                assert.strictEqual(ids.length, 3);
+                assert.strictEqual(new Set(ids.map(String)).size, 3, "the keys are different");
+                return driver.query("SELECT COUNT(*) AS n FROM orders");
+            }).then(rows => assert.deepStrictEqual(rows, [{ n: 8 }]));
+        }
+    },
+    {
+        name: "UPDATE changes only the rows and columns given",
+        run: (driver) => {
+            return driver.execute("UPDATE users SET age = age + 1, city = 'Bern' WHERE city = 'Oslo'").then(ids => {
+                assert.strictEqual(ids.length, 2);
+                return driver.query("SELECT id, name, age, city FROM users ORDER BY id");
+            }).then(rows => assert.deepStrictEqual(rows, [
+                { id: 1, name: 'Ann', age: 35, city: 'Bern' },
+                { id: 2, name: 'Bob', age: 27, city: 'Rome' },
+                { id: 3, name: 'Cid', age: 42, city: 'Bern' },
+                { id: 4, name: 'Dee', age: null, city: null }
+            ]));
+        }
+    },
+    {
+        name: "DELETE removes only the rows matched",
+        run: (driver) => {
+            return driver.execute("DELETE FROM orders WHERE total < 8").then(ids => {
+                assert.strictEqual(ids.length, 3);
+                return driver.query("SELECT id FROM orders ORDER BY id");
+            }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }]));
+        }
+    },
+    {
+        name: "A failed write stores nothing",
+        run: (driver) => {
+            return driver.execute("INSERT INTO users (id, name) VALUES (5, 'Eve'), (1, 'Dup')").then(() => {
+                throw new assert.AssertionError({ message: "a duplicate PRIMARY KEY is rejected" });
+            }, err => {
+                if (err instanceof assert.AssertionError) throw err;
+                return driver.query("SELECT COUNT(*) AS n FROM users");
+            }).then(rows => assert.deepStrictEqual(rows, [{ n: 4 }]));
+        }
+    },
+    {
+        name: "Transactions commit and roll back",
+        run: (driver) => {
+            return driver.execute("BEGIN")
+                .then(() => driver.execute("DELETE FROM orders WHERE user_id = 1"))
+                .then(() => driver.execute("ROLLBACK"))
+                .then(() => driver.execute("BEGIN"))
+                .then(() => driver.execute("INSERT INTO orders (id, user_id, total) VALUES (6, 4, 2)"))
+                .then(() => driver.execute("UPDATE orders SET total = 5 WHERE id = 5"))
+                .then(() => driver.execute("COMMIT"))
+                .then(() => driver.query("SELECT id, total FROM orders ORDER BY id"))
+                .then(rows => assert.deepStrictEqual(rows, [
+                    { id: 1, total: 10.5 }, { id: 2, total: 4.5 }, { id: 3, total: 20 }, { id: 4, total: 7 }, { id: 5, total: 5 }, { id: 6, total: 2 }
+                ]));
+        }
+    },
+    {
+        name: "DROP TABLE removes the table",
+        run: (driver) => {
+            return driver.execute("DROP TABLE orders").then(() => driver.query("SELECT * FROM orders")).then(() => {
+                throw new assert.AssertionError({ message: "a dropped table can not be read" });
+            }, err => {
+                if (err instanceof assert.AssertionError) throw err;
+            });
+        }
+    }
+];
+
+/**
+ * Runs one case against a new driver
+ *
+ * @param {function():any} createDriver
+ * @param {any} test The case
+ * @returns {Promise<any>} Rejects if the case fails
+ */
+function runCase(createDriver, test) {
+    return Promise.resolve().then(createDriver).then(driver => {
+        let run = FIXTURE.reduce((previous, sql) => previous.then(() => driver.execute(sql)), driver.ready()).then(() => {
+            if (test.run) {
+                return test.run(driver);
+            }
+            return driver.query(test.sql, test.params || []).then(rows => assert.deepStrictEqual(rows, test.expected));
+        });
+        // the driver is closed whether the case passes or not
+        return run.then(() => driver.close(), err => Promise.resolve(driver.close()).catch(() => null).then(() => { throw err; }));
+    });
+}
+
+/**
+ * Runs the conformance cases, one at a time, each against a new driver
+ * with empty storage
+ *
+ * @param {function():AbstractDriver|Promise<AbstractDriver>} createDriver Returns a new driver, such as one with a new temporary file
+ * @returns {Promise<{passed:number,failed:number,results:Array<{name:string,passed:boolean,error:any}>}>}
+ */
+function runConformance(createDriver) {
+    let report = { passed: 0, failed: 0, results: [] };
+    return CASES.reduce((previous, test) => previous.then(() => {
+        return runCase(createDriver, test).then(() => {
+            report.passed++;
+            report.results.push({ name: test.name, passed: true, error: null });
+        }, err => {
+            report.failed++;
+            report.results.push({ name: test.name, passed: false, error: err });
+        });
+    }), Promise.resolve()).then(() => report);
+}
+
+module.exports = {
+    CASES: CASES,
+    runConformance: runConformance
+};
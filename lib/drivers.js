@@ -0,0 +1,19 @@
+/**
+ * The abstract driver with the drivers included with it and the driver
+ * conformance suite, as plain exports so that classes extending
+ * AbstractDriver do not inherit them.
+ *
+ *     const { AbstractDriver, MemoryDriver, runConformance } = require('database-js-sqlparser/lib/drivers');
+ */
+
+var AbstractDriver = require('../index');
+var { MemoryDriver } = require('./memory');
+var { JsonFileDriver } = require('./jsonfile');
+var { runConformance } = require('./conformance');
+
+module.exports = {
+    AbstractDriver: AbstractDriver,
+    MemoryDriver: MemoryDriver,
+    JsonFileDriver: JsonFileDriver,
+    runConformance: runConformance
+};
@@ -0,0 +1,142 @@
+/**
+ * The errors statements reject with. Each is an SQLError, so callers can
+ * tell errors in the SQL or the data from other failures, and check the
+ * kind of error with instanceof rather than by its message.
+ */
+
+class SQLError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SQLError';
+    }
+}
+
+/**
+ * SQL which can not be parsed, with the position the parser stopped at
+ */
+class SyntaxError extends SQLError {
+    /**
+     * @param {string} message
+     * @param {number} line The line, from 1
+     * @param {number} column The column, from 1
+     * @param {number} offset The offset in the SQL text, from 0
+     */
+    constructor(message, line, column, offset) {
+        super(message);
+        this.name = 'SyntaxError';
+        this.line = line;
+        this.column = column;
+        this.offset = offset;
+    }
+}
+
+/**
+ * SQL which parses, but uses a statement, type or expression which is not
+ * supported
+ */
+class UnsupportedFeatureError extends SQLError {
+    /**
+     * @param {string} message
+     * @param {string} feature The statement, type or expression not supported
+     */
+    constructor(message, feature) {
+        super(message);
+        this.name = 'UnsupportedFeatureError';
+        this.feature = feature;
+    }
+}
+
+/**
+ * SQL which parses, but can not run as it is written, such as a statement
+ * naming a column, table, view or index which does not exist, or creating
+ * one which already does
+ */
+class QueryError extends SQLError {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+/**
+ * A write which breaks a NOT NULL, CHECK, PRIMARY KEY or UNIQUE constraint,
+ * or a value which does not fit the type of its column
+ */
+class ConstraintError extends SQLError {
+    /**
+     * @param {string} message
+     * @param {string} constraint NOT NULL, CHECK, PRIMARY KEY, UNIQUE or TYPE
+     * @param {string} table The table name
+     * @param {Array<string>} columns The columns of the constraint
+     */
+    constructor(message, constraint, table, columns) {
+        super(message);
+        this.name = 'ConstraintError';
+        this.constraint = constraint;
+        this.table = table;
+        this.columns = columns;
+    }
+}
+
+/**
+ * A driver method which threw or rejected, with the error it failed with
+ * as its cause
+ */
+class DriverError extends SQLError {
+    /**
+     * @param {string} message
+     * @param {string} method The driver method, such as load or store
+     * @param {any} cause The error the method failed with, null if it is not implemented
+     */
+    constructor(message, method, cause = null) {
+        super(message);
+        this.name = 'DriverError';
+        this.method = method;
+        this.cause = cause;
+    }
+
+    /**
+     * Wraps the error a driver method failed with. SQLErrors, such as a
+     * ConstraintError a driver checks itself, are returned as they are.
+     *
+     * @param {string} method The driver method
+     * @param {any} err The error it threw or rejected with, which need not be an Error
+     * @returns {SQLError}
+     */
+    static wrap(method, err) {
+        if (err instanceof SQLError) return err;
+        let message = err instanceof Error ? err.message : String(err);
+        return new DriverError("Driver " + method + " failed: " + message, method, err);
+    }
+}
+
+/**
+ * Calls a method of a driver, turning a value it returns into a promise
+ * and an error it throws or rejects with into a DriverError
+ *
+ * @param {any} driver
+ * @param {string} method The method name
+ * @param {Array<any>} args
+ * @returns {Promise<any>}
+ */
+function callDriver(driver, method, args = []) {
+    return Promise.resolve()
+        .then(() => driver[method].apply(driver, args))
+        .catch(err => { throw DriverError.wrap(method, err); });
+}
+
+module.exports = {
+    SQLError: SQLError,
+    SyntaxError: SyntaxError,
+    UnsupportedFeatureError: UnsupportedFeatureError,
+    QueryError: QueryError,
+    ConstraintError: ConstraintError,
+    DriverError: DriverError,
+    callDriver: callDriver
+};
@@ -0,0 +1,536 @@
+/**
+ * Evaluates expression trees against a row of data.
+ *
+ * Evaluation follows SQL three-valued logic: NULL (null or undefined) is
+ * unknown, comparisons involving an unknown value are unknown, and AND / OR /
+ * NOT propagate unknown the way the standard describes.
+ */
+
+var { UnsupportedFeatureError, QueryError } = require('./errors');
+
+/**
+ * Converts a value to true, false or null (unknown)
+ *
+ * @param {any} value
+ * @returns {boolean|null}
+ */
+function truth(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0 && !isNaN(value);
+    if (typeof value === 'string') {
+        let lower = value.trim().toLowerCase();
+        if (lower === 'true') return true;
+        if (lower === 'false') return false;
+        if (lower !== '' && !isNaN(lower)) return Number(lower) !== 0;
+        return lower.length > 0;
+    }
+    return true;
+}
+
+/**
+ * Converts a value to a Date. Strings without a timezone are read as UTC.
+ *
+ * @param {any} value A Date, a millisecond timestamp, 'now' or a date string
+ * @returns {Date|null} null if the value is not a valid date
+ */
+function toDate(value) {
+    if (value === null || value === undefined) return null;
+    let date;
+    if (value instanceof Date) {
+        date = new Date(value.getTime());
+    } else if (typeof value === 'number') {
+        date = new Date(value);
+    } else if (String(value).toLowerCase() === 'now') {
+        date = new Date();
+    } else {
+        let text = String(value).trim();
+        let match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?(Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+        if (match) {
+            text = match[1] + 'T' + (match[2] || '00:00:00') + (match[3] || 'Z');
+        }
+        date = new Date(text);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * True if the value is a number or a string holding a number
+ *
+ * @param {any} value
+ */
+function isNumeric(value) {
+    if (typeof value === 'number') return !isNaN(value);
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(value);
+}
+
+/**
+ * Compares two values. Returns a negative number, zero or a positive number,
+ * or null if either side is NULL.
+ *
+ * Numbers compare numerically with numeric strings, dates compare by time and
+ * everything else compares as strings.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {number|null}
+ */
+function compare(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+
+    // a date compared with a string compares as dates if the string is one
+    if (a instanceof Date && typeof b === 'string' && toDate(b)) b = toDate(b);
+    if (b instanceof Date && typeof a === 'string' && toDate(a)) a = toDate(a);
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    if (typeof a === 'boolean') a = a ? 1 : 0;
+    if (typeof b === 'boolean') b = b ? 1 : 0;
+
+    if ((typeof a === 'number' || typeof b === 'number') && isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+
+    a = trimPad(String(a));
+    b = trimPad(String(b));
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Drops the trailing spaces of a string. They are not significant when
+ * strings are compared, so a CHARACTER(n) value, which is stored padded to
+ * its length, equals the value it was padded from.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function trimPad(text) {
+    return text.replace(/ +$/, '');
+}
+
+/**
+ * Converts a LIKE pattern into a regular expression. % matches any run of
+ * characters, _ matches a single character and a backslash escapes either.
+ *
+ * @param {string} like
+ * @returns {RegExp}
+ */
+function like2RegExp(like) {
+    let restring = '';
+    for (let n = 0; n < like.length; n++) {
+        let c = like[n];
+        if (c === '\\' && n + 1 < like.length) {
+            c = like[++n];
+            restring += c.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+        } else if (c === '%') {
+            restring += '[\\s\\S]*?';
+        } else if (c === '_') {
+            restring += '[\\s\\S]';
+        } else {
+            restring += c.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + restring + '$');
+}
+
+/**
+ * Looks up a column reference in the current row.
+ *
+ * Rows from joined tables are keyed as "table.column"; an unqualified
+ * reference into such a row matches the first column with that name.
+ *
+ * @param {{type:string,table:string,column:string}} ref
+ * @param {{row:any,namespace:boolean}} scope
+ * @returns {any}
+ */
+function getColumn(ref, scope) {
+    let row = scope.row || {};
+    let has = (key) => Object.prototype.hasOwnProperty.call(row, key);
+
+    // a column of the outer query, in a correlated subquery
+    if (ref.outer && scope.outer && scope.outer.has(outerName(ref))) {
+        return scope.outer.get(outerName(ref));
+    }
+
+    if (ref.table && (scope.namespace || has(ref.table + "." + ref.column))) {
+        let key = ref.table + "." + ref.column;
+        return has(key) ? row[key] : null;
+    }
+    if (has(ref.column)) {
+        return row[ref.column];
+    }
+    if (scope.namespace) {
+        let suffix = "." + ref.column;
+        for (let key in row) {
+            if (key.slice(-suffix.length) === suffix) return row[key];
+        }
+    }
+    return null;
+}
+
+/**
+ * The name the value of an outer query column is kept under while a
+ * correlated subquery runs
+ *
+ * @param {{table?:string,column:string}} ref
+ * @returns {string}
+ */
+function outerName(ref) {
+    return (ref.table ? ref.table + "." : "") + ref.column;
+}
+
+/**
+ * Runs a subquery, returning its result rows
+ *
+ * @param {any} select The SELECT
+ * @param {any} scope
+ * @returns {Array<Object>}
+ */
+function subquery(select, scope) {
+    if (typeof scope.subquery !== 'function') {
+        throw new UnsupportedFeatureError("Subqueries are not supported here", 'subquery');
+    }
+    return scope.subquery(select, scope);
+}
+
+/**
+ * Runs a subquery which must return a single column, returning the
+ * value of that column in each row
+ *
+ * @param {any} select
+ * @param {any} scope
+ * @returns {Array<any>}
+ */
+function subqueryValues(select, scope) {
+    return subquery(select, scope).map(row => {
+        let values = Object.values(row);
+        if (values.length !== 1) {
+            throw new QueryError("Subquery must return a single column");
+        }
+        return values[0];
+    });
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    let n = Number(value);
+    return isNaN(n) ? null : n;
+}
+
+function arithmetic(operator, left, right) {
+    let a = toNumber(left), b = toNumber(right);
+    if (a === null || b === null) return null;
+
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+    }
+}
+
+function and(a, b) {
+    if (a === false || b === false) return false;
+    if (a === null || b === null) return null;
+    return true;
+}
+
+function or(a, b) {
+    if (a === true || b === true) return true;
+    if (a === null || b === null) return null;
+    return false;
+}
+
+function not(a) {
+    return a === null ? null : !a;
+}
+
+/**
+ * Evaluates IN against a list, NULL aware
+ */
+function inList(value, list) {
+    if (value === null || value === undefined) return null;
+    let unknown = false;
+    for (let item of list) {
+        let cmp = compare(value, item);
+        if (cmp === 0) return true;
+        if (cmp === null) unknown = true;
+    }
+    return unknown ? null : false;
+}
+
+/**
+ * Evaluates IS, which unlike = treats two NULLs as equal and never
+ * returns unknown
+ */
+function is(left, right) {
+    if (right === null || right === undefined) return left === null || left === undefined;
+    if (typeof right === 'boolean') return truth(left) === right;
+    if (left === null || left === undefined) return false;
+    return compare(left, right) === 0;
+}
+
+/**
+ * A key identifying a value for grouping, DISTINCT and hashing. Values
+ * which compare as equal share a key, so 1, '1' and TRUE do, and strings
+ * are keyed without their trailing spaces. The exception is a Date and a
+ * string naming the same date. Values with the same key do not always
+ * compare as equal, as '1' and '01' both have the key of 1.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function valueKey(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return 'n:' + value.getTime();
+    if (typeof value === 'boolean') return 'n:' + (value ? 1 : 0);
+    if (typeof value === 'number') return 'n:' + value;
+    let text = String(value);
+    if (text.trim() !== '' && !isNaN(text)) return 'n:' + Number(text);
+    return textKey(text);
+}
+
+/**
+ * The key of a string compared as a string, such as the value of a text
+ * column, without its trailing spaces
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function textKey(text) {
+    return 's:' + trimPad(text);
+}
+
+/**
+ * Aggregate functions. Each receives the non NULL values of its argument for
+ * every row in the group.
+ */
+const Aggregates = {
+    COUNT: (values) => values.length,
+    SUM: (values) => values.length ? values.reduce((sum, value) => sum + Number(value), 0) : null,
+    AVG: (values) => values.length ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null,
+    MIN: (values) => values.reduce((min, value) => min === null || compare(value, min) < 0 ? value : min, null),
+    MAX: (values) => values.reduce((max, value) => max === null || compare(value, max) > 0 ? value : max, null)
+};
+
+/**
+ * Evaluates an aggregate function over the rows of the current group
+ *
+ * @param {any} expr The aggr_func node
+ * @param {any} scope The scope, scope.group holds the rows of the group
+ */
+function aggregate(expr, scope) {
+    let name = expr.name.toUpperCase();
+    if (!scope.group) {
+        throw new QueryError("Aggregate function " + name + " is not allowed here");
+    }
+    if (!Aggregates[name]) {
+        throw new UnsupportedFeatureError("Unknown aggregate function " + name, name);
+    }
+    if (expr.args.expr.type === 'star') {
+        return scope.group.length;
+    }
+
+    let values = [];
+    let seen = new Set();
+    for (let row of scope.group) {
+        let value = evaluate(expr.args.expr, Object.assign({}, scope, { row: row, group: null }));
+        if (value === null || value === undefined) continue;
+        if (expr.args.distinct) {
+            let key = valueKey(value);
+            if (seen.has(key)) continue;
+            seen.add(key);
+        }
+        values.push(value);
+    }
+    return Aggregates[name](values);
+}
+
+/**
+ * True if the expression contains an aggregate function call
+ *
+ * @param {any} expr
+ * @returns {boolean}
+ */
+function hasAggregate(expr) {
+    if (expr === null || typeof expr !== 'object') return false;
+    if (expr.type === 'aggr_func') return true;
+    // the aggregates of a subquery are its own
+    if (expr.type === 'select') return false;
+    if (Array.isArray(expr)) return expr.some(hasAggregate);
+    return Object.keys(expr).some(key => typeof expr[key] === 'object' && hasAggregate(expr[key]));
+}
+
+/**
+ * Returns a copy of an expression tree with nodes replaced. The callback is
+ * called for each node, parents before children; if it returns a value that
+ * value replaces the node and its children are not visited.
+ *
+ * @param {any} expr The expression tree, it is not modified
+ * @param {function(any):any} replace Returns a replacement node or undefined
+ * @returns {any}
+ */
+function transform(expr, replace) {
+    if (expr === null || typeof expr !== 'object') return expr;
+    if (Array.isArray(expr)) return expr.map(item => transform(item, replace));
+
+    let replacement = expr.type ? replace(expr) : undefined;
+    if (replacement !== undefined) return replacement;
+    // subqueries are left as they are, their names are their own
+    if (expr.type === 'select') return expr;
+
+    let copy = {};
+    for (let key in expr) {
+        copy[key] = typeof expr[key] === 'object' ? transform(expr[key], replace) : expr[key];
+    }
+    return copy;
+}
+
+/**
+ * Evaluates an expression
+ *
+ * @param {any} expr The expression tree
+ * @param {{row:any,namespace:boolean,functions:Object<string,function>,group?:Array<any>,outer?:Map<string,any>,subquery?:function(any, any):Array<Object>}} scope The row being evaluated, whether its columns are namespaced, the scalar functions by upper case name, for aggregates the rows of the group, in a correlated subquery the values of the outer query's columns, and the function which runs subqueries
+ * @returns {any}
+ */
+function evaluate(expr, scope) {
+    if (expr === null || expr === undefined) return null;
+
+    let value = (e) => evaluate(e, scope);
+    let bool = (e) => truth(evaluate(e, scope));
+
+    switch (expr.type) {
+        case 'column_ref':
+            return getColumn(expr, scope);
+        case 'number':
+            return Number(expr.value);
+        case 'string':
+        case 'bool':
+            return expr.value;
+        case 'null':
+            return null;
+        case 'param':
+            if ('bound' in expr) return expr.bound;
+            throw new QueryError("No value bound for parameter " + (expr.value === '?' || expr.value[0] === '$' ? expr.value : ':' + expr.value));
+        case 'expr_list':
+            return expr.value.map(value);
+        case 'aggr_func':
+            return aggregate(expr, scope);
+        case 'select': {
+            let values = subqueryValues(expr, scope);
+            if (values.length > 1) {
+                throw new QueryError("Subquery used as a value returned more than one row");
+            }
+            return values.length ? values[0] : null;
+        }
+        case 'exists':
+            return subquery(expr.value, scope).length > 0;
+        case 'function': {
+            let fn = scope.functions ? scope.functions[expr.name.toUpperCase()] : undefined;
+            if (typeof fn !== 'function') {
+                throw new UnsupportedFeatureError("Unknown function " + expr.name.toUpperCase(), expr.name.toUpperCase());
+            }
+            return fn.apply(null, expr.args.value.map(value));
+        }
+        case 'unary_expr':
+            switch (expr.operator) {
+                case 'NOT':
+                    return not(bool(expr.expr));
+                case '-':
+                    return arithmetic('-', 0, value(expr.expr));
+                case '+':
+                    return toNumber(value(expr.expr));
+            }
+            throw new UnsupportedFeatureError("Unsupported operator " + expr.operator, expr.operator);
+        case 'binary_expr':
+            break;
+        default:
+            throw new UnsupportedFeatureError("Unsupported expression: " + expr.type, expr.type);
+    }
+
+    let cmp = () => compare(value(expr.left), value(expr.right));
+    let cmpTest = (test) => {
+        let result = cmp();
+        return result === null ? null : test(result);
+    }
+
+    switch (expr.operator) {
+        case 'AND': {
+            let left = bool(expr.left);
+            // short circuit, false AND anything is false
+            return left === false ? false : and(left, bool(expr.right));
+        }
+        case 'OR': {
+            let left = bool(expr.left);
+            return left === true ? true : or(left, bool(expr.right));
+        }
+        case '=':
+            return cmpTest(c => c === 0);
+        case '!=':
+        case '<>':
+            return cmpTest(c => c !== 0);
+        case '<':
+            return cmpTest(c => c < 0);
+        case '<=':
+            return cmpTest(c => c <= 0);
+        case '>':
+            return cmpTest(c => c > 0);
+        case '>=':
+            return cmpTest(c => c >= 0);
+        case 'IS':
+            return is(value(expr.left), value(expr.right));
+        case 'IS NOT':
+            return !is(value(expr.left), value(expr.right));
+        case 'IN':
+        case 'NOT IN': {
+            let left = value(expr.left);
+            let list = expr.right.type === 'select' ? subqueryValues(expr.right, scope) : value(expr.right);
+            return expr.operator === 'IN' ? inList(left, list) : not(inList(left, list));
+        }
+        case 'BETWEEN':
+        case 'NOT BETWEEN': {
+            let left = value(expr.left);
+            let range = value(expr.right);
+            let low = compare(left, range[0]), high = compare(left, range[1]);
+            let result = and(low === null ? null : low >= 0, high === null ? null : high <= 0);
+            return expr.operator === 'BETWEEN' ? result : not(result);
+        }
+        case 'LIKE':
+        case 'NOT LIKE': {
+            let left = value(expr.left), pattern = value(expr.right);
+            if (left === null || left === undefined || pattern === null || pattern === undefined) return null;
+            let result = like2RegExp(String(pattern)).test(String(left));
+            return expr.operator === 'LIKE' ? result : !result;
+        }
+        case '||': {
+            let left = value(expr.left), right = value(expr.right);
+            if (left === null || left === undefined || right === null || right === undefined) return null;
+            return String(left) + String(right);
+        }
+        case '+':
+        case '-':
+        case '*':
+        case '/':
+        case '%':
+            return arithmetic(expr.operator, value(expr.left), value(expr.right));
+        default:
+            throw new UnsupportedFeatureError("Unsupported operator " + expr.operator, expr.operator);
+    }
+}
+
+module.exports = {
+    evaluate: evaluate,
+    toDate: toDate,
+    hasAggregate: hasAggregate,
+    transform: transform,
+    valueKey: valueKey,
+    textKey: textKey,
+    Aggregates: Aggregates,
+    truth: truth,
+    compare: compare,
+    like2RegExp: like2RegExp,
+    getColumn: getColumn,
+    outerName: outerName
+};
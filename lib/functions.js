@@ -0,0 +1,167 @@
+/**
+ * Built in scalar functions. Each function receives its evaluated arguments,
+ * with SQL NULL passed as null, and returns the result. Unless noted, a NULL
+ * argument produces a NULL result.
+ *
+ * Dates are handled in UTC.
+ */
+
+var { compare, toDate } = require('./expression');
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+/**
+ * Wraps a function so that it returns null if any argument is NULL
+ *
+ * @param {function} fn
+ * @returns {function}
+ */
+function strict(fn) {
+    return function() {
+        for (let n = 0; n < arguments.length; n++) {
+            if (isNull(arguments[n])) return null;
+        }
+        return fn.apply(this, arguments);
+    }
+}
+
+function pad(value, length) {
+    let text = String(value);
+    while (text.length < length) text = '0' + text;
+    return text;
+}
+
+/**
+ * Formats a date using SQLite's strftime substitutions:
+ * %Y %m %d %H %M %S %f %j %w %s and %%
+ *
+ * @param {string} format
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(format, date) {
+    return format.replace(/%([YmdHMSfjws%])/g, (match, code) => {
+        switch (code) {
+            case 'Y': return pad(date.getUTCFullYear(), 4);
+            case 'm': return pad(date.getUTCMonth() + 1, 2);
+            case 'd': return pad(date.getUTCDate(), 2);
+            case 'H': return pad(date.getUTCHours(), 2);
+            case 'M': return pad(date.getUTCMinutes(), 2);
+            case 'S': return pad(date.getUTCSeconds(), 2);
+            case 'f': return pad(date.getUTCSeconds(), 2) + '.' + pad(date.getUTCMilliseconds(), 3);
+            case 'j': {
+                let start = Date.UTC(date.getUTCFullYear(), 0, 1);
+                return pad(Math.floor((date.getTime() - start) / 86400000) + 1, 3);
+            }
+            case 'w': return String(date.getUTCDay());
+            case 's': return String(Math.floor(date.getTime() / 1000));
+            case '%': return '%';
+        }
+    });
+}
+
+function trimmer(left, right) {
+    return strict((text, chars) => {
+        text = String(text);
+        let set = chars === undefined ? ' ' : String(chars);
+        let start = 0, end = text.length;
+        if (left) while (start < end && set.indexOf(text[start]) >= 0) start++;
+        if (right) while (end > start && set.indexOf(text[end - 1]) >= 0) end--;
+        return text.slice(start, end);
+    });
+}
+
+function substr(text, start, length) {
+    if (isNull(text) || isNull(start)) return null;
+    text = String(text);
+    start = Math.trunc(Number(start));
+    // 1 based, negative positions count back from the end
+    let from = start > 0 ? start - 1 : (start < 0 ? Math.max(text.length + start, 0) : 0);
+    if (length === undefined) return text.slice(from);
+    if (isNull(length)) return null;
+    length = Math.trunc(Number(length));
+    if (start === 0) length--;
+    return length > 0 ? text.substr(from, length) : '';
+}
+
+function extreme(direction) {
+    return function() {
+        let result = null;
+        for (let n = 0; n < arguments.length; n++) {
+            if (isNull(arguments[n])) return null;
+            if (n === 0 || compare(arguments[n], result) * direction > 0) result = arguments[n];
+        }
+        return result;
+    }
+}
+
+const Functions = {
+    UPPER: strict(text => String(text).toUpperCase()),
+    LOWER: strict(text => String(text).toLowerCase()),
+    LENGTH: strict(text => String(text).length),
+    SUBSTR: substr,
+    SUBSTRING: substr,
+    TRIM: trimmer(true, true),
+    LTRIM: trimmer(true, false),
+    RTRIM: trimmer(false, true),
+    REPLACE: strict((text, search, replacement) => String(text).split(String(search)).join(String(replacement))),
+    INSTR: strict((text, search) => String(text).indexOf(String(search)) + 1),
+
+    /** Concatenates its arguments, NULL arguments are skipped */
+    CONCAT: function() {
+        let result = '';
+        for (let n = 0; n < arguments.length; n++) {
+            if (!isNull(arguments[n])) result += String(arguments[n]);
+        }
+        return result;
+    },
+
+    /** Returns the first argument which is not NULL */
+    COALESCE: function() {
+        for (let n = 0; n < arguments.length; n++) {
+            if (!isNull(arguments[n])) return arguments[n];
+        }
+        return null;
+    },
+    IFNULL: (value, replacement) => isNull(value) ? (isNull(replacement) ? null : replacement) : value,
+    NULLIF: (a, b) => compare(a, b) === 0 || isNull(a) ? null : a,
+
+    ABS: strict(x => Math.abs(Number(x))),
+    ROUND: strict((x, digits) => {
+        let factor = Math.pow(10, digits === undefined ? 0 : Math.trunc(Number(digits)));
+        x = Number(x);
+        // round half away from zero
+        return Math.sign(x) * Math.round(Math.abs(x) * factor) / factor;
+    }),
+    CEIL: strict(x => Math.ceil(Number(x))),
+    CEILING: strict(x => Math.ceil(Number(x))),
+    FLOOR: strict(x => Math.floor(Number(x))),
+    MIN: extreme(-1),
+    MAX: extreme(1),
+
+    /** The current date and time as a Date */
+    NOW: () => new Date(),
+    DATE: strict(value => {
+        let date = toDate(value === undefined ? 'now' : value);
+        return date && formatDate('%Y-%m-%d', date);
+    }),
+    TIME: strict(value => {
+        let date = toDate(value === undefined ? 'now' : value);
+        return date && formatDate('%H:%M:%S', date);
+    }),
+    DATETIME: strict(value => {
+        let date = toDate(value === undefined ? 'now' : value);
+        return date && formatDate('%Y-%m-%d %H:%M:%S', date);
+    }),
+    STRFTIME: strict((format, value) => {
+        let date = toDate(value === undefined ? 'now' : value);
+        return date && formatDate(String(format), date);
+    })
+};
+
+module.exports = {
+    Functions: Functions,
+    formatDate: formatDate
+};
@@ -0,0 +1,448 @@
+/**
+ * Indexes kept in memory over the rows of a table, and the planning which
+ * uses them to pick out the rows a WHERE clause can match without
+ * evaluating it against every row. The rows found are always tested
+ * against the whole WHERE clause, an index only narrows down the rows.
+ *
+ * Also used to hash join two tables on the equality conditions of an ON.
+ */
+
+var { compare, toDate, valueKey } = require('./expression');
+
+/**
+ * Returns the key a value is hashed under, its valueKey. Values which
+ * compare equal have the same key, except for a Date and a string naming
+ * it, which lookupKeys allows for.
+ *
+ * @param {any} value
+ * @returns {string|null} null for NULL, which is never equal to anything
+ */
+function hashKey(value) {
+    if (value === null || value === undefined) return null;
+    return valueKey(value);
+}
+
+/**
+ * Returns every key a row value equal to the given value can be hashed
+ * under, or null if they can not be listed
+ *
+ * @param {any} value
+ * @returns {Array<string>|null}
+ */
+function lookupKeys(value) {
+    if (value instanceof Date) {
+        // any string which parses as the same date is equal to it
+        return null;
+    }
+    let key = hashKey(value);
+    if (key === null) return [];
+    let keys = [key];
+    if (typeof value === 'string') {
+        let date = toDate(value);
+        if (date && keys.indexOf('n:' + date.getTime()) < 0) keys.push('n:' + date.getTime());
+    }
+    return keys;
+}
+
+/**
+ * The kind of value, for range lookups: values of one kind sort the same
+ * way compare() does
+ */
+function kind(value) {
+    if (typeof value === 'number') return 'number';
+    if (value instanceof Date) return 'date';
+    if (typeof value === 'string') return 'string';
+    return 'other';
+}
+
+/**
+ * True if an indexed value is the value a row has now
+ */
+function sameValue(value, indexed) {
+    if (value === undefined) value = null;
+    if (value instanceof Date && indexed instanceof Date) return value.getTime() === indexed.getTime();
+    return value === indexed;
+}
+
+class Index {
+    /**
+     * @param {string} name The index name
+     * @param {string} table The table name
+     * @param {Array<string>} columns The indexed columns
+     */
+    constructor(name, table, columns) {
+        this.name = name;
+        this.table = table;
+        this.columns = columns;
+        this.clear();
+    }
+
+    /**
+     * Forgets the indexed rows, they are indexed again when next needed
+     */
+    clear() {
+        this.built = false;
+        this.entries = new Map();
+        this.rows = new Map();
+        this.sorted = null;
+    }
+
+    /**
+     * Indexes every row of the table
+     *
+     * @param {{[key:string]:any}} rows The table rows by key
+     */
+    build(rows) {
+        this.clear();
+        for (let key in rows) {
+            this.add(key, rows[key]);
+        }
+        this.built = true;
+    }
+
+    /**
+     * True if the index has been built and has the same rows and values as
+     * the table, otherwise the table was changed by something else and it
+     * must be built again
+     *
+     * @param {{[key:string]:any}} rows The table rows by key
+     */
+    matches(rows) {
+        if (!this.built) return false;
+        let keys = Object.keys(rows);
+        if (this.rows.size !== keys.length) return false;
+        for (let key of keys) {
+            let values = this.rows.get(key);
+            if (!values) return false;
+            for (let n = 0; n < this.columns.length; n++) {
+                if (!sameValue(rows[key][this.columns[n]], values[n])) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Adds a row to the index, replacing it if the key is already indexed
+     *
+     * @param {string|number} key The row key
+     * @param {any} row The row, or the fields of it which changed
+     */
+    add(key, row) {
+        key = String(key);
+        let values = this.rows.has(key) ? this.rows.get(key).slice() : this.columns.map(() => null);
+        this.remove(key);
+        this.columns.forEach((column, n) => {
+            if (Object.prototype.hasOwnProperty.call(row, column)) values[n] = row[column];
+        });
+
+        let hash = JSON.stringify(values.map(hashKey));
+        if (!this.entries.has(hash)) this.entries.set(hash, new Set());
+        this.entries.get(hash).add(key);
+        this.rows.set(key, values);
+        this.sorted = null;
+    }
+
+    /**
+     * Removes a row from the index
+     *
+     * @param {string|number} key The row key
+     */
+    remove(key) {
+        key = String(key);
+        if (!this.rows.has(key)) return;
+        let hash = JSON.stringify(this.rows.get(key).map(hashKey));
+        let keys = this.entries.get(hash);
+        keys.delete(key);
+        if (!keys.size) this.entries.delete(hash);
+        this.rows.delete(key);
+        this.sorted = null;
+    }
+
+    /**
+     * Finds the rows which may have the given values in every indexed column
+     *
+     * @param {Array<Array<any>>} values The values each column may have
+     * @returns {Array<string>|null} The row keys, null if they can not be found with the index
+     */
+    find(values) {
+        let combinations = [[]];
+        for (let choices of values) {
+            let keys = [];
+            for (let value of choices) {
+                let lookup = lookupKeys(value);
+                if (lookup === null) return null;
+                keys.push(...lookup);
+            }
+            let next = [];
+            for (let combination of combinations) {
+                for (let key of keys) next.push(combination.concat([key]));
+            }
+            combinations = next;
+        }
+
+        let found = new Set();
+        for (let combination of combinations) {
+            let keys = this.entries.get(JSON.stringify(combination));
+            if (keys) keys.forEach(key => found.add(key));
+        }
+        return Array.from(found);
+    }
+
+    /**
+     * Finds the rows of a single column index with values in a range
+     *
+     * @param {{value:any,inclusive:boolean}|null} low
+     * @param {{value:any,inclusive:boolean}|null} high
+     * @returns {Array<string>|null} The row keys, null if they can not be found with the index
+     */
+    range(low, high) {
+        if (this.columns.length !== 1) return null;
+
+        if (this.sorted === null) {
+            this.sorted = [];
+            let kinds = new Set();
+            for (let [key, values] of this.rows) {
+                if (values[0] === null || values[0] === undefined) continue;
+                kinds.add(kind(values[0]));
+                this.sorted.push({ key: key, value: values[0] });
+            }
+            this.kind = kinds.size === 1 ? kinds.values().next().value : (kinds.size ? 'other' : null);
+            this.sorted.sort((a, b) => compare(a.value, b.value));
+        }
+        if (this.kind === null) return [];
+        if (this.kind === 'other') return null;
+
+        // the bounds have to compare with the values the way they sort
+        for (let bound of [low, high]) {
+            if (!bound) continue;
+            if (bound.value === null || bound.value === undefined) return [];
+            let boundKind = kind(bound.value);
+            if (boundKind === 'string' && this.kind === 'date' && toDate(bound.value)) boundKind = 'date';
+            if (boundKind !== this.kind) return null;
+        }
+
+        let first = 0, last = this.sorted.length;
+        if (low) {
+            first = this.search(entry => {
+                let order = compare(entry.value, low.value);
+                return low.inclusive ? order >= 0 : order > 0;
+            });
+        }
+        if (high) {
+            last = this.search(entry => {
+                let order = compare(entry.value, high.value);
+                return high.inclusive ? order > 0 : order >= 0;
+            });
+        }
+        return this.sorted.slice(first, Math.max(first, last)).map(entry => entry.key);
+    }
+
+    /**
+     * Returns the position of the first sorted entry for which test is true
+     */
+    search(test) {
+        let low = 0, high = this.sorted.length;
+        while (low < high) {
+            let mid = (low + high) >> 1;
+            if (test(this.sorted[mid])) high = mid; else low = mid + 1;
+        }
+        return low;
+    }
+}
+
+/**
+ * Splits a condition into the conditions ANDed together in it
+ *
+ * @param {any} expr
+ * @returns {Array<any>}
+ */
+function conjuncts(expr) {
+    if (expr && expr.type === 'binary_expr' && expr.operator === 'AND') {
+        return conjuncts(expr.left).concat(conjuncts(expr.right));
+    }
+    return expr ? [expr] : [];
+}
+
+/**
+ * True if an expression does not depend on the row, so it can be
+ * evaluated once
+ *
+ * @param {any} expr
+ */
+function isConstant(expr) {
+    if (expr === null || typeof expr !== 'object') return true;
+    if (Array.isArray(expr)) return expr.every(isConstant);
+    if (expr.type === 'column_ref' || expr.type === 'aggr_func' || expr.type === 'select') return false;
+    return Object.keys(expr).every(key => typeof expr[key] !== 'object' || isConstant(expr[key]));
+}
+
+const FLIPPED = { '=': '=', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+/**
+ * Collects the conditions of a WHERE clause an index can be used for:
+ * column = value, column IN (values), column < value and the other
+ * comparisons, and column BETWEEN low AND high
+ *
+ * @param {any} where The WHERE clause
+ * @param {function(any):boolean} isColumn True if a column_ref is a column of the table
+ * @param {function(any):any} value Evaluates a constant expression
+ * @returns {{[column:string]:{values?:Array<any>,low?:any,high?:any}}}
+ */
+function indexConditions(where, isColumn, value) {
+    let conditions = {};
+    let condition = (column) => conditions[column] = conditions[column] || {};
+    let narrow = (bounds, side, bound) => {
+        // keep the tighter of two bounds
+        let current = bounds[side];
+        let order = current ? compare(bound.value, current.value) : null;
+        if (!current || (side === 'low' ? order > 0 : order < 0) || (order === 0 && !bound.inclusive)) {
+            bounds[side] = bound;
+        }
+    };
+
+    for (let expr of conjuncts(where)) {
+        if (expr.type !== 'binary_expr') continue;
+        let operator = expr.operator;
+        let left = expr.left, right = expr.right;
+
+        if (FLIPPED[operator] && !isColumn(left) && isColumn(right)) {
+            [left, right] = [right, left];
+            operator = FLIPPED[operator];
+        }
+        if (!isColumn(left)) continue;
+        let column = left.column;
+
+        if (operator === '=' && isConstant(right)) {
+            let bounds = condition(column);
+            bounds.values = [value(right)];
+        } else if (operator === 'IN' && right.type === 'expr_list' && isConstant(right)) {
+            let bounds = condition(column);
+            if (!bounds.values) bounds.values = right.value.map(value);
+        } else if (FLIPPED[operator] && isConstant(right)) {
+            let bound = { value: value(right), inclusive: operator.length === 2 };
+            narrow(condition(column), operator[0] === '>' ? 'low' : 'high', bound);
+        } else if (operator === 'BETWEEN' && isConstant(right)) {
+            let bounds = condition(column);
+            narrow(bounds, 'low', { value: value(right.value[0]), inclusive: true });
+            narrow(bounds, 'high', { value: value(right.value[1]), inclusive: true });
+        }
+    }
+    return conditions;
+}
+
+/**
+ * Uses the indexes of a table to find the rows a WHERE clause can match
+ *
+ * @param {Array<Index>} indexes The built indexes of the table
+ * @param {any} where The WHERE clause
+ * @param {function(any):boolean} isColumn True if a column_ref is a column of the table
+ * @param {function(any):any} value Evaluates a constant expression
+ * @returns {Array<string>|null} The keys of the rows which may match, null if no index can be used
+ */
+function findRows(indexes, where, isColumn, value) {
+    let conditions = indexConditions(where, isColumn, value);
+
+    // an index with an equality condition on every column first
+    for (let index of indexes) {
+        if (index.columns.every(column => conditions[column] && conditions[column].values)) {
+            let found = index.find(index.columns.map(column => conditions[column].values));
+            if (found !== null) return found;
+        }
+    }
+    for (let index of indexes) {
+        let bounds = index.columns.length === 1 && conditions[index.columns[0]];
+        if (bounds && (bounds.low || bounds.high)) {
+            let found = index.range(bounds.low || null, bounds.high || null);
+            if (found !== null) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the pairs of expressions compared with = in an ON condition where
+ * one side only uses the rows being joined to and the other only the rows
+ * being joined
+ *
+ * @param {any} on The ON condition
+ * @param {function(any):string|null} sideOf Returns 'dest' or 'src' for a column_ref, null if it is not known
+ * @returns {Array<{dest:any,src:any}>}
+ */
+function joinKeys(on, sideOf) {
+    let side = (expr) => {
+        let sides = new Set();
+        let known = true;
+        let walk = (node) => {
+            if (node === null || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (node.type === 'column_ref') {
+                let found = sideOf(node);
+                if (found === null) known = false; else sides.add(found);
+                return;
+            }
+            if (node.type === 'aggr_func' || node.type === 'select') known = false;
+            Object.keys(node).forEach(key => typeof node[key] === 'object' && walk(node[key]));
+        };
+        walk(expr);
+        return known && sides.size === 1 ? sides.values().next().value : null;
+    };
+
+    let keys = [];
+    for (let expr of conjuncts(on)) {
+        if (expr.type !== 'binary_expr' || expr.operator !== '=') continue;
+        let left = side(expr.left), right = side(expr.right);
+        if (left === 'dest' && right === 'src') keys.push({ dest: expr.left, src: expr.right });
+        if (left === 'src' && right === 'dest') keys.push({ dest: expr.right, src: expr.left });
+    }
+    return keys;
+}
+
+/**
+ * Pairs up the rows of two tables which have equal values for the join
+ * keys, using a hash table of the source rows
+ *
+ * @param {Array<any>} dest
+ * @param {Array<any>} src
+ * @param {Array<{dest:any,src:any}>} keys
+ * @param {function(any, any):any} value Evaluates an expression against a row
+ * @returns {Array<Array<number>>|null} The index of the source rows which may match each destination row, null if the values can not be hashed
+ */
+function hashJoin(dest, src, keys, value) {
+    let hash = (row, side) => {
+        let parts = [];
+        for (let key of keys) {
+            let v = value(key[side], row);
+            if (v instanceof Date) return undefined;
+            let part = hashKey(v);
+            if (part === null) return null;
+            parts.push(part);
+        }
+        return JSON.stringify(parts);
+    };
+
+    let table = new Map();
+    for (let n = 0; n < src.length; n++) {
+        let key = hash(src[n], 'src');
+        if (key === undefined) return null;
+        if (key === null) continue;
+        if (!table.has(key)) table.set(key, []);
+        table.get(key).push(n);
+    }
+
+    let matches = [];
+    for (let row of dest) {
+        let key = hash(row, 'dest');
+        if (key === undefined) return null;
+        matches.push(key === null ? [] : (table.get(key) || []));
+    }
+    return matches;
+}
+
+module.exports = {
+    Index: Index,
+    conjuncts: conjuncts,
+    isConstant: isConstant,
+    findRows: findRows,
+    joinKeys: joinKeys,
+    hashJoin: hashJoin
+};
@@ -0,0 +1,162 @@
+/**
+ * A driver which keeps its tables in a single JSON file. The file is read
+ * when the driver is first used and rewritten after every change, through
+ * a temporary file which replaces it, so a failed write leaves the last
+ * version whole. The rows written by a statement are written together
+ * with storeMany and removeMany, so a statement rewrites the file once or
+ * twice however many rows it writes.
+ */
+
+var fs = require('fs');
+var { MemoryDriver } = require('./memory');
+
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf8', (err, text) => err ? reject(err) : resolve(text));
+    });
+}
+
+function writeFile(file, text) {
+    return new Promise((resolve, reject) => {
+        fs.writeFile(file, text, 'utf8', err => err ? reject(err) : resolve());
+    });
+}
+
+function rename(from, to) {
+    return new Promise((resolve, reject) => {
+        fs.rename(from, to, err => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Parses the contents of the file. Dates are saved as strings, so the
+ * values of DATE, TIME and TIMESTAMP columns are converted back.
+ *
+ * @param {string} text
+ * @returns {any}
+ */
+function parseData(text) {
+    let data = JSON.parse(text);
+    for (let name in data.tables) {
+        let table = data.tables[name];
+        let dates = (table.definition || []).filter(column => column.type === 'date').map(column => column.name);
+        for (let key in table.rows) {
+            for (let column of dates) {
+                let value = table.rows[key][column];
+                if (typeof value === 'string') table.rows[key][column] = new Date(value);
+            }
+        }
+    }
+    return data;
+}
+
+class JsonFileDriver extends MemoryDriver {
+    /**
+     * @param {string} file The path of the file. It is created when the first table is.
+     */
+    constructor(file) {
+        super();
+        this.file = file;
+        this.opening = null;
+        this.saving = Promise.resolve();
+        this.saved = null;
+    }
+
+    /**
+     * Writes the tables to the file. Writes are made one at a time, in the
+     * order they were asked for. If one fails, the tables are put back as
+     * they were last written.
+     *
+     * @param {any} value The value to resolve with once written
+     * @returns {Promise<any>}
+     */
+    save(value) {
+        let text = JSON.stringify(this.data, null, 2);
+        let temporary = this.file + '.tmp';
+        let saving = this.saving.then(() => {
+            return writeFile(temporary, text).then(() => rename(temporary, this.file)).then(() => {
+                this.saved = text;
+                return value;
+            });
+        });
+        this.saving = saving.catch(() => {
+            this.data = this.saved ? parseData(this.saved) : { tables: {}, views: {} };
+        });
+        return saving;
+    }
+
+    store(table, index, row) {
+        return super.store(table, index, row).then(key => this.save(key));
+    }
+
+    remove(table, index) {
+        return super.remove(table, index).then(key => this.save(key));
+    }
+
+    storeMany(table, rows) {
+        return super.storeMany(table, rows).then(keys => this.save(keys));
+    }
+
+    removeMany(table, ids) {
+        return super.removeMany(table, ids).then(keys => this.save(keys));
+    }
+
+    create(table, definition) {
+        return super.create(table, definition).then(done => this.save(done));
+    }
+
+    drop(table) {
+        return super.drop(table).then(done => this.save(done));
+    }
+
+    alter(table, definition, change) {
+        return super.alter(table, definition, change).then(done => this.save(done));
+    }
+
+    createIndex(table, name, columns) {
+        return super.createIndex(table, name, columns).then(done => this.save(done));
+    }
+
+    dropIndex(table, name) {
+        return super.dropIndex(table, name).then(done => this.save(done));
+    }
+
+    createView(name, definition) {
+        return super.createView(name, definition).then(done => this.save(done));
+    }
+
+    dropView(name) {
+        return super.dropView(name).then(done => this.save(done));
+    }
+
+    /**
+     * Waits for the writes which have been started to finish
+     *
+     * @returns {Promise<boolean>}
+     */
+    close() {
+        return this.saving.then(() => true);
+    }
+
+    /**
+     * Reads the file the first time it is called. A file which does not
+     * exist is an empty database.
+     *
+     * @returns {Promise<boolean>}
+     */
+    ready() {
+        if (!this.opening) {
+            this.opening = readFile(this.file).then(text => {
+                this.data = parseData(text);
+                this.saved = text;
+            }, err => {
+                if (err.code !== 'ENOENT') throw err;
+            }).then(() => true);
+        }
+        return this.opening;
+    }
+}
+
+module.exports = {
+    JsonFileDriver: JsonFileDriver
+};
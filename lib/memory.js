@@ -0,0 +1,185 @@
+/**
+ * A driver which keeps its tables in memory. It implements every method of
+ * AbstractDriver, including the optional ones which save table definitions,
+ * indexes and views, so every statement can be run against it. It is also
+ * the base of JsonFileDriver.
+ */
+
+var AbstractDriver = require('../index');
+
+class MemoryDriver extends AbstractDriver {
+    /**
+     * @param {{tables:{[name:string]:{definition:Array<any>,rows:{[key:string]:any},nextKey:number,indexes:{[name:string]:Array<string>}}},views:{[name:string]:{sql:string,columns:Array<string>|null}}}} data The tables and views to start with
+     */
+    constructor(data = null) {
+        super();
+        this.data = data || { tables: {}, views: {} };
+    }
+
+    /**
+     * Gets the stored form of a table
+     *
+     * @param {string} table The table name
+     * @returns {{definition:Array<any>,rows:{[key:string]:any},nextKey:number,indexes:{[name:string]:Array<string>}}}
+     */
+    getTable(table) {
+        if (!Object.prototype.hasOwnProperty.call(this.data.tables, table)) {
+            throw new Error("Unknown table " + table);
+        }
+        return this.data.tables[table];
+    }
+
+    /**
+     * Stores a row. An insert is given the next key of the table, an update
+     * changes only the fields given.
+     *
+     * @param {string} table The table name
+     * @param {string|number|null} index The row key, null to insert
+     * @param {any} row The fields to store
+     * @returns {string|number} The row key
+     */
+    storeRow(table, index, row) {
+        let stored = this.getTable(table);
+        if (index === null || index === undefined) {
+            index = stored.nextKey++;
+            stored.rows[index] = Object.assign({}, row);
+        } else {
+            stored.rows[index] = Object.assign({}, stored.rows[index], row);
+        }
+        return index;
+    }
+
+    /**
+     * Removes a row
+     *
+     * @param {string} table The table name
+     * @param {string|number} index The row key
+     * @returns {string|number} The row key
+     */
+    removeRow(table, index) {
+        delete this.getTable(table).rows[index];
+        return index;
+    }
+
+    load(table) {
+        return Promise.resolve().then(() => {
+            let rows = this.getTable(table).rows;
+            let loaded = {};
+            for (let key in rows) {
+                loaded[key] = Object.assign({}, rows[key]);
+            }
+            return loaded;
+        });
+    }
+
+    store(table, index, row) {
+        return Promise.resolve().then(() => this.storeRow(table, index, row));
+    }
+
+    remove(table, index) {
+        return Promise.resolve().then(() => this.removeRow(table, index));
+    }
+
+    storeMany(table, rows) {
+        return Promise.resolve().then(() => {
+            this.getTable(table);
+            return rows.map(item => this.storeRow(table, item.index, item.row));
+        });
+    }
+
+    removeMany(table, ids) {
+        return Promise.resolve().then(() => {
+            this.getTable(table);
+            return ids.map(index => this.removeRow(table, index));
+        });
+    }
+
+    create(table, definition) {
+        return Promise.resolve().then(() => {
+            if (Object.prototype.hasOwnProperty.call(this.data.tables, table)) {
+                throw new Error("Table " + table + " already exists");
+            }
+            this.data.tables[table] = { definition: definition, rows: {}, nextKey: 1, indexes: {} };
+            return true;
+        });
+    }
+
+    drop(table) {
+        return Promise.resolve().then(() => {
+            this.getTable(table);
+            delete this.data.tables[table];
+            return true;
+        });
+    }
+
+    alter(table, definition, change) {
+        return Promise.resolve().then(() => {
+            this.getTable(table).definition = definition;
+            return false;
+        });
+    }
+
+    loadDefinition(table) {
+        let stored = this.data.tables[table];
+        return Promise.resolve(stored && stored.definition ? stored.definition : null);
+    }
+
+    tableExists(table) {
+        return Promise.resolve(Object.prototype.hasOwnProperty.call(this.data.tables, table));
+    }
+
+    listTables() {
+        return Promise.resolve(Object.keys(this.data.tables));
+    }
+
+    loadIndexes(table) {
+        let stored = this.data.tables[table];
+        let indexes = stored ? stored.indexes : {};
+        return Promise.resolve(Object.keys(indexes).map(name => ({ name: name, columns: indexes[name] })));
+    }
+
+    createIndex(table, name, columns) {
+        return Promise.resolve().then(() => {
+            this.getTable(table).indexes[name] = columns;
+            return true;
+        });
+    }
+
+    dropIndex(table, name) {
+        return Promise.resolve().then(() => {
+            delete this.getTable(table).indexes[name];
+            return true;
+        });
+    }
+
+    loadView(name) {
+        let view = this.data.views[name];
+        return Promise.resolve(view ? view : null);
+    }
+
+    createView(name, definition) {
+        return Promise.resolve().then(() => {
+            this.data.views[name] = definition;
+            return true;
+        });
+    }
+
+    dropView(name) {
+        return Promise.resolve().then(() => {
+            delete this.data.views[name];
+            return true;
+        });
+    }
+
+    close() {
+        return Promise.resolve(true);
+    }
+
+    ready() {
+        return Promise.resolve(true);
+    }
+}
+
+module.exports = {
+    MemoryDriver: MemoryDriver
+};
@@ -0,0 +1,116 @@
+/**
+ * Applies numbered migration scripts through a driver, recording the
+ * versions which have run in a table on the same backend so each script
+ * only runs once.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var { QueryError } = require('./errors');
+
+/**
+ * Migration files are named with their version number first, as in
+ * 001_create_users.sql
+ */
+const MIGRATION_FILE = /^(\d+)[_.-]?(.*)\.sql$/i;
+
+function readdir(directory) {
+    return new Promise((resolve, reject) => {
+        fs.readdir(directory, (err, files) => err ? reject(err) : resolve(files));
+    });
+}
+
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf8', (err, text) => err ? reject(err) : resolve(text));
+    });
+}
+
+/**
+ * Reads the migrations in a directory, ordered by version. Files which are
+ * not named as migrations are ignored.
+ *
+ * @param {string} directory
+ * @returns {Promise<Array<{version:number,name:string,sql:string}>>}
+ */
+function loadMigrations(directory) {
+    return readdir(directory).then(files => {
+        let migrations = files.filter(file => MIGRATION_FILE.test(file)).map(file => {
+            let match = MIGRATION_FILE.exec(file);
+            return { version: parseInt(match[1], 10), name: file, file: path.join(directory, file) };
+        }).sort((a, b) => a.version - b.version);
+
+        for (let n = 1; n < migrations.length; n++) {
+            if (migrations[n].version === migrations[n - 1].version) {
+                throw new QueryError("Migrations " + migrations[n - 1].name + " and " + migrations[n].name + " have the same version");
+            }
+        }
+
+        return Promise.all(migrations.map(migration => readFile(migration.file).then(sql => {
+            return { version: migration.version, name: migration.name, sql: sql };
+        })));
+    });
+}
+
+class Migrator {
+    /**
+     * @param {any} driver The driver the migrations are run through
+     * @param {string} table The table the versions which have run are recorded in
+     */
+    constructor(driver, table = 'migrations') {
+        this.driver = driver;
+        this.table = table;
+    }
+
+    /**
+     * Lists the versions which have run, creating the table they are
+     * recorded in if it does not exist yet
+     *
+     * @returns {Promise<Array<number>>}
+     */
+    applied() {
+        return this.driver.execute("CREATE TABLE IF NOT EXISTS " + this.table + " (version INTEGER PRIMARY KEY, name VARCHAR(255), applied_at TIMESTAMP)").then(() => {
+            return this.driver.query("SELECT version FROM " + this.table);
+        }).then(rows => rows.map(row => Number(row.version)));
+    }
+
+    /**
+     * Runs the migrations which have not run yet, in order of version. A
+     * migration is recorded once all its statements have run. If one fails
+     * the promise rejects with its error, which has the migration's name as
+     * its migration property, and the later migrations are not run.
+     *
+     * A migration is not run in a transaction, as the statements which
+     * change tables can not be rolled back. The statements of a failed
+     * migration which ran before the failure are not undone, and are
+     * listed in the results property of the error. The migration is not
+     * recorded, so it runs again from its first statement the next time.
+     *
+     * @param {Array<{version:number,name:string,sql:string}>} migrations
+     * @returns {Promise<Array<{version:number,name:string}>>} The migrations run
+     */
+    migrate(migrations) {
+        return this.applied().then(applied => {
+            let pending = migrations.filter(migration => applied.indexOf(migration.version) < 0)
+                .sort((a, b) => a.version - b.version);
+            let run = [];
+
+            return pending.reduce((previous, migration) => previous.then(() => {
+                return this.driver.executeScript(migration.sql).then(() => {
+                    return this.driver.execute("INSERT INTO " + this.table + " (version, name, applied_at) VALUES (?, ?, ?)",
+                        [migration.version, migration.name, new Date()]);
+                }).then(() => {
+                    run.push({ version: migration.version, name: migration.name });
+                }, err => {
+                    if (err instanceof Error) err.migration = migration.name;
+                    throw err;
+                });
+            }), Promise.resolve()).then(() => run);
+        });
+    }
+}
+
+module.exports = {
+    Migrator: Migrator,
+    loadMigrations: loadMigrations
+};
@@ -0,0 +1,1362 @@
+/**
+ * A recursive descent SQL parser producing the same AST shapes as
+ * node-sqlparser (select, insert, update, delete, create_table with
+ * binary_expr, unary_expr, column_ref, ... expression nodes), but with a
+ * complete expression grammar.
+ */
+
+/**
+ * Words that can never be used as a bare table or column alias
+ */
+const RESERVED = new Set([
+    'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CREATE', 'CROSS', 'DELETE',
+    'DESC', 'DISTINCT', 'DROP', 'EXISTS', 'FALSE', 'FROM', 'FULL', 'GROUP',
+    'HAVING', 'IN', 'INNER', 'INSERT', 'INTO', 'IS', 'JOIN', 'LEFT', 'LIKE',
+    'LIMIT', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER',
+    'REPLACE', 'RETURNING', 'RIGHT', 'SELECT', 'SET', 'TABLE', 'TRUE',
+    'UPDATE', 'USING', 'VALUES', 'WHERE'
+]);
+
+var { SyntaxError, QueryError } = require('./errors');
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+
+const COMPARISON = new Set(['=', '!=', '<>', '<', '<=', '>', '>=']);
+
+/**
+ * Converts a character offset into a line and column, both 1 based
+ *
+ * @param {string} sql
+ * @param {number} offset
+ * @returns {{line:number,column:number}}
+ */
+function location(sql, offset) {
+    let lines = sql.slice(0, offset).split(/\r\n|\r|\n/);
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Throws a syntax error pointing at the given offset
+ *
+ * @param {string} sql
+ * @param {number} offset
+ * @param {string} message
+ */
+function syntaxError(sql, offset, message) {
+    let loc = location(sql, offset);
+    throw new SyntaxError(message + " at line " + loc.line + ", column " + loc.column, loc.line, loc.column, offset);
+}
+
+/**
+ * Splits SQL text into tokens. Comments and whitespace are dropped.
+ *
+ * Each token is {type, value, start, end} where type is one of
+ * word, ident (a quoted identifier), string, number, param, op or eof.
+ *
+ * @param {string} sql
+ * @returns {Array<{type:string,value:any,start:number,end:number}>}
+ */
+function tokenize(sql) {
+    let tokens = [];
+    let pos = 0;
+
+    let push = (type, value, start) => {
+        tokens.push({ type: type, value: value, start: start, end: pos });
+    }
+
+    let readQuoted = (quote, start) => {
+        let value = '';
+        pos++;
+        while (true) {
+            if (pos >= sql.length) {
+                syntaxError(sql, start, "Unterminated quoted string");
+            }
+            let c = sql[pos];
+            if (c === quote) {
+                if (sql[pos + 1] === quote) {
+                    value += quote;
+                    pos += 2;
+                    continue;
+                }
+                pos++;
+                return value;
+            }
+            if (c === '\\' && quote !== '`') {
+                let e = sql[pos + 1];
+                switch (e) {
+                    case 'b': value += '\b'; break;
+                    case 'f': value += '\f'; break;
+                    case 'n': value += '\n'; break;
+                    case 'r': value += '\r'; break;
+                    case 't': value += '\t'; break;
+                    case "'":
+                    case '"':
+                    case '\\':
+                    case '/':
+                        value += e;
+                        break;
+                    case 'u':
+                        if (/^[0-9a-fA-F]{4}$/.test(sql.substr(pos + 2, 4))) {
+                            value += String.fromCharCode(parseInt(sql.substr(pos + 2, 4), 16));
+                            pos += 4;
+                            break;
+                        }
+                        value += '\\u';
+                        break;
+                    default:
+                        // keep unknown escapes (\% and \_ are meaningful to LIKE)
+                        value += '\\' + (e === undefined ? '' : e);
+                        break;
+                }
+                pos += 2;
+                continue;
+            }
+            value += c;
+            pos++;
+        }
+    }
+
+    while (pos < sql.length) {
+        let c = sql[pos];
+        let start = pos;
+
+        if (/\s/.test(c)) {
+            pos++;
+        } else if (c === '-' && sql[pos + 1] === '-') {
+            while (pos < sql.length && sql[pos] !== '\n') pos++;
+        } else if (c === '/' && sql[pos + 1] === '*') {
+            let end = sql.indexOf('*/', pos + 2);
+            if (end < 0) {
+                syntaxError(sql, start, "Unterminated comment");
+            }
+            pos = end + 2;
+        } else if (c === "'" || c === '"') {
+            push('string', readQuoted(c, start), start);
+        } else if (c === '`') {
+            push('ident', readQuoted(c, start), start);
+        } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(sql[pos + 1]))) {
+            let match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(sql.slice(pos));
+            pos += match[0].length;
+            push('number', parseFloat(match[0]), start);
+        } else if (/[A-Za-z_]/.test(c)) {
+            let match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(pos));
+            pos += match[0].length;
+            push('word', match[0], start);
+        } else if (c === '?') {
+            pos++;
+            push('param', '?', start);
+        } else if (c === ':' && /[A-Za-z_]/.test(sql[pos + 1] || '')) {
+            let match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(pos + 1));
+            pos += match[0].length + 1;
+            push('param', match[0], start);
+        } else if (c === '$' && /[0-9]/.test(sql[pos + 1] || '')) {
+            let match = /^\$[0-9]+/.exec(sql.slice(pos));
+            pos += match[0].length;
+            push('param', match[0], start);
+        } else {
+            let op = ['<=', '>=', '<>', '!=', '==', '||'].find(op => sql.substr(pos, 2) === op);
+            if (op === undefined) {
+                if ('=<>+-*/%(),.;!'.indexOf(c) < 0) {
+                    syntaxError(sql, start, "Unexpected character '" + c + "'");
+                }
+                op = c;
+            }
+            pos += op.length;
+            push('op', op === '==' ? '=' : op, start);
+        }
+    }
+
+    tokens.push({ type: 'eof', value: null, start: sql.length, end: sql.length });
+    return tokens;
+}
+
+class Parser {
+    constructor(sql) {
+        this.sql = sql;
+        this.tokens = tokenize(sql);
+        this.pos = 0;
+        this.params = [];
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        let token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    error(message, token) {
+        token = token || this.peek();
+        let found = token.type === 'eof' ? "end of input" : "'" + this.sql.slice(token.start, token.end) + "'";
+        syntaxError(this.sql, token.start, message + " but " + found + " found");
+    }
+
+    isWord(word, offset = 0) {
+        let token = this.peek(offset);
+        return token.type === 'word' && token.value.toUpperCase() === word;
+    }
+
+    acceptWord(word) {
+        if (this.isWord(word)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expectWord(word) {
+        if (!this.isWord(word)) {
+            this.error("Expected " + word);
+        }
+        return this.next();
+    }
+
+    isOp(op, offset = 0) {
+        let token = this.peek(offset);
+        return token.type === 'op' && token.value === op;
+    }
+
+    acceptOp(op) {
+        if (this.isOp(op)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expectOp(op) {
+        if (!this.isOp(op)) {
+            this.error("Expected '" + op + "'");
+        }
+        return this.next();
+    }
+
+    /**
+     * True if the next token can be read as an identifier
+     *
+     * @param {number} offset
+     */
+    isIdentifier(offset = 0) {
+        let token = this.peek(offset);
+        return token.type === 'ident' || (token.type === 'word' && !RESERVED.has(token.value.toUpperCase()));
+    }
+
+    parseIdentifier() {
+        if (!this.isIdentifier()) {
+            this.error("Expected identifier");
+        }
+        return this.next().value;
+    }
+
+    /**
+     * Parses a complete statement, including an optional trailing semicolon
+     */
+    parseStatement() {
+        let ast = this.isWord('EXPLAIN') ? this.parseExplain() : this.parseCommand();
+
+        this.acceptOp(';');
+        if (this.peek().type !== 'eof') {
+            this.error("Expected end of input");
+        }
+        ast.params = this.params;
+        return ast;
+    }
+
+    /**
+     * Parses EXPLAIN [ANALYZE] statement
+     */
+    parseExplain() {
+        this.expectWord('EXPLAIN');
+        let analyze = !!this.acceptWord('ANALYZE');
+        return { type: 'explain', analyze: analyze, statement: this.parseCommand() };
+    }
+
+    /**
+     * Parses a statement, without its semicolon
+     */
+    parseCommand() {
+        let ast;
+        let token = this.peek();
+        let keyword = token.type === 'word' ? token.value.toUpperCase() : null;
+
+        switch (keyword) {
+            case 'SELECT':
+                ast = this.parseSelect();
+                break;
+            case 'INSERT':
+            case 'REPLACE':
+                ast = this.parseInsert();
+                break;
+            case 'UPDATE':
+                ast = this.parseUpdate();
+                break;
+            case 'DELETE':
+                ast = this.parseDelete();
+                break;
+            case 'CREATE':
+                ast = this.parseCreate();
+                break;
+            case 'ALTER':
+                ast = this.parseAlter();
+                break;
+            case 'SHOW':
+            case 'DESCRIBE':
+            case 'DESC':
+                ast = this.parseShow();
+                break;
+            case 'BEGIN':
+            case 'START':
+            case 'COMMIT':
+            case 'END':
+            case 'ROLLBACK':
+            case 'SAVEPOINT':
+            case 'RELEASE':
+                ast = this.parseTransaction();
+                break;
+            default:
+                this.error("Expected SELECT, INSERT, REPLACE, UPDATE, DELETE, CREATE, ALTER, SHOW, DESCRIBE, EXPLAIN, BEGIN, COMMIT or ROLLBACK");
+        }
+        return ast;
+    }
+
+    /**
+     * Parses the transaction statements:
+     * BEGIN, START TRANSACTION, COMMIT, END, ROLLBACK [TO [SAVEPOINT] name],
+     * SAVEPOINT name and RELEASE [SAVEPOINT] name
+     */
+    parseTransaction() {
+        let keyword = this.next().value.toUpperCase();
+        let ast = { type: 'transaction', action: null, savepoint: null };
+
+        switch (keyword) {
+            case 'START':
+                this.expectWord('TRANSACTION');
+                ast.action = 'begin';
+                break;
+            case 'BEGIN':
+                ast.action = 'begin';
+                this.acceptWord('TRANSACTION') || this.acceptWord('WORK');
+                break;
+            case 'COMMIT':
+            case 'END':
+                ast.action = 'commit';
+                this.acceptWord('TRANSACTION') || this.acceptWord('WORK');
+                break;
+            case 'ROLLBACK':
+                ast.action = 'rollback';
+                this.acceptWord('TRANSACTION') || this.acceptWord('WORK');
+                if (this.acceptWord('TO')) {
+                    this.acceptWord('SAVEPOINT');
+                    ast.savepoint = this.parseIdentifier();
+                }
+                break;
+            case 'SAVEPOINT':
+                ast.action = 'savepoint';
+                ast.savepoint = this.parseIdentifier();
+                break;
+            case 'RELEASE':
+                ast.action = 'release';
+                this.acceptWord('SAVEPOINT');
+                ast.savepoint = this.parseIdentifier();
+                break;
+        }
+        return ast;
+    }
+
+    /**
+     * Parses a SELECT inside another statement, keeping its text to name
+     * the result column it is used in
+     */
+    parseSubquery() {
+        let start = this.peek().start;
+        let select = this.parseSelect();
+        select.text = this.sql.slice(start, this.tokens[this.pos - 1].end);
+        return select;
+    }
+
+    parseSelect() {
+        this.expectWord('SELECT');
+        let distinct = null;
+        if (this.acceptWord('DISTINCT')) {
+            distinct = 'DISTINCT';
+        } else {
+            this.acceptWord('ALL');
+        }
+
+        let columns;
+        if (this.isOp('*') && (this.peek(1).type === 'eof' || this.isWord('FROM', 1) || this.isOp(';', 1) || this.isOp(')', 1))) {
+            this.next();
+            columns = '*';
+        } else {
+            columns = this.parseList(() => this.parseSelectColumn());
+        }
+
+        let ast = {
+            type: 'select',
+            distinct: distinct,
+            columns: columns,
+            from: null,
+            where: null,
+            groupby: null,
+            having: null,
+            orderby: null,
+            limit: null
+        };
+
+        if (this.acceptWord('FROM')) {
+            ast.from = this.parseFrom();
+        }
+        if (this.acceptWord('WHERE')) {
+            ast.where = this.parseExpr();
+        }
+        if (this.acceptWord('GROUP')) {
+            this.expectWord('BY');
+            ast.groupby = this.parseList(() => this.parseExpr());
+        }
+        if (this.acceptWord('HAVING')) {
+            ast.having = this.parseExpr();
+        }
+        if (this.acceptWord('ORDER')) {
+            this.expectWord('BY');
+            ast.orderby = this.parseList(() => {
+                let item = { expr: this.parseExpr(), type: 'ASC' };
+                if (this.acceptWord('DESC')) {
+                    item.type = 'DESC';
+                } else {
+                    this.acceptWord('ASC');
+                }
+                if (this.acceptWord('NULLS')) {
+                    if (this.acceptWord('FIRST')) {
+                        item.nulls = 'FIRST';
+                    } else {
+                        this.expectWord('LAST');
+                        item.nulls = 'LAST';
+                    }
+                }
+                return item;
+            });
+        }
+        if (this.acceptWord('LIMIT')) {
+            let first = this.parseLimitValue();
+            if (this.acceptOp(',')) {
+                ast.limit = [first, this.parseLimitValue()];
+            } else if (this.acceptWord('OFFSET')) {
+                ast.limit = [this.parseLimitValue(), first];
+            } else {
+                ast.limit = [{ type: 'number', value: 0 }, first];
+            }
+        }
+
+        return ast;
+    }
+
+    parseSelectColumn() {
+        let expr = this.parseExpr();
+        let alias = null;
+        if (this.acceptWord('AS')) {
+            alias = this.peek().type === 'string' ? this.next().value : this.parseIdentifier();
+        } else if (this.isIdentifier()) {
+            alias = this.next().value;
+        }
+        return { expr: expr, as: alias };
+    }
+
+    parseLimitValue() {
+        let token = this.peek();
+        if (token.type === 'number' || token.type === 'param') {
+            return this.parsePrimary();
+        }
+        this.error("Expected number");
+    }
+
+    parseFrom() {
+        let tables = [this.parseTableBase()];
+
+        while (true) {
+            if (this.acceptOp(',')) {
+                tables.push(this.parseTableBase());
+                continue;
+            }
+
+            let join = null;
+            if (this.acceptWord('CROSS')) {
+                join = 'CROSS JOIN';
+            } else if (this.acceptWord('INNER')) {
+                join = 'INNER JOIN';
+            } else if (this.isWord('JOIN')) {
+                join = 'INNER JOIN';
+            } else {
+                for (let side of ['LEFT', 'RIGHT', 'FULL']) {
+                    if (this.acceptWord(side)) {
+                        this.acceptWord('OUTER');
+                        join = side + ' JOIN';
+                        break;
+                    }
+                }
+            }
+            if (join === null) break;
+            this.expectWord('JOIN');
+
+            let table = this.parseTableBase();
+            table.join = join;
+            table.on = null;
+            if (join !== 'CROSS JOIN') {
+                if (this.acceptWord('USING')) {
+                    this.expectOp('(');
+                    table.using = this.parseList(() => this.parseIdentifier());
+                    this.expectOp(')');
+                } else if (this.acceptWord('ON')) {
+                    table.on = this.parseExpr();
+                }
+            }
+            tables.push(table);
+        }
+
+        return tables;
+    }
+
+    parseTableName() {
+        let name = this.parseIdentifier();
+        if (this.acceptOp('.')) {
+            return { db: name, table: this.parseIdentifier() };
+        }
+        return { db: '', table: name };
+    }
+
+    parseTableBase() {
+        if (this.acceptOp('(')) {
+            // a derived table, which must have an alias
+            let select = this.parseSubquery();
+            this.expectOp(')');
+            this.acceptWord('AS');
+            return { db: '', table: null, expr: select, as: this.parseIdentifier() };
+        }
+        let table = this.parseTableName();
+        table.as = null;
+        if (this.acceptWord('AS') || this.isIdentifier()) {
+            table.as = this.parseIdentifier();
+        }
+        return table;
+    }
+
+    /**
+     * Parses INSERT or REPLACE INTO table [(columns)] followed by VALUES,
+     * a SELECT or DEFAULT VALUES. Without a column list, columns is null.
+     * 
+     * An INSERT can end with ON CONFLICT [(columns)] DO NOTHING or
+     * DO UPDATE SET column = value, ... [WHERE condition], and either can
+     * end with RETURNING.
+     */
+    parseInsert() {
+        let type = this.next().value.toLowerCase();
+        this.expectWord('INTO');
+        let table = this.parseTableName();
+        let ast = {
+            type: type,
+            db: table.db,
+            table: table.table,
+            columns: null,
+            values: null,
+            select: null
+        };
+
+        if (this.acceptWord('DEFAULT')) {
+            this.expectWord('VALUES');
+            ast.columns = [];
+            ast.values = [{ type: 'expr_list', value: [] }];
+            ast.conflict = this.parseConflict(type);
+            ast.returning = this.parseReturning();
+            return ast;
+        }
+
+        if (this.isOp('(') && !this.isWord('SELECT', 1)) {
+            this.next();
+            ast.columns = this.parseList(() => this.parseIdentifier());
+            this.expectOp(')');
+        }
+
+        if (this.isWord('SELECT')) {
+            ast.select = this.parseSubquery();
+        } else if (this.isOp('(') && this.isWord('SELECT', 1)) {
+            this.next();
+            ast.select = this.parseSubquery();
+            this.expectOp(')');
+        } else {
+            this.expectWord('VALUES');
+            ast.values = this.parseList(() => {
+                this.expectOp('(');
+                let list = this.parseExprList();
+                this.expectOp(')');
+                return list;
+            });
+        }
+        ast.conflict = this.parseConflict(type);
+        ast.returning = this.parseReturning();
+        return ast;
+    }
+
+    /**
+     * Parses RETURNING * or a list of columns, as in a SELECT
+     */
+    parseReturning() {
+        if (!this.acceptWord('RETURNING')) {
+            return null;
+        }
+        return this.acceptOp('*') ? '*' : this.parseList(() => this.parseSelectColumn());
+    }
+
+    parseConflict(type) {
+        if (type !== 'insert' || !this.isWord('ON')) {
+            return null;
+        }
+        this.expectWord('ON');
+        this.expectWord('CONFLICT');
+        let conflict = { columns: null, action: null, set: null, where: null };
+        if (this.acceptOp('(')) {
+            conflict.columns = this.parseList(() => this.parseIdentifier());
+            this.expectOp(')');
+        }
+        this.expectWord('DO');
+        if (this.acceptWord('NOTHING')) {
+            conflict.action = 'nothing';
+            return conflict;
+        }
+        this.expectWord('UPDATE');
+        conflict.action = 'update';
+        conflict.set = this.parseSet();
+        conflict.where = this.acceptWord('WHERE') ? this.parseExpr() : null;
+        return conflict;
+    }
+
+    /**
+     * Parses SET column = value, ...
+     */
+    parseSet() {
+        this.expectWord('SET');
+        return this.parseList(() => {
+            let column = this.parseIdentifier();
+            this.expectOp('=');
+            return { column: column, value: this.parseExpr() };
+        });
+    }
+
+    parseUpdate() {
+        this.expectWord('UPDATE');
+        let table = this.parseTableName();
+        let set = this.parseSet();
+
+        return {
+            type: 'update',
+            db: table.db,
+            table: table.table,
+            set: set,
+            where: this.acceptWord('WHERE') ? this.parseExpr() : null,
+            returning: this.parseReturning()
+        };
+    }
+
+    parseDelete() {
+        this.expectWord('DELETE');
+        this.expectWord('FROM');
+        return {
+            type: 'delete',
+            from: [this.parseTableBase()],
+            where: this.acceptWord('WHERE') ? this.parseExpr() : null,
+            returning: this.parseReturning()
+        };
+    }
+
+    /**
+     * Parses CREATE INDEX [IF NOT EXISTS] name ON table (column, ...), after
+     * the CREATE
+     */
+    parseCreateIndex() {
+        this.expectWord('INDEX');
+        let ifNotExists = false;
+        if (this.acceptWord('IF')) {
+            this.expectWord('NOT');
+            this.expectWord('EXISTS');
+            ifNotExists = true;
+        }
+        let name = this.parseIdentifier();
+        this.expectWord('ON');
+        let table = this.parseTableName();
+        this.expectOp('(');
+        let columns = this.parseList(() => this.parseIdentifier());
+        this.expectOp(')');
+        return { type: 'create_index', name: name, ifNotExists: ifNotExists, table: table.table, columns: columns };
+    }
+
+    /**
+     * Parses ALTER TABLE table followed by one of:
+     * ADD [COLUMN] definition, DROP [COLUMN] name,
+     * RENAME [COLUMN] name TO new_name or RENAME TO new_table
+     */
+    parseAlter() {
+        this.expectWord('ALTER');
+        this.expectWord('TABLE');
+        let table = this.parseTableName();
+        let ast = { type: 'alter_table', db: table.db, table: table.table, action: null, column: null, to: null };
+
+        if (this.acceptWord('ADD')) {
+            this.acceptWord('COLUMN');
+            ast.action = 'add_column';
+            ast.column = this.parseColumnDefinition();
+        } else if (this.acceptWord('DROP')) {
+            this.acceptWord('COLUMN');
+            ast.action = 'drop_column';
+            ast.column = this.parseIdentifier();
+        } else if (this.acceptWord('RENAME')) {
+            if (this.acceptWord('TO')) {
+                ast.action = 'rename_table';
+                ast.to = this.parseIdentifier();
+            } else {
+                this.acceptWord('COLUMN');
+                ast.action = 'rename_column';
+                ast.column = this.parseIdentifier();
+                this.expectWord('TO');
+                ast.to = this.parseIdentifier();
+            }
+        } else {
+            this.error("Expected ADD, DROP or RENAME");
+        }
+        return ast;
+    }
+
+    /**
+     * Parses SHOW TABLES, and SHOW COLUMNS FROM table, DESCRIBE table or
+     * DESC table which all describe the columns of a table
+     */
+    parseShow() {
+        let keyword = this.next().value.toUpperCase();
+        if (keyword === 'SHOW') {
+            if (this.acceptWord('TABLES')) {
+                return { type: 'show_tables' };
+            }
+            this.expectWord('COLUMNS');
+            this.acceptWord('FROM') || this.expectWord('IN');
+        }
+        let table = this.parseTableName();
+        return { type: 'describe', db: table.db, table: table.table };
+    }
+
+    /**
+     * Parses [OR REPLACE] VIEW [IF NOT EXISTS] name [(columns)] AS SELECT ...,
+     * after the CREATE
+     */
+    parseCreateView() {
+        let orReplace = false;
+        if (this.acceptWord('OR')) {
+            this.expectWord('REPLACE');
+            orReplace = true;
+        }
+        this.expectWord('VIEW');
+        let ifNotExists = false;
+        if (this.acceptWord('IF')) {
+            this.expectWord('NOT');
+            this.expectWord('EXISTS');
+            ifNotExists = true;
+        }
+        let name = this.parseTableName();
+        let columns = null;
+        if (this.acceptOp('(')) {
+            columns = this.parseList(() => this.parseIdentifier());
+            this.expectOp(')');
+        }
+        this.expectWord('AS');
+        return {
+            type: 'create_view',
+            name: name.table,
+            orReplace: orReplace,
+            ifNotExists: ifNotExists,
+            columns: columns,
+            select: this.parseSubquery()
+        };
+    }
+
+    parseCreate() {
+        this.expectWord('CREATE');
+        if (this.isWord('INDEX')) {
+            return this.parseCreateIndex();
+        }
+        if (this.isWord('VIEW') || this.isWord('OR')) {
+            return this.parseCreateView();
+        }
+        this.expectWord('TABLE');
+        let ifNotExists = false;
+        if (this.acceptWord('IF')) {
+            this.expectWord('NOT');
+            this.expectWord('EXISTS');
+            ifNotExists = true;
+        }
+        let name = this.parseTableName();
+
+        if (this.acceptWord('AS')) {
+            let select;
+            if (this.acceptOp('(')) {
+                select = this.parseSubquery();
+                this.expectOp(')');
+            } else {
+                select = this.parseSubquery();
+            }
+            return { type: 'create_table', name: name, ifNotExists: ifNotExists, columns: [], constraints: [], select: select };
+        }
+
+        this.expectOp('(');
+        let columns = [];
+        let constraints = [];
+        this.parseList(() => {
+            if (this.isWord('CONSTRAINT') || this.isWord('PRIMARY') || this.isWord('UNIQUE') || this.isWord('CHECK')) {
+                constraints.push(this.parseTableConstraint());
+            } else {
+                columns.push(this.parseColumnDefinition());
+            }
+        });
+        this.expectOp(')');
+
+        return {
+            type: 'create_table',
+            name: name,
+            ifNotExists: ifNotExists,
+            columns: columns,
+            constraints: constraints,
+            select: null
+        };
+    }
+
+    /**
+     * Parses a column definition with its constraints:
+     * name type[(n[,m])] [NOT NULL|NULL] [PRIMARY KEY] [UNIQUE] [DEFAULT value] [CHECK (expr)]
+     */
+    parseColumnDefinition() {
+        let column = { name: this.parseIdentifier(), type: { type: this.parseIdentifier() } };
+
+        if (this.acceptOp('(')) {
+            column.type.args = this.parseList(() => {
+                let token = this.next();
+                if (token.type !== 'number') {
+                    this.error("Expected number", token);
+                }
+                return String(token.value);
+            });
+            this.expectOp(')');
+        }
+
+        while (!this.isOp(',') && !this.isOp(')') && !this.isOp(';') && this.peek().type !== 'eof') {
+            if (this.acceptWord('CONSTRAINT')) {
+                this.parseIdentifier();
+            }
+            if (this.acceptWord('NOT')) {
+                this.expectWord('NULL');
+                column.notNull = true;
+            } else if (this.acceptWord('NULL')) {
+                column.notNull = false;
+            } else if (this.acceptWord('PRIMARY')) {
+                this.expectWord('KEY');
+                this.acceptWord('ASC') || this.acceptWord('DESC');
+                column.primaryKey = true;
+            } else if (this.acceptWord('UNIQUE')) {
+                column.unique = true;
+            } else if (this.acceptWord('DEFAULT')) {
+                column.default = this.parseUnary();
+            } else if (this.acceptWord('CHECK')) {
+                this.expectOp('(');
+                column.check = this.parseExpr();
+                this.expectOp(')');
+            } else {
+                this.error("Expected column constraint");
+            }
+        }
+
+        return column;
+    }
+
+    /**
+     * Parses a table constraint:
+     * [CONSTRAINT name] PRIMARY KEY (columns) | UNIQUE (columns) | CHECK (expr)
+     */
+    parseTableConstraint() {
+        let constraint = {};
+        if (this.acceptWord('CONSTRAINT')) {
+            constraint.name = this.parseIdentifier();
+        }
+
+        if (this.acceptWord('CHECK')) {
+            this.expectOp('(');
+            constraint.type = 'check';
+            constraint.expr = this.parseExpr();
+            this.expectOp(')');
+            return constraint;
+        }
+
+        if (this.acceptWord('PRIMARY')) {
+            this.expectWord('KEY');
+            constraint.type = 'primary_key';
+        } else {
+            this.expectWord('UNIQUE');
+            this.acceptWord('KEY');
+            constraint.type = 'unique';
+        }
+        this.expectOp('(');
+        constraint.columns = this.parseList(() => this.parseIdentifier());
+        this.expectOp(')');
+        return constraint;
+    }
+
+    parseList(parseItem) {
+        let items = [parseItem()];
+        while (this.acceptOp(',')) {
+            items.push(parseItem());
+        }
+        return items;
+    }
+
+    parseExprList() {
+        return { type: 'expr_list', value: this.parseList(() => this.parseExpr()) };
+    }
+
+    parseExpr() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptWord('OR')) {
+            left = binary('OR', left, this.parseAnd());
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.acceptWord('AND')) {
+            left = binary('AND', left, this.parseNot());
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.acceptWord('NOT') || this.acceptOp('!')) {
+            return { type: 'unary_expr', operator: 'NOT', expr: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseConcat();
+
+        while (true) {
+            let token = this.peek();
+
+            if (token.type === 'op' && COMPARISON.has(token.value)) {
+                this.next();
+                left = binary(token.value, left, this.parseConcat());
+                continue;
+            }
+
+            if (this.acceptWord('IS')) {
+                let operator = this.acceptWord('NOT') ? 'IS NOT' : 'IS';
+                left = binary(operator, left, this.parseConcat());
+                continue;
+            }
+
+            let negate = '';
+            if (this.isWord('NOT') && (this.isWord('IN', 1) || this.isWord('BETWEEN', 1) || this.isWord('LIKE', 1))) {
+                this.next();
+                negate = 'NOT ';
+            }
+
+            if (this.acceptWord('IN')) {
+                this.expectOp('(');
+                let list = this.isWord('SELECT') ? this.parseSubquery() : this.parseExprList();
+                this.expectOp(')');
+                left = binary(negate + 'IN', left, list);
+            } else if (this.acceptWord('BETWEEN')) {
+                let low = this.parseConcat();
+                this.expectWord('AND');
+                let high = this.parseConcat();
+                left = binary(negate + 'BETWEEN', left, { type: 'expr_list', value: [low, high] });
+            } else if (this.acceptWord('LIKE')) {
+                left = binary(negate + 'LIKE', left, this.parseConcat());
+            } else {
+                return left;
+            }
+        }
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.acceptOp('||')) {
+            left = binary('||', left, this.parseAdditive());
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            left = binary(this.next().value, left, this.parseMultiplicative());
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+            left = binary(this.next().value, left, this.parseUnary());
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            let operator = this.next().value;
+            let expr = this.parseUnary();
+            if (expr.type === 'number' && !expr.paren) {
+                return { type: 'number', value: operator === '-' ? -expr.value : expr.value };
+            }
+            return { type: 'unary_expr', operator: operator, expr: expr };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        let token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+                this.next();
+                return { type: 'number', value: token.value };
+            case 'string':
+                this.next();
+                return { type: 'string', value: token.value };
+            case 'param': {
+                this.next();
+                let param = { type: 'param', value: token.value };
+                if (token.value === '?') {
+                    param.index = this.params.filter(param => param.value === '?').length;
+                } else if (token.value[0] === '$') {
+                    param.index = parseInt(token.value.slice(1)) - 1;
+                }
+                this.params.push(param);
+                return param;
+            }
+            case 'op':
+                if (token.value === '(') {
+                    this.next();
+                    let expr = this.isWord('SELECT') ? this.parseSubquery() : this.parseExpr();
+                    this.expectOp(')');
+                    expr.paren = true;
+                    return expr;
+                }
+                break;
+            case 'word':
+                switch (token.value.toUpperCase()) {
+                    case 'NULL':
+                        this.next();
+                        return { type: 'null', value: null };
+                    case 'TRUE':
+                        this.next();
+                        return { type: 'bool', value: true };
+                    case 'FALSE':
+                        this.next();
+                        return { type: 'bool', value: false };
+                    case 'EXISTS': {
+                        this.next();
+                        this.expectOp('(');
+                        let select = this.parseSubquery();
+                        this.expectOp(')');
+                        return { type: 'exists', value: select };
+                    }
+                    case 'CURRENT_TIMESTAMP':
+                    case 'CURRENT_DATE':
+                    case 'CURRENT_TIME':
+                        if (!this.isOp('(', 1)) {
+                            this.next();
+                            return this.currentTime(token.value.toUpperCase());
+                        }
+                        break;
+                }
+                if (this.isOp('(', 1)) {
+                    return this.parseFunction();
+                }
+                return this.parseColumnRef();
+            case 'ident':
+                return this.parseColumnRef();
+        }
+
+        this.error("Expected expression");
+    }
+
+    /**
+     * CURRENT_TIMESTAMP, CURRENT_DATE and CURRENT_TIME as function calls
+     */
+    currentTime(keyword) {
+        let now = { type: 'string', value: 'now' };
+        switch (keyword) {
+            case 'CURRENT_DATE':
+                return { type: 'function', name: 'DATE', args: { type: 'expr_list', value: [now] } };
+            case 'CURRENT_TIME':
+                return { type: 'function', name: 'TIME', args: { type: 'expr_list', value: [now] } };
+            default:
+                return { type: 'function', name: 'NOW', args: { type: 'expr_list', value: [] } };
+        }
+    }
+
+    parseColumnRef() {
+        let name = this.parseIdentifier();
+        if (this.acceptOp('.')) {
+            let token = this.next();
+            if (token.type !== 'word' && token.type !== 'ident') {
+                this.error("Expected column name", token);
+            }
+            return { type: 'column_ref', table: name, column: token.value };
+        }
+        return { type: 'column_ref', table: '', column: name };
+    }
+
+    parseFunction() {
+        let name = this.next().value;
+        let upper = name.toUpperCase();
+        this.expectOp('(');
+
+        if (AGGREGATES.has(upper)) {
+            let args = null;
+            if (upper === 'COUNT' && this.acceptOp('*')) {
+                args = { expr: { type: 'star', value: '*' } };
+            } else if (this.acceptWord('DISTINCT')) {
+                args = { distinct: 'DISTINCT', expr: this.parseExpr() };
+            } else if (!this.isOp(')')) {
+                let list = this.parseExprList();
+                if (list.value.length > 1) {
+                    // e.g. MIN(a, b) is a scalar function
+                    this.expectOp(')');
+                    return { type: 'function', name: name, args: list };
+                }
+                args = { expr: list.value[0] };
+            }
+            this.expectOp(')');
+            if (args === null) {
+                this.error("Expected argument to " + upper, this.peek(-1));
+            }
+            return { type: 'aggr_func', name: upper, args: args };
+        }
+
+        let args = { type: 'expr_list', value: [] };
+        if (!this.isOp(')')) {
+            args = this.parseExprList();
+        }
+        this.expectOp(')');
+        return { type: 'function', name: name, args: args };
+    }
+}
+
+function binary(operator, left, right) {
+    return { type: 'binary_expr', operator: operator, left: left, right: right };
+}
+
+/**
+ * Parses a single SQL statement into an AST
+ *
+ * @param {string} sql
+ * @returns {any}
+ */
+function parse(sql) {
+    return new Parser(sql).parseStatement();
+}
+
+/**
+ * Splits SQL text into its statements at the semicolons between them.
+ * Semicolons inside quoted strings and comments do not end a statement,
+ * and statements which are empty or only comments are left out.
+ *
+ * @param {string} sql
+ * @returns {Array<{sql:string,offset:number}>} The text of each statement, without its semicolon, and its offset in the SQL text
+ */
+function findStatements(sql) {
+    let statements = [];
+    let first = null, last = null;
+    for (let token of tokenize(sql)) {
+        if (token.type === 'eof' || (token.type === 'op' && token.value === ';')) {
+            if (first) statements.push({ sql: sql.slice(first.start, last.end), offset: first.start });
+            first = last = null;
+        } else {
+            first = first || token;
+            last = token;
+        }
+    }
+    return statements;
+}
+
+/**
+ * Splits SQL text into the text of its statements, as findStatements
+ *
+ * @param {string} sql
+ * @returns {Array<string>} The text of each statement, without its semicolon
+ */
+function splitStatements(sql) {
+    return findStatements(sql).map(statement => statement.sql);
+}
+
+/**
+ * Moves a syntax error in one statement of a script to its position in the
+ * whole script. Other errors are returned as they are.
+ *
+ * @param {any} err The error of the statement
+ * @param {string} sql The script
+ * @param {number} offset The offset of the statement in the script
+ * @returns {any}
+ */
+function locateError(err, sql, offset) {
+    if (!(err instanceof SyntaxError) || typeof err.offset !== 'number') return err;
+    let loc = location(sql, offset + err.offset);
+    let message = err.message.replace(/ at line \d+, column \d+$/, '');
+    return new SyntaxError(message + " at line " + loc.line + ", column " + loc.column, loc.line, loc.column, offset + err.offset);
+}
+
+/**
+ * Returns the name of a parameter as it was written in the SQL
+ *
+ * @param {{value:string}} param
+ * @returns {string}
+ */
+function paramName(param) {
+    return param.value === '?' || param.value[0] === '$' ? param.value : ':' + param.value;
+}
+
+/**
+ * Checks that a value can be bound to a parameter, returning it as the
+ * value the parameter evaluates to
+ *
+ * @param {any} param
+ * @param {any} value
+ * @returns {string|number|boolean|Date|null}
+ */
+function bindValue(param, value) {
+    if (value === null || value === undefined) return null;
+    switch (typeof value) {
+        case 'string':
+        case 'boolean':
+            return value;
+        case 'number':
+            if (isNaN(value)) break;
+            return value;
+        case 'bigint':
+            return Number(value);
+        case 'object':
+            if (value instanceof Date && !isNaN(value.getTime())) return value;
+            break;
+    }
+    throw new QueryError("Invalid value for parameter " + paramName(param) + ": " + String(value));
+}
+
+/**
+ * Binds values to the parameters of a parsed statement. Positional
+ * parameters (? and $1, $2...) are taken from an array, ? parameters in the
+ * order they appear. Named parameters (:name) are taken from an object.
+ *
+ * Values are bound to the expression tree rather than written into the SQL,
+ * so they never need escaping. A statement with parameters must be given a
+ * value for every one of them.
+ *
+ * @param {any} ast The statement returned by parse()
+ * @param {Array<any>|Object} values The parameter values
+ * @returns {any} The statement
+ */
+function bind(ast, values) {
+    for (let param of ast.params || []) {
+        let value;
+        if (param.index !== undefined) {
+            if (!Array.isArray(values) || param.index >= values.length) {
+                throw new QueryError("No value bound for parameter " + paramName(param));
+            }
+            value = values[param.index];
+        } else {
+            if (values === null || typeof values !== 'object' || Array.isArray(values)
+                || !Object.prototype.hasOwnProperty.call(values, param.value)) {
+                throw new QueryError("No value bound for parameter " + paramName(param));
+            }
+            value = values[param.value];
+        }
+        param.bound = bindValue(param, value);
+    }
+    return ast;
+}
+
+/**
+ * Converts an expression tree back to SQL text. Used to name result
+ * columns which have no alias.
+ *
+ * @param {any} expr
+ * @returns {string}
+ */
+function stringify(expr) {
+    let text;
+    switch (expr.type) {
+        case 'column_ref':
+            text = expr.table ? expr.table + "." + expr.column : expr.column;
+            break;
+        case 'number':
+            text = String(expr.value);
+            break;
+        case 'string':
+            text = "'" + expr.value.replace(/'/g, "''") + "'";
+            break;
+        case 'bool':
+            text = expr.value ? 'TRUE' : 'FALSE';
+            break;
+        case 'null':
+            text = 'NULL';
+            break;
+        case 'param':
+            text = paramName(expr);
+            break;
+        case 'star':
+            text = '*';
+            break;
+        case 'expr_list':
+            text = expr.value.map(stringify).join(', ');
+            break;
+        case 'unary_expr':
+            text = expr.operator === 'NOT' ? 'NOT ' + stringify(expr.expr) : expr.operator + stringify(expr.expr);
+            break;
+        case 'binary_expr':
+            if (expr.operator === 'IN' || expr.operator === 'NOT IN') {
+                text = stringify(expr.left) + " " + expr.operator + " (" + (expr.right.type === 'select' ? expr.right.text : stringify(expr.right)) + ")";
+            } else if (expr.operator === 'BETWEEN' || expr.operator === 'NOT BETWEEN') {
+                text = stringify(expr.left) + " " + expr.operator + " " + stringify(expr.right.value[0]) + " AND " + stringify(expr.right.value[1]);
+            } else {
+                text = stringify(expr.left) + " " + expr.operator + " " + stringify(expr.right);
+            }
+            break;
+        case 'function':
+            text = expr.name.toUpperCase() + "(" + stringify(expr.args) + ")";
+            break;
+        case 'aggr_func':
+            text = expr.name.toUpperCase() + "(" + (expr.args.distinct ? "DISTINCT " : "") + stringify(expr.args.expr) + ")";
+            break;
+        case 'select':
+            text = expr.paren ? expr.text : "(" + expr.text + ")";
+            break;
+        case 'exists':
+            text = "EXISTS(" + expr.value.text + ")";
+            break;
+        default:
+            text = String(expr.value);
+            break;
+    }
+    return expr.paren ? "(" + text + ")" : text;
+}
+
+module.exports = {
+    parse: parse,
+    bind: bind,
+    stringify: stringify,
+    tokenize: tokenize,
+    splitStatements: splitStatements,
+    findStatements: findStatements,
+    locateError: locateError,
+    location: location,
+    Parser: Parser
+};
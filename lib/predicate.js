@@ -0,0 +1,139 @@
+/**
+ * Converts a WHERE clause to the plain, serialisable conditions passed to
+ * a driver's loadWhere, so a backend which can filter rows itself is only
+ * asked for the rows which match. Conditions which can not be expressed
+ * that way are left to be evaluated locally.
+ */
+
+var { conjuncts, isConstant } = require('./indexes');
+
+const COMPARISONS = { '=': '=', '!=': '<>', '<>': '<>', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+const FLIPPED = { '=': '=', '<>': '<>', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+/**
+ * Converts a condition to its plain form:
+ * {column, operator, value} for =, <>, <, <=, >, >=, LIKE and NOT LIKE,
+ * {column, operator, values} for IN, NOT IN, BETWEEN and NOT BETWEEN,
+ * {column, operator} for IS NULL and IS NOT NULL, and {and: [...]},
+ * {or: [...]} and {not: ...} for conditions combined with AND, OR and NOT.
+ * Values are never NULL, a comparison with NULL is evaluated locally.
+ *
+ * @param {any} expr The condition
+ * @param {function(any):boolean} isColumn True if a column_ref is a column of the table
+ * @param {function(any):any} value Evaluates a constant expression
+ * @returns {any} null if the condition can not be converted
+ */
+function toCondition(expr, isColumn, value) {
+    if (!expr || typeof expr !== 'object') return null;
+
+    if (expr.type === 'unary_expr' && expr.operator === 'NOT') {
+        let condition = toCondition(expr.expr, isColumn, value);
+        return condition ? { not: condition } : null;
+    }
+    if (expr.type !== 'binary_expr') return null;
+
+    let operator = expr.operator;
+    if (operator === 'AND' || operator === 'OR') {
+        let key = operator.toLowerCase();
+        let parts = [];
+        for (let side of [expr.left, expr.right]) {
+            let condition = toCondition(side, isColumn, value);
+            if (!condition) return null;
+            // a AND b AND c is one list rather than nested pairs
+            parts = parts.concat(condition[key] || [condition]);
+        }
+        return { [key]: parts };
+    }
+
+    let left = expr.left, right = expr.right;
+    if (COMPARISONS[operator]) {
+        operator = COMPARISONS[operator];
+        if (!isColumn(left) && isColumn(right)) {
+            [left, right] = [right, left];
+            operator = FLIPPED[operator];
+        }
+    }
+    if (!isColumn(left) || !isConstant(right)) return null;
+    let column = left.column;
+
+    if (COMPARISONS[operator] || operator === 'LIKE' || operator === 'NOT LIKE') {
+        let constant = value(right);
+        return constant === null || constant === undefined ? null : { column: column, operator: operator, value: constant };
+    }
+    if ((operator === 'IN' || operator === 'NOT IN' || operator === 'BETWEEN' || operator === 'NOT BETWEEN') && right.type === 'expr_list') {
+        let values = right.value.map(value);
+        return values.some(constant => constant === null || constant === undefined) ? null : { column: column, operator: operator, values: values };
+    }
+    if ((operator === 'IS' || operator === 'IS NOT') && right.type === 'null') {
+        return { column: column, operator: operator + ' NULL' };
+    }
+    return null;
+}
+
+/**
+ * Splits a WHERE clause into the conditions ANDed together in it, and
+ * converts those which can be to their plain form
+ *
+ * @param {any} where The WHERE clause
+ * @param {function(any):boolean} isColumn True if a column_ref is a column of the table
+ * @param {function(any):any} value Evaluates a constant expression
+ * @returns {{conditions:Array<any>,exprs:Array<any>,rest:Array<any>}} The plain conditions, the expression of each, and the expressions which could not be converted
+ */
+function splitPredicate(where, isColumn, value) {
+    let split = { conditions: [], exprs: [], rest: [] };
+    for (let expr of conjuncts(where)) {
+        let condition = toCondition(expr, isColumn, value);
+        if (condition) {
+            split.conditions.push(condition);
+            split.exprs.push(expr);
+        } else {
+            split.rest.push(expr);
+        }
+    }
+    return split;
+}
+
+/**
+ * Joins conditions with AND
+ *
+ * @param {Array<any>} exprs
+ * @returns {any} null if there are none
+ */
+function conjoin(exprs) {
+    return exprs.reduce((left, right) => left ? { type: 'binary_expr', operator: 'AND', left: left, right: right } : right, null);
+}
+
+/**
+ * Lists the columns of a table a statement uses, including those used by
+ * its subqueries. Names which are not columns of the table, such as
+ * column labels, may be included.
+ *
+ * @param {Array<any>} exprs The parts of the statement to search
+ * @param {function(any):boolean} isColumn True if a column_ref may be a column of the table
+ * @returns {Array<string>|null} null if every column is used
+ */
+function usedColumns(exprs, isColumn) {
+    let columns = new Set();
+    let walk = (node) => {
+        if (node === null || typeof node !== 'object') return;
+        if (Array.isArray(node)) return node.forEach(walk);
+        if (node.type === 'column_ref') {
+            if (isColumn(node)) columns.add(node.column);
+            return;
+        }
+        for (let key in node) {
+            if (typeof node[key] === 'object') walk(node[key]);
+        }
+    };
+    for (let expr of exprs) {
+        if (expr === '*') return null;
+        walk(expr);
+    }
+    return Array.from(columns);
+}
+
+module.exports = {
+    splitPredicate: splitPredicate,
+    conjoin: conjoin,
+    usedColumns: usedColumns
+};
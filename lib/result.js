@@ -0,0 +1,172 @@
+/**
+ * The structured result of a statement, returned by execute() and query()
+ * when asked for with the metadata option.
+ */
+
+var { Functions } = require('./functions');
+
+/**
+ * Works out the column type of a value, using the type names of table
+ * definitions
+ *
+ * @param {any} value
+ * @returns {string|null} null for NULL
+ */
+function valueType(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return 'date';
+    switch (typeof value) {
+        case 'number':
+            return Number.isInteger(value) ? 'integer' : 'float';
+        case 'string':
+            return 'string';
+        case 'boolean':
+            return 'boolean';
+        default:
+            return 'object';
+    }
+}
+
+/**
+ * Works out the column type of a list of values: the type they share, or
+ * float for a mix of integers and floats
+ *
+ * @param {Array<any>} values
+ * @returns {string|null} null if every value is NULL, object if the types differ
+ */
+function valuesType(values) {
+    let types = new Set(values.map(valueType).filter(type => type !== null));
+    if (types.size === 2 && types.has('integer') && types.has('float')) return 'float';
+    if (types.size > 1) return 'object';
+    return types.size ? types.values().next().value : null;
+}
+
+/**
+ * The types of the built in functions whose result type does not depend
+ * on their arguments
+ */
+const FUNCTION_TYPES = {
+    UPPER: 'string', LOWER: 'string', SUBSTR: 'string', SUBSTRING: 'string', TRIM: 'string', LTRIM: 'string',
+    RTRIM: 'string', REPLACE: 'string', CONCAT: 'string', DATE: 'string', TIME: 'string', DATETIME: 'string',
+    STRFTIME: 'string', LENGTH: 'integer', INSTR: 'integer', CEIL: 'integer', CEILING: 'integer',
+    FLOOR: 'integer', NOW: 'date'
+};
+
+/**
+ * Works out the type shared by several expressions: integers and floats
+ * together give float
+ *
+ * @param {Array<string|null>} types
+ * @returns {string|null} null if the type of one of them is not known, or they differ
+ */
+function commonType(types) {
+    if (!types.length || types.indexOf(null) >= 0) return null;
+    let distinct = new Set(types);
+    if (distinct.size === 2 && distinct.has('integer') && distinct.has('float')) return 'float';
+    return distinct.size === 1 ? types[0] : null;
+}
+
+/**
+ * Works out the column type of an expression from the expression itself:
+ * a comparison is boolean, arithmetic with a float is float, and so on.
+ *
+ * @param {any} expr
+ * @param {function(any):string|null} columnType Gives the type of a column_ref node, null if it is not known
+ * @param {{[name:string]:function}} functions The functions of the driver, a function which has been replaced has no known type
+ * @returns {string|null} null if the type can not be worked out, such as for a parameter, a subquery or NULL
+ */
+function expressionType(expr, columnType, functions = Functions) {
+    let type = (expr) => expressionType(expr, columnType, functions);
+    let numeric = (type) => type === 'integer' || type === 'float' ? type : null;
+
+    switch (expr.type) {
+        case 'number':
+            return Number.isInteger(expr.value) ? 'integer' : 'float';
+        case 'string':
+            return 'string';
+        case 'bool':
+        case 'exists':
+            return 'boolean';
+        case 'column_ref':
+            return columnType(expr);
+        case 'unary_expr':
+            return expr.operator === 'NOT' ? 'boolean' : numeric(type(expr.expr));
+        case 'aggr_func': {
+            let name = expr.name.toUpperCase();
+            if (name === 'COUNT') return 'integer';
+            if (name === 'AVG') return 'float';
+            if (expr.args.expr.type === 'star') return null;
+            let arg = type(expr.args.expr);
+            return name === 'SUM' ? numeric(arg) : arg;
+        }
+        case 'function': {
+            let name = expr.name.toUpperCase();
+            let args = expr.args.value;
+            if (!Functions[name] || functions[name] !== Functions[name]) return null;
+            if (name in FUNCTION_TYPES) return FUNCTION_TYPES[name];
+            switch (name) {
+                case 'ABS':
+                    return args.length ? numeric(type(args[0])) : null;
+                case 'ROUND':
+                    return args.length > 1 ? 'float' : 'integer';
+                case 'NULLIF':
+                    return args.length ? type(args[0]) : null;
+                default:
+                    // COALESCE, IFNULL, MIN and MAX give one of their arguments
+                    return commonType(args.map(type));
+            }
+        }
+        case 'binary_expr':
+            break;
+        default:
+            return null;
+    }
+
+    switch (expr.operator) {
+        case '||':
+            return 'string';
+        case '+':
+        case '-':
+        case '*':
+        case '%': {
+            let left = type(expr.left), right = type(expr.right);
+            if (left === 'float' || right === 'float') return 'float';
+            return left === 'integer' && right === 'integer' ? 'integer' : null;
+        }
+        case '/':
+            return numeric(type(expr.left)) && numeric(type(expr.right)) ? 'float' : null;
+        default:
+            // comparisons, AND, OR, IS, IN, BETWEEN and LIKE
+            return 'boolean';
+    }
+}
+
+class Result {
+    /**
+     * @param {string} type The statement type, as in the parsed statement
+     */
+    constructor(type) {
+        this.type = type;
+        /** The rows selected, or returned by RETURNING */
+        this.rows = [];
+        /** The name, type and for sized strings the length of each column of the rows, type null if it is not known */
+        this.columns = [];
+        /** The number of rows inserted, updated or deleted */
+        this.rowsAffected = 0;
+        /** The keys of the rows inserted */
+        this.insertIds = [];
+        /** The keys of the rows updated, by UPDATE or by an INSERT ... ON CONFLICT DO UPDATE */
+        this.updatedIds = [];
+        /** The keys of all the rows written */
+        this.ids = [];
+        /** For COMMIT, the key each row inserted in the transaction was stored under, by its temporary key */
+        this.keys = {};
+    }
+}
+
+module.exports = {
+    Result: Result,
+    valueType: valueType,
+    valuesType: valuesType,
+    expressionType: expressionType
+};
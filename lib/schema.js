@@ -0,0 +1,417 @@
+/**
+ * Table definitions: building the column definitions passed to create() from
+ * CREATE TABLE, and coercing and validating the rows written by INSERT and
+ * UPDATE against them.
+ */
+
+var { toDate, truth, valueKey, textKey, transform } = require('./expression');
+var { stringify } = require('./parser');
+var { ConstraintError, UnsupportedFeatureError, QueryError } = require('./errors');
+
+function has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+/**
+ * Builds the definition of a single column
+ *
+ * @param {any} col The column from the CREATE TABLE statement
+ * @param {number} index The position of the column in the table
+ * @returns {{name:string,index:number,type:string,length?:number,pad?:string}}
+ */
+function columnDefinition(col, index) {
+    var column = {
+        name: col.name,
+        index: index
+    }
+
+    switch (col.type.type.toUpperCase()) {
+        case 'CHAR':
+        case 'CHARACTER':
+            column.type = 'string';
+            column.pad = ' ';
+            column.length = parseInt(col.type.args[0]);
+            break;
+        case 'VARCHAR':
+            column.type = 'string';
+            column.length = parseInt(col.type.args[0]);
+            break;
+        case 'BINARY':
+        case 'VARBINARY':
+            column.type = 'binary';
+            column.length = parseInt(col.type.args[0]);
+            break;
+        case 'BOOLEAN':
+            column.type = 'boolean';
+            break;
+        case 'INTEGER':
+        case 'SMALLINT':
+        case 'BIGINT':
+            column.type = 'integer';
+            break;
+        case 'DECIMAL':
+        case 'NUMERIC':
+        case 'FLOAT':
+        case 'REAL':
+        case 'DOUBLE':
+            column.type = 'float';
+            break;
+        case 'DATE':
+        case 'TIME':
+        case 'TIMESTAMP':
+            column.type = 'date';
+            break;
+        case 'INTERVAL':
+        case 'ARRAY':
+        case 'MULTISET':
+        case 'XML':
+            throw new UnsupportedFeatureError(col.type.type.toUpperCase() + " columns are not supported", col.type.type.toUpperCase());
+        case 'TEXT':
+            column.type = 'string';
+            break;
+    }
+
+    if (col.notNull) column.notNull = true;
+    if (col.primaryKey) column.primaryKey = true;
+    if (col.unique) column.unique = true;
+    if (col.default !== undefined) column.default = col.default;
+    if (col.check !== undefined) column.check = col.check;
+
+    return column;
+}
+
+/**
+ * Builds the definition of a table from a CREATE TABLE statement.
+ *
+ * Table constraints are recorded on their columns: every column of the
+ * primary key has primaryKey set, a multi-column UNIQUE sets unique to the
+ * same key name on each of its columns, and a table CHECK is added to the
+ * first column it mentions (checks always see the whole row).
+ *
+ * @param {any} sqlobj The CREATE TABLE statement
+ * @returns {Array<{name:string,index:number,type:string}>}
+ */
+function tableDefinition(sqlobj) {
+    let columns = sqlobj.columns.map((col, n) => columnDefinition(col, n));
+
+    let find = (name) => {
+        let column = columns.find(column => column.name === name);
+        if (!column) {
+            throw new QueryError("Unknown column " + name + " in constraint on table " + sqlobj.name.table);
+        }
+        return column;
+    }
+
+    for (let constraint of sqlobj.constraints || []) {
+        switch (constraint.type) {
+            case 'primary_key':
+                constraint.columns.forEach(name => find(name).primaryKey = true);
+                break;
+            case 'unique':
+                if (constraint.columns.length === 1) {
+                    find(constraint.columns[0]).unique = true;
+                } else {
+                    let key = constraint.name || constraint.columns.join('_');
+                    constraint.columns.forEach(name => find(name).unique = key);
+                }
+                break;
+            case 'check': {
+                let refs = [];
+                JSON.stringify(constraint.expr, (key, value) => {
+                    if (value && value.type === 'column_ref') refs.push(value.column);
+                    return value;
+                });
+                let column = columns.find(column => refs.indexOf(column.name) >= 0) || columns[0];
+                column.check = column.check
+                    ? { type: 'binary_expr', operator: 'AND', left: column.check, right: constraint.expr }
+                    : constraint.expr;
+                break;
+            }
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Builds the definition of a table after an ALTER TABLE, the definition
+ * passed is not changed. A renamed column is also renamed in the CHECK
+ * constraints which use it.
+ *
+ * @param {string} table The table name
+ * @param {Array<any>} definition The table definition
+ * @param {any} sqlobj The ALTER TABLE statement
+ * @returns {Array<any>} The new definition
+ */
+function alterDefinition(table, definition, sqlobj) {
+    let find = (name) => definition.find(column => column.name === name);
+    let unknown = (name) => new QueryError("Unknown column " + name + " in table " + table);
+    let exists = (name) => new QueryError("Column " + name + " already exists in table " + table);
+
+    switch (sqlobj.action) {
+        case 'add_column':
+            if (find(sqlobj.column.name)) throw exists(sqlobj.column.name);
+            return definition.concat([columnDefinition(sqlobj.column, definition.length)]);
+        case 'drop_column':
+            if (!find(sqlobj.column)) throw unknown(sqlobj.column);
+            if (definition.length === 1) {
+                throw new QueryError("Cannot drop " + sqlobj.column + ", the only column of table " + table);
+            }
+            return definition.filter(column => column.name !== sqlobj.column)
+                .map((column, n) => Object.assign({}, column, { index: n }));
+        case 'rename_column': {
+            if (!find(sqlobj.column)) throw unknown(sqlobj.column);
+            if (find(sqlobj.to)) throw exists(sqlobj.to);
+            let rename = (expr) => transform(expr, node => {
+                if (node.type === 'column_ref' && node.column === sqlobj.column) {
+                    return Object.assign({}, node, { column: sqlobj.to });
+                }
+            });
+            return definition.map(column => {
+                let copy = Object.assign({}, column);
+                if (copy.name === sqlobj.column) copy.name = sqlobj.to;
+                if (copy.check) copy.check = rename(copy.check);
+                return copy;
+            });
+        }
+        default:
+            return definition;
+    }
+}
+
+/**
+ * Describes the columns of a table, as the rows of
+ * information_schema.columns
+ *
+ * @param {string} table The table name
+ * @param {Array<any>} definition The table definition
+ * @returns {Array<Object>}
+ */
+function describeColumns(table, definition) {
+    return definition.map((column, n) => ({
+        table_name: table,
+        column_name: column.name,
+        ordinal_position: n + 1,
+        data_type: column.type || null,
+        character_maximum_length: Number.isInteger(column.length) ? column.length : null,
+        is_nullable: column.notNull || column.primaryKey ? 'NO' : 'YES',
+        column_default: column.default === undefined ? null : stringify(column.default),
+        column_key: column.primaryKey ? 'PRIMARY KEY' : (column.unique ? 'UNIQUE' : null)
+    }));
+}
+
+/**
+ * Converts a value to the type of its column. CHARACTER(n) values are padded
+ * and VARCHAR(n) values truncated to their length.
+ *
+ * @param {any} value
+ * @param {{name:string,type:string,length?:number,pad?:string}} column
+ * @param {string} table The table name, used in error messages
+ * @returns {any}
+ */
+function coerceValue(value, column, table) {
+    if (isNull(value)) return null;
+
+    let invalid = () => new ConstraintError("Invalid " + column.type + " value '" + value + "' for column " + table + "." + column.name, 'TYPE', table, [column.name]);
+
+    switch (column.type) {
+        case 'string': {
+            let text = value instanceof Date ? value.toISOString() : String(value);
+            if (Number.isInteger(column.length)) {
+                text = text.slice(0, column.length);
+                if (column.pad !== undefined) {
+                    while (text.length < column.length) text += column.pad;
+                }
+            }
+            return text;
+        }
+        case 'integer':
+        case 'float': {
+            let n = NaN;
+            if (typeof value === 'number') {
+                n = value;
+            } else if (typeof value === 'boolean') {
+                n = value ? 1 : 0;
+            } else if (typeof value === 'string' && value.trim() !== '') {
+                n = Number(value);
+            }
+            if (!isFinite(n)) throw invalid();
+            return column.type === 'integer' ? Math.trunc(n) : n;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'number') return value !== 0;
+            let lower = String(value).trim().toLowerCase();
+            if (['true', 't', 'yes', 'y', '1'].indexOf(lower) >= 0) return true;
+            if (['false', 'f', 'no', 'n', '0'].indexOf(lower) >= 0) return false;
+            throw invalid();
+        }
+        case 'date': {
+            // a time of day on its own is taken as a time on 1970-01-01
+            let date = toDate(/^\d{1,2}:\d{2}/.test(value) ? '1970-01-01 ' + value : value);
+            if (!date) throw invalid();
+            return date;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Coerces the values written to a table to their column types. For an
+ * insert, columns which are not given get their DEFAULT value or NULL.
+ *
+ * @param {string} table The table name
+ * @param {Array<any>} definition The table definition
+ * @param {Object} values The values being written, keyed by column name
+ * @param {boolean} insert If true, fill in the columns not given
+ * @param {function(any):any} evaluate Evaluates a DEFAULT expression
+ * @returns {Object} The coerced values
+ */
+function coerceRow(table, definition, values, insert, evaluate) {
+    for (let name in values) {
+        if (!definition.some(column => column.name === name)) {
+            throw new QueryError("Unknown column " + name + " in table " + table);
+        }
+    }
+
+    let row = {};
+    for (let column of definition) {
+        if (has(values, column.name)) {
+            row[column.name] = coerceValue(values[column.name], column, table);
+        } else if (insert) {
+            row[column.name] = column.default === undefined ? null : coerceValue(evaluate(column.default), column, table);
+        }
+    }
+    return row;
+}
+
+/**
+ * Checks the NOT NULL and CHECK constraints of a complete row. A CHECK
+ * fails only if it is false, NULL passes.
+ *
+ * @param {string} table The table name
+ * @param {Array<any>} definition The table definition
+ * @param {Object} row The row
+ * @param {function(any, Object):any} evaluate Evaluates a CHECK expression against the row
+ */
+function checkRow(table, definition, row, evaluate) {
+    for (let column of definition) {
+        if ((column.notNull || column.primaryKey) && isNull(row[column.name])) {
+            throw new ConstraintError("NOT NULL constraint failed: " + table + "." + column.name, 'NOT NULL', table, [column.name]);
+        }
+        if (column.check && truth(evaluate(column.check, row)) === false) {
+            throw new ConstraintError("CHECK constraint failed: " + table + "." + column.name, 'CHECK', table, [column.name]);
+        }
+    }
+}
+
+/**
+ * Lists the primary key and unique keys of a table
+ *
+ * @param {Array<any>} definition The table definition
+ * @returns {Array<{name:string,columns:Array<string>}>}
+ */
+function tableKeys(definition) {
+    let keys = [];
+    let primary = definition.filter(column => column.primaryKey).map(column => column.name);
+    if (primary.length) {
+        keys.push({ name: 'PRIMARY KEY', columns: primary });
+    }
+
+    let composite = {};
+    for (let column of definition) {
+        if (column.unique === true) {
+            keys.push({ name: 'UNIQUE', columns: [column.name] });
+        } else if (typeof column.unique === 'string') {
+            if (!composite[column.unique]) {
+                composite[column.unique] = { name: 'UNIQUE', columns: [] };
+                keys.push(composite[column.unique]);
+            }
+            composite[column.unique].columns.push(column.name);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Returns a string identifying the values of a key in a row, or null if any
+ * of them is NULL (NULLs never conflict)
+ *
+ * @param {string} table
+ * @param {Array<any>|null} definition The table definition, null to compare the values as they are
+ * @param {{columns:Array<string>}} key
+ * @param {Object} row
+ * @returns {string|null}
+ */
+function keyValue(table, definition, key, row) {
+    let values = [];
+    for (let name of key.columns) {
+        let value = row[name];
+        if (isNull(value)) return null;
+        let column = definition && definition.find(column => column.name === name);
+        try {
+            if (column) value = coerceValue(value, column, table);
+        } catch (err) {
+            // compare stored values which do not fit the column type as they are
+        }
+        // the values of a text column are only equal as strings, '1' and '01' do not conflict
+        values.push(column && column.type === 'string' && typeof value === 'string' ? textKey(value) : valueKey(value));
+    }
+    return JSON.stringify(values);
+}
+
+/**
+ * The error for a row which duplicates the values of a key
+ *
+ * @param {string} table
+ * @param {{name:string,columns:Array<string>}} key
+ * @returns {ConstraintError}
+ */
+function keyError(table, key) {
+    return new ConstraintError(key.name + " constraint failed: " + key.columns.map(name => table + "." + name).join(", "), key.name, table, key.columns);
+}
+
+/**
+ * Checks rows being written against the primary and unique keys of a table
+ *
+ * @param {string} table The table name
+ * @param {Array<any>} definition The table definition
+ * @param {Array<Object>} existing The rows of the table which are not being written
+ * @param {Array<Object>} rows The complete rows being written
+ */
+function checkKeys(table, definition, existing, rows) {
+    for (let key of tableKeys(definition)) {
+        let seen = new Set();
+        for (let row of existing) {
+            let value = keyValue(table, definition, key, row);
+            if (value !== null) seen.add(value);
+        }
+        for (let row of rows) {
+            let value = keyValue(table, definition, key, row);
+            if (value === null) continue;
+            if (seen.has(value)) {
+                throw keyError(table, key);
+            }
+            seen.add(value);
+        }
+    }
+}
+
+module.exports = {
+    columnDefinition: columnDefinition,
+    tableDefinition: tableDefinition,
+    alterDefinition: alterDefinition,
+    describeColumns: describeColumns,
+    coerceValue: coerceValue,
+    coerceRow: coerceRow,
+    checkRow: checkRow,
+    checkKeys: checkKeys,
+    tableKeys: tableKeys,
+    keyValue: keyValue,
+    keyError: keyError
+};
@@ -0,0 +1,164 @@
+/**
+ * Pull based row iterators, used to run queries over tables streamed from
+ * a driver's loadStream without holding the whole table in memory.
+ *
+ * An iterator has next(), which resolves {done, value} like an async
+ * iterator, and return(), which stops it early and releases its source.
+ */
+
+var { Readable } = require('stream');
+var { DriverError } = require('./errors');
+
+/**
+ * Wraps a sync or async iterable, such as an array, a generator or an
+ * object mode Readable, as an iterator whose next() always returns a promise
+ *
+ * @param {Iterable<any>|AsyncIterable<any>} iterable
+ * @returns {{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}}
+ */
+function iterate(iterable) {
+    let iterator;
+    if (typeof iterable[Symbol.asyncIterator] === 'function') {
+        iterator = iterable[Symbol.asyncIterator]();
+    } else if (typeof iterable[Symbol.iterator] === 'function') {
+        iterator = iterable[Symbol.iterator]();
+    } else {
+        throw new DriverError("loadStream must return an iterable or async iterable", 'loadStream');
+    }
+
+    let finished = false;
+    return {
+        next: () => {
+            if (finished) return Promise.resolve({ done: true, value: undefined });
+            return Promise.resolve(iterator.next()).then(step => {
+                if (step.done) finished = true;
+                return step;
+            });
+        },
+        return: () => {
+            if (finished) return Promise.resolve({ done: true, value: undefined });
+            finished = true;
+            return Promise.resolve(typeof iterator.return === 'function' ? iterator.return() : null)
+                .then(() => ({ done: true, value: undefined }));
+        }
+    };
+}
+
+/**
+ * Builds an iterator over the values of another, transformed by a function
+ * which returns undefined to skip a value. Skipped values are pulled in a
+ * loop rather than a promise chain, so long runs of them do not hold memory.
+ *
+ * @param {{next:function():Promise<any>,return:function():Promise<any>}} source
+ * @param {function(any):any} transform Returns the value to produce, or undefined to skip it
+ * @returns {{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}}
+ */
+function filterMap(source, transform) {
+    return {
+        next: () => new Promise((resolve, reject) => {
+            let pull = () => source.next().then(step => {
+                if (step.done) return resolve(step);
+                let value = transform(step.value);
+                if (value === undefined) {
+                    pull();
+                } else {
+                    resolve({ done: false, value: value });
+                }
+            }).catch(err => {
+                source.return().catch(() => null).then(() => reject(err));
+            });
+            pull();
+        }),
+        return: () => source.return()
+    };
+}
+
+/**
+ * Builds an iterator over the first values of another, which stops its
+ * source once they have been produced
+ *
+ * @param {{next:function():Promise<any>,return:function():Promise<any>}} source
+ * @param {number} count The number of values
+ * @returns {{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}}
+ */
+function take(source, count) {
+    let taken = 0;
+    return {
+        next: () => {
+            if (taken >= count) return source.return();
+            return source.next().then(step => {
+                if (!step.done) taken++;
+                return step;
+            });
+        },
+        return: () => source.return()
+    };
+}
+
+/**
+ * Reads every value of an iterator into an array
+ *
+ * @param {{next:function():Promise<{done:boolean,value:any}>}} iterator
+ * @returns {Promise<Array<any>>}
+ */
+function collect(iterator) {
+    let values = [];
+    return new Promise((resolve, reject) => {
+        let pull = () => iterator.next().then(step => {
+            if (step.done) return resolve(values);
+            values.push(step.value);
+            pull();
+        }).catch(reject);
+        pull();
+    });
+}
+
+/**
+ * Calls a function with every value of an iterator
+ *
+ * @param {{next:function():Promise<{done:boolean,value:any}>}} iterator
+ * @param {function(any)} fn
+ * @returns {Promise<any>}
+ */
+function each(iterator, fn) {
+    return collect(filterMap(iterator, value => {
+        fn(value);
+        return undefined;
+    }));
+}
+
+/**
+ * Makes an object mode Readable which pulls its values from an iterator
+ * as they are read. Destroying the stream stops the iterator.
+ *
+ * @param {Promise<{next:function():Promise<{done:boolean,value:any}>,return:function():Promise<any>}>} opening The iterator, once it is ready
+ * @returns {Readable}
+ */
+function readable(opening) {
+    let iterator = null;
+    // a failure to open is reported when the stream is read
+    Promise.resolve(opening).catch(() => null);
+    return new Readable({
+        objectMode: true,
+        read() {
+            Promise.resolve(opening).then(opened => {
+                iterator = opened;
+                return iterator.next();
+            }).then(step => {
+                this.push(step.done ? null : step.value);
+            }).catch(err => this.destroy(err));
+        },
+        destroy(err, callback) {
+            Promise.resolve(iterator && iterator.return()).catch(() => null).then(() => callback(err));
+        }
+    });
+}
+
+module.exports = {
+    iterate: iterate,
+    filterMap: filterMap,
+    take: take,
+    collect: collect,
+    each: each,
+    readable: readable
+};
@@ -0,0 +1,320 @@
+/**
+ * Transactions over the abstract load, store and remove methods.
+ *
+ * Writes made inside a transaction are kept in an overlay instead of being
+ * stored. Tables loaded inside the transaction have the overlay applied, so
+ * reads see the transaction's own writes. COMMIT writes the overlay to the
+ * driver a table at a time, with its storeMany and removeMany methods or
+ * failing that row by row, and if a write fails the rows already written
+ * are put back as they were.
+ */
+
+var { DriverError, QueryError, callDriver } = require('./errors');
+
+/**
+ * Prefix of the temporary keys given to rows inserted in a transaction, the
+ * driver chooses their real keys when they are stored
+ */
+const NEW_KEY = 'new:';
+
+/**
+ * The number of rows written at once by drivers without storeMany and
+ * removeMany, unless they set writeConcurrency. One at a time suits drivers
+ * which rewrite a file on every write.
+ */
+const WRITE_CONCURRENCY = 1;
+
+function copyChanges(tables) {
+    let copy = {};
+    for (let table in tables) {
+        copy[table] = new Map();
+        for (let [key, change] of tables[table]) {
+            copy[table].set(key, Object.assign({}, change, { values: Object.assign({}, change.values) }));
+        }
+    }
+    return copy;
+}
+
+function sequence(items, fn) {
+    return items.reduce((promise, item) => promise.then(() => fn(item)), Promise.resolve());
+}
+
+/**
+ * Calls a function for each item, with at most limit of the promises it
+ * returns pending at once. If one rejects no more calls are made, and once
+ * the pending ones have settled the promise rejects with its error.
+ *
+ * @param {Array<any>} items
+ * @param {number} limit
+ * @param {function(any):any} fn
+ * @returns {Promise<Array<any>>} The results, in the order of the items
+ */
+function limited(items, limit, fn) {
+    return new Promise((resolve, reject) => {
+        let results = new Array(items.length);
+        let next = 0, pending = 0;
+        let failed = false, error = null;
+        let run = () => {
+            while (!failed && pending < limit && next < items.length) {
+                let n = next++;
+                pending++;
+                Promise.resolve().then(() => fn(items[n])).then(result => {
+                    results[n] = result;
+                }, err => {
+                    if (!failed) error = err;
+                    failed = true;
+                }).then(() => {
+                    pending--;
+                    if (pending === 0 && (failed || next >= items.length)) {
+                        return failed ? reject(error) : resolve(results);
+                    }
+                    run();
+                });
+            }
+        };
+        if (!items.length) return resolve(results);
+        run();
+    });
+}
+
+class Transaction {
+    constructor() {
+        /**
+         * The changes to each table, by row key in the order they were made.
+         * Each change is {values, inserted, deleted}: for an inserted row
+         * values is the whole row, otherwise it is the fields updated.
+         */
+        this.tables = {};
+        this.savepoints = [];
+        this.inserts = 0;
+    }
+
+    /**
+     * Applies the transaction's changes to the rows loaded from a table
+     *
+     * @param {string} table The table name
+     * @param {{[key:string]:any}} rows The stored rows by key
+     * @returns {{[key:string]:any}} The rows as seen inside the transaction
+     */
+    apply(table, rows) {
+        let changes = this.tables[table];
+        if (!changes) return rows;
+
+        let result = Object.assign({}, rows);
+        for (let [key, change] of changes) {
+            if (change.deleted) {
+                delete result[key];
+            } else if (change.inserted) {
+                result[key] = Object.assign({}, change.values);
+            } else if (key in result) {
+                result[key] = Object.assign({}, result[key], change.values);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Records a row being stored
+     *
+     * @param {string} table The table name
+     * @param {string|number|null} index The row key, null to insert
+     * @param {any} values The fields to store
+     * @returns {string|number} The row key, a temporary key for an insert
+     */
+    store(table, index, values) {
+        let changes = this.tables[table] = this.tables[table] || new Map();
+        if (index === null || index === undefined) {
+            index = NEW_KEY + (++this.inserts);
+            changes.set(index, { values: Object.assign({}, values), inserted: true, deleted: false });
+            return index;
+        }
+
+        let change = changes.get(String(index));
+        if (change) {
+            Object.assign(change.values, values);
+        } else {
+            changes.set(String(index), { values: Object.assign({}, values), inserted: false, deleted: false });
+        }
+        return index;
+    }
+
+    /**
+     * Records a row being removed
+     *
+     * @param {string} table The table name
+     * @param {string|number} index The row key
+     * @returns {string|number} The row key
+     */
+    remove(table, index) {
+        let changes = this.tables[table] = this.tables[table] || new Map();
+        let change = changes.get(String(index));
+        if (change) {
+            change.deleted = true;
+        } else {
+            changes.set(String(index), { values: {}, inserted: false, deleted: true });
+        }
+        return index;
+    }
+
+    /**
+     * Drops the changes to a table, used when the table itself is dropped
+     *
+     * @param {string} table
+     */
+    forget(table) {
+        delete this.tables[table];
+        for (let savepoint of this.savepoints) {
+            delete savepoint.tables[table];
+        }
+    }
+
+    /**
+     * Marks the current state of the transaction so it can be rolled back to
+     *
+     * @param {string} name
+     */
+    savepoint(name) {
+        this.savepoints.push({ name: name, tables: copyChanges(this.tables) });
+    }
+
+    findSavepoint(name) {
+        for (let n = this.savepoints.length - 1; n >= 0; n--) {
+            if (this.savepoints[n].name.toUpperCase() === name.toUpperCase()) return n;
+        }
+        throw new QueryError("No such savepoint: " + name);
+    }
+
+    /**
+     * Undoes the changes made since a savepoint. The savepoint is kept, the
+     * savepoints made after it are released.
+     *
+     * @param {string} name
+     */
+    rollbackTo(name) {
+        let n = this.findSavepoint(name);
+        this.tables = copyChanges(this.savepoints[n].tables);
+        this.savepoints.length = n + 1;
+    }
+
+    /**
+     * Releases a savepoint and those made after it, keeping their changes
+     *
+     * @param {string} name
+     */
+    release(name) {
+        this.savepoints.length = this.findSavepoint(name);
+    }
+
+    /**
+     * Writes the transaction's changes through the driver.
+     *
+     * The rows removed from each table are removed with one call to the
+     * driver's removeMany(), then those inserted and updated are stored with
+     * one call to storeMany(). If the driver does not have them, they return
+     * null, and the rows are written with remove() and store() instead,
+     * writeConcurrency of them at once. A call to storeMany() or
+     * removeMany() which fails is taken to have written none of its rows.
+     *
+     * The writes are made between the driver's begin() and commit() hooks.
+     * If a write fails the driver's rollback() hook is called, and unless
+     * begin() resolved true to say the driver undoes the writes itself, the
+     * rows already written are restored. The promise rejects with the error
+     * of the write which failed.
+     *
+     * @param {any} driver
+     * @param {{[table:string]:any}} loaded Tables already loaded from the driver, by name
+     * @returns {Promise<{[key:string]:string}>} The keys the inserted rows were stored under, by temporary key
+     */
+    commit(driver, loaded = {}) {
+        let keys = {};
+        let undo = [];
+        let tables = Object.keys(this.tables);
+
+        // the stored rows are needed to restore the rows updated or removed
+        let originals = Object.assign({}, loaded);
+        let loads = tables.filter(table => {
+            if (originals[table]) return false;
+            for (let change of this.tables[table].values()) {
+                if (!change.inserted) return true;
+            }
+            return false;
+        }).map(table => callDriver(driver, 'load', [table]).then(rows => originals[table] = rows));
+
+        let concurrency = driver.writeConcurrency > 0 ? driver.writeConcurrency : WRITE_CONCURRENCY;
+
+        let removed = (table, write) => {
+            undo.push(() => callDriver(driver, 'store', [table, write.key, write.original]));
+        };
+        let stored = (table, write, key) => {
+            if (write.index === null) {
+                // the keys of written rows are strings, as those of the rows loaded are
+                keys[write.key] = String(key);
+                undo.push(() => callDriver(driver, 'remove', [table, key]));
+                return;
+            }
+            let restore = {};
+            for (let field in write.row) {
+                restore[field] = field in write.original ? write.original[field] : null;
+            }
+            undo.push(() => callDriver(driver, 'store', [table, write.key, restore]));
+        };
+
+        let removeRows = (table, writes) => {
+            if (!writes.length) return Promise.resolve();
+            return callDriver(driver, 'removeMany', [table, writes.map(write => write.key)]).then(result => {
+                if (result === null || result === undefined) {
+                    return limited(writes, concurrency, write => {
+                        return callDriver(driver, 'remove', [table, write.key]).then(() => removed(table, write));
+                    });
+                }
+                writes.forEach(write => removed(table, write));
+            });
+        };
+        let storeRows = (table, writes) => {
+            if (!writes.length) return Promise.resolve();
+            return callDriver(driver, 'storeMany', [table, writes.map(write => ({ index: write.index, row: write.row }))]).then(result => {
+                if (result === null || result === undefined) {
+                    return limited(writes, concurrency, write => {
+                        return callDriver(driver, 'store', [table, write.index, write.row]).then(key => stored(table, write, key));
+                    });
+                }
+                if (!Array.isArray(result) || result.length !== writes.length) {
+                    throw new DriverError("storeMany must resolve with the key of each row stored", 'storeMany');
+                }
+                writes.forEach((write, n) => stored(table, write, result[n]));
+            });
+        };
+
+        let writeTable = (table) => {
+            let removes = [], stores = [];
+            for (let [key, change] of this.tables[table]) {
+                let original = originals[table] && originals[table][key];
+                if (change.inserted) {
+                    if (!change.deleted) stores.push({ key: key, index: null, row: change.values });
+                } else if (!original) {
+                    // the row has gone since it was read
+                    continue;
+                } else if (change.deleted) {
+                    removes.push({ key: key, original: original });
+                } else {
+                    stores.push({ key: key, index: key, row: change.values, original: original });
+                }
+            }
+            return removeRows(table, removes).then(() => storeRows(table, stores));
+        };
+
+        return Promise.all(loads).then(() => callDriver(driver, 'begin')).then(atomic => {
+            return sequence(tables, writeTable)
+                .then(() => callDriver(driver, 'commit'))
+                .then(() => keys, err => {
+                    let restore = atomic === true ? Promise.resolve() : sequence(undo.reverse(), fn => Promise.resolve().then(fn).catch(() => null));
+                    // the error of the write is the one reported, even if rollback() fails too
+                    return restore.then(() => callDriver(driver, 'rollback')).catch(() => null).then(() => { throw err; });
+                });
+        });
+    }
+}
+
+module.exports = {
+    Transaction: Transaction
+};
@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver(statements) {
+    let driver = new MemoryDriver();
+    return statements.reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("GROUP BY, DISTINCT and COUNT(DISTINCT) keep together values which compare equal", () => {
+    return createDriver(["CREATE TABLE t (v TEXT)", "CREATE TABLE u (n INTEGER)", "INSERT INTO u (n) VALUES (1)"]).then(driver => {
+        // rows written by another program, with a number and a string for the same value
+        driver.data.tables.t.rows = { 1: { v: '1' }, 2: { v: 1 }, 3: { v: 'b' }, 4: { v: 'b  ' } };
+        return driver.query("SELECT COUNT(*) AS n FROM t WHERE v = 1")
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]))
+            .then(() => driver.query("SELECT COUNT(*) AS n FROM t GROUP BY v ORDER BY n"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }, { n: 2 }]))
+            .then(() => driver.query("SELECT DISTINCT v FROM t"))
+            .then(rows => assert.strictEqual(rows.length, 2))
+            .then(() => driver.query("SELECT COUNT(DISTINCT v) AS n FROM t"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]))
+            .then(() => driver.query("SELECT COUNT(*) AS n FROM t JOIN u ON t.v = u.n"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]));
+    });
+});
+
+test("A UNIQUE text column keeps strings which are equal as numbers apart", () => {
+    return createDriver(["CREATE TABLE t (v TEXT UNIQUE)", "INSERT INTO t (v) VALUES ('1'), ('01')"]).then(driver => {
+        return driver.query("SELECT v FROM t ORDER BY v").then(rows => assert.deepStrictEqual(rows, [{ v: '01' }, { v: '1' }]));
+    });
+});
+
+const ORDERS = [
+    "CREATE TABLE orders (id INTEGER PRIMARY KEY, category TEXT, price INTEGER, quantity INTEGER)",
+    "INSERT INTO orders (id, category, price, quantity) VALUES (1, 'a', 10, 2), (2, 'a', 30, NULL), (3, 'b', 5, 4), (4, 'b', 5, 1), (5, 'c', NULL, 3)"
+];
+
+test("COUNT, SUM, AVG, MIN and MAX ignore NULLs", () => {
+    return createDriver(ORDERS).then(driver => {
+        return driver.query("SELECT COUNT(*) AS rows, COUNT(price) AS prices, COUNT(DISTINCT price) AS different, SUM(price) AS total, AVG(price) AS average, MIN(price) AS low, MAX(price) AS high, SUM(DISTINCT price) AS distinct_total FROM orders");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ rows: 5, prices: 4, different: 3, total: 50, average: 12.5, low: 5, high: 30, distinct_total: 45 }]);
+    });
+});
+
+test("Aggregates of no values are NULL, and without GROUP BY there is still a row", () => {
+    return createDriver(ORDERS).then(driver => {
+        return driver.query("SELECT COUNT(*) AS n, SUM(price) AS total, AVG(price) AS average, MIN(price) AS low, MAX(price) AS high FROM orders WHERE id > 10");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ n: 0, total: null, average: null, low: null, high: null }]);
+    });
+});
+
+test("Aggregates of expressions are grouped, filtered by HAVING and sorted by label", () => {
+    return createDriver(ORDERS).then(driver => {
+        return driver.query("SELECT category, SUM(price * quantity) AS total, MIN(quantity) AS fewest FROM orders GROUP BY category HAVING total > 10 ORDER BY total DESC").then(rows => {
+            assert.deepStrictEqual(rows, [{ category: 'b', total: 25, fewest: 1 }, { category: 'a', total: 20, fewest: 2 }]);
+            return driver.query("SELECT category FROM orders GROUP BY category HAVING COUNT(*) > 1 AND MAX(price) < 20");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ category: 'b' }]);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT, flag BOOLEAN)",
+        "INSERT INTO t (id, name, flag) VALUES (1, 'a', TRUE), (2, 'b', FALSE)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+function columns(driver) {
+    return driver.query("SELECT column_name FROM information_schema.columns WHERE table_name = 't' ORDER BY ordinal_position")
+        .then(rows => rows.map(row => row.column_name));
+}
+
+test("A dropped column is not selected", () => {
+    return createDriver().then(driver => {
+        return driver.execute("ALTER TABLE t DROP COLUMN flag")
+            .then(() => driver.query("SELECT * FROM t ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1, name: 'a' }, { id: 2, name: 'b' }]))
+            .then(() => columns(driver))
+            .then(names => assert.deepStrictEqual(names, ['id', 'name']));
+    });
+});
+
+test("A renamed column is selected by its new name only", () => {
+    return createDriver().then(driver => {
+        return driver.execute("ALTER TABLE t RENAME COLUMN name TO label")
+            .then(() => driver.query("SELECT * FROM t WHERE label = 'b'"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 2, label: 'b', flag: false }]))
+            .then(() => columns(driver))
+            .then(names => assert.deepStrictEqual(names, ['id', 'label', 'flag']));
+    });
+});
+
+test("An added column is selected as NULL", () => {
+    return createDriver().then(driver => {
+        return driver.execute("ALTER TABLE t ADD COLUMN score INTEGER")
+            .then(() => driver.query("SELECT * FROM t ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [
+                { id: 1, name: 'a', flag: true, score: null },
+                { id: 2, name: 'b', flag: false, score: null }
+            ]));
+    });
+});
+
+test("A column dropped and added again is NULL", () => {
+    return createDriver().then(driver => {
+        return driver.execute("ALTER TABLE t DROP COLUMN flag")
+            .then(() => driver.execute("ALTER TABLE t ADD COLUMN flag BOOLEAN"))
+            .then(() => driver.query("SELECT id, flag FROM t ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1, flag: null }, { id: 2, flag: null }]));
+    });
+});
@@ -0,0 +1,148 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { DriverError } = require('../lib/errors');
+
+/**
+ * A driver which records its calls to storeMany and removeMany
+ */
+class BatchDriver extends MemoryDriver {
+    constructor() {
+        super();
+        this.calls = [];
+    }
+
+    storeMany(table, rows) {
+        this.calls.push(['storeMany', table, rows.map(item => item.index)]);
+        return super.storeMany(table, rows);
+    }
+
+    removeMany(table, ids) {
+        this.calls.push(['removeMany', table, ids]);
+        return super.removeMany(table, ids);
+    }
+}
+
+/**
+ * A driver without storeMany and removeMany, whose writes take a while, and
+ * which records how many of them were pending at once
+ */
+class SlowDriver extends MemoryDriver {
+    constructor(failAt = null) {
+        super();
+        this.pending = 0;
+        this.most = 0;
+        this.stores = 0;
+        this.failAt = failAt;
+    }
+
+    storeMany(table, rows) {
+        return null;
+    }
+
+    removeMany(table, ids) {
+        return null;
+    }
+
+    slowly(write) {
+        this.pending++;
+        this.most = Math.max(this.most, this.pending);
+        return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+            this.pending--;
+            return write();
+        });
+    }
+
+    store(table, index, row) {
+        return this.slowly(() => {
+            if (++this.stores === this.failAt) {
+                throw new Error("Disk full");
+            }
+            return super.store(table, index, row);
+        });
+    }
+
+    remove(table, index) {
+        return this.slowly(() => super.remove(table, index));
+    }
+}
+
+function setUp(driver) {
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)",
+        "CREATE TABLE u (id INTEGER PRIMARY KEY)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("The rows of a statement are written with one call to storeMany or removeMany", () => {
+    return setUp(new BatchDriver()).then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b'), (3, 'c')").then(ids => {
+            assert.deepStrictEqual(driver.calls, [['storeMany', 't', [null, null, null]]]);
+            driver.calls = [];
+            return driver.execute("UPDATE t SET name = 'x' WHERE id > 1").then(updated => {
+                assert.deepStrictEqual(driver.calls, [['storeMany', 't', updated]]);
+                driver.calls = [];
+                return driver.execute("DELETE FROM t WHERE id < 3");
+            }).then(removed => {
+                assert.deepStrictEqual(driver.calls, [['removeMany', 't', removed]]);
+                assert.deepStrictEqual(removed, ids.slice(0, 2));
+            });
+        });
+    });
+});
+
+test("A transaction is committed with one call per table, removing rows before storing them", () => {
+    return setUp(new BatchDriver()).then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b')").then(() => {
+            driver.calls = [];
+            return ["BEGIN", "DELETE FROM t WHERE id = 1", "INSERT INTO t (id, name) VALUES (3, 'c')", "UPDATE t SET name = 'x' WHERE id = 2", "INSERT INTO u (id) VALUES (1)", "COMMIT"]
+                .reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve());
+        }).then(() => {
+            assert.deepStrictEqual(driver.calls.map(call => call[0] + ' ' + call[1] + ' ' + call[2].length), ['removeMany t 1', 'storeMany t 2', 'storeMany u 1']);
+            return driver.query("SELECT * FROM t ORDER BY id");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 2, name: 'x' }, { id: 3, name: 'c' }]));
+    });
+});
+
+test("Without storeMany and removeMany, rows are written one at a time unless writeConcurrency is set", () => {
+    let values = "(1, 'a'), (2, 'b'), (3, 'c'), (4, 'd'), (5, 'e')";
+    return setUp(new SlowDriver()).then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES " + values).then(() => {
+            assert.strictEqual(driver.most, 1);
+        });
+    }).then(() => setUp(new SlowDriver())).then(driver => {
+        driver.writeConcurrency = 3;
+        return driver.execute("INSERT INTO t (id, name) VALUES " + values).then(() => {
+            assert.strictEqual(driver.most, 3);
+            driver.most = 0;
+            return driver.execute("DELETE FROM t WHERE id > 1");
+        }).then(ids => {
+            assert.strictEqual(ids.length, 4);
+            assert.strictEqual(driver.most, 3);
+            return driver.query("SELECT COUNT(*) AS n FROM t");
+        }).then(rows => assert.deepStrictEqual(rows, [{ n: 1 }]));
+    });
+});
+
+test("When a write fails the rows already written are restored", () => {
+    return setUp(new SlowDriver(3)).then(driver => {
+        return assert.rejects(driver.execute("INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b'), (3, 'c')"), err => {
+            assert.ok(err instanceof DriverError);
+            assert.strictEqual(err.method, 'store');
+            assert.strictEqual(err.cause.message, "Disk full");
+            return true;
+        }).then(() => driver.query("SELECT COUNT(*) AS n FROM t"));
+    }).then(rows => assert.deepStrictEqual(rows, [{ n: 0 }]));
+});
+
+test("storeMany must resolve with a key for each row", () => {
+    let driver = new MemoryDriver();
+    driver.storeMany = (table, rows) => Promise.resolve([]);
+    return setUp(driver).then(() => {
+        return assert.rejects(driver.execute("INSERT INTO t (id, name) VALUES (1, 'a')"), err => {
+            assert.ok(err instanceof DriverError);
+            assert.strictEqual(err.method, 'storeMany');
+            return true;
+        });
+    });
+});
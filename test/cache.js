@@ -0,0 +1,123 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+/**
+ * A driver which counts the loads of each table, and lets a test report
+ * changes made by another process through watchTables
+ */
+class CountingDriver extends MemoryDriver {
+    constructor() {
+        super();
+        this.loads = {};
+        this.changed = null;
+        this.watching = false;
+    }
+
+    load(table) {
+        this.loads[table] = (this.loads[table] || 0) + 1;
+        return super.load(table);
+    }
+
+    watchTables(changed) {
+        this.changed = changed;
+        this.watching = true;
+        return () => this.watching = false;
+    }
+}
+
+function createDriver(options) {
+    let driver = new CountingDriver();
+    return [
+        "CREATE TABLE a (id INTEGER PRIMARY KEY, n INTEGER)",
+        "CREATE TABLE b (id INTEGER PRIMARY KEY)",
+        "CREATE TABLE c (id INTEGER PRIMARY KEY)",
+        "INSERT INTO a (id, n) VALUES (1, 1), (2, 2)",
+        "INSERT INTO b (id) VALUES (1), (2), (3)",
+        "INSERT INTO c (id) VALUES (1)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver.enableCache(options)).then(() => {
+        driver.loads = {};
+        return driver;
+    });
+}
+
+function count(driver, table) {
+    return driver.query("SELECT COUNT(*) AS n FROM " + table).then(rows => rows[0].n);
+}
+
+test("A table read by several statements, or joined with itself, is loaded once", () => {
+    return createDriver().then(driver => {
+        return count(driver, 'a').then(() => count(driver, 'a')).then(() => {
+            return driver.query("SELECT x.id FROM a x JOIN a y ON x.n = y.id ORDER BY x.id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ 'x.id': 1 }, { 'x.id': 2 }]);
+            assert.deepStrictEqual(driver.loads, { a: 1 });
+        });
+    });
+});
+
+test("Writes through the driver drop the rows kept for the tables they change", () => {
+    return createDriver().then(driver => {
+        return count(driver, 'a').then(() => count(driver, 'b')).then(() => driver.execute("INSERT INTO a (id, n) VALUES (3, 3)")).then(() => {
+            return Promise.all([count(driver, 'a'), count(driver, 'b')]);
+        }).then(counts => {
+            assert.deepStrictEqual(counts, [3, 3]);
+            assert.deepStrictEqual(driver.loads, { a: 2, b: 1 });
+            return ["BEGIN", "DELETE FROM b WHERE id = 1", "COMMIT"].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve());
+        }).then(() => count(driver, 'b')).then(n => {
+            assert.strictEqual(n, 2);
+            assert.strictEqual(driver.loads.b, 3);
+        });
+    });
+});
+
+test("Changes made elsewhere are seen once invalidated, reported by watchTables or expired", () => {
+    return createDriver({ ttl: 30 }).then(driver => {
+        // a row written by another process
+        let outside = (table, id) => driver.data.tables[table].rows[id] = { id: id };
+        return count(driver, 'b').then(() => {
+            outside('b', 4);
+            return count(driver, 'b');
+        }).then(n => {
+            assert.strictEqual(n, 3);
+            driver.invalidateCache('b');
+            return count(driver, 'b');
+        }).then(n => {
+            assert.strictEqual(n, 4);
+            outside('b', 5);
+            driver.changed('b');
+            return count(driver, 'b');
+        }).then(n => {
+            assert.strictEqual(n, 5);
+            outside('b', 6);
+            return new Promise(resolve => setTimeout(resolve, 50)).then(() => count(driver, 'b'));
+        }).then(n => {
+            assert.strictEqual(n, 6);
+            assert.strictEqual(driver.loads.b, 4);
+        });
+    });
+});
+
+test("The least recently used tables are dropped past maxTables or maxRows, and larger tables are not kept", () => {
+    return createDriver({ maxTables: 2 }).then(driver => {
+        return ['a', 'b', 'a', 'c', 'a', 'b'].reduce((previous, table) => previous.then(() => count(driver, table)), Promise.resolve()).then(() => {
+            // b was dropped when c was read, as a had been read since
+            assert.deepStrictEqual(driver.loads, { a: 1, b: 2, c: 1 });
+        });
+    }).then(() => createDriver({ maxRows: 2 })).then(driver => {
+        return ['b', 'b', 'a', 'c', 'a'].reduce((previous, table) => previous.then(() => count(driver, table)), Promise.resolve()).then(() => {
+            // b has more rows than maxRows, and a was dropped to make room for c
+            assert.deepStrictEqual(driver.loads, { b: 2, a: 2, c: 1 });
+        });
+    });
+});
+
+test("disableCache stops keeping rows and stops watching", () => {
+    return createDriver().then(driver => {
+        assert.strictEqual(driver.watching, true);
+        return driver.disableCache().then(() => {
+            assert.strictEqual(driver.watching, false);
+            return count(driver, 'a');
+        }).then(() => count(driver, 'a')).then(() => assert.deepStrictEqual(driver.loads, { a: 2 }));
+    });
+});
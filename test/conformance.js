@@ -0,0 +1,108 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var AbstractDriver = require('..');
+var { MemoryDriver, JsonFileDriver, runConformance } = require('../lib/drivers');
+var { compare, like2RegExp } = require('../lib/expression');
+
+function failures(report) {
+    return report.results.filter(result => !result.passed).map(result => result.name + ": " + result.error.message);
+}
+
+test("The included drivers and runConformance are exported", () => {
+    assert.strictEqual(require('../lib/drivers').AbstractDriver, AbstractDriver);
+    assert.strictEqual(MemoryDriver, require('../lib/memory').MemoryDriver);
+    assert.strictEqual(JsonFileDriver, require('../lib/jsonfile').JsonFileDriver);
+    assert.strictEqual(runConformance, require('../lib/conformance').runConformance);
+    assert.ok(new MemoryDriver() instanceof AbstractDriver);
+    // they are not properties of the classes, so drivers do not inherit them
+    assert.strictEqual(AbstractDriver.MemoryDriver, undefined);
+    assert.strictEqual(MemoryDriver.JsonFileDriver, undefined);
+    assert.strictEqual(JsonFileDriver.runConformance, undefined);
+});
+
+test("MemoryDriver passes the conformance suite", () => {
+    return runConformance(() => new MemoryDriver()).then(report => {
+        assert.deepStrictEqual(failures(report), []);
+        assert.ok(report.passed > 0);
+    });
+});
+
+test("JsonFileDriver passes the conformance suite", () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conformance-'));
+    let files = 0;
+    return runConformance(() => new JsonFileDriver(path.join(directory, (files++) + '.json'))).then(report => {
+        assert.deepStrictEqual(failures(report), []);
+        assert.ok(report.passed > 0);
+    }).finally(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * Tests a loadWhere condition on a row, true, false, or null for unknown.
+ * With nullIsFalse, a condition on a NULL column is false, as a plain
+ * JavaScript filter would take it.
+ */
+function matches(condition, row, nullIsFalse) {
+    let test = (condition) => matches(condition, row, nullIsFalse);
+    if (condition.and) {
+        let results = condition.and.map(test);
+        return results.indexOf(false) >= 0 ? false : (results.indexOf(null) >= 0 ? null : true);
+    }
+    if (condition.or) {
+        let results = condition.or.map(test);
+        return results.indexOf(true) >= 0 ? true : (results.indexOf(null) >= 0 ? null : false);
+    }
+    if (condition.not) {
+        let result = test(condition.not);
+        return result === null ? null : !result;
+    }
+    let value = row[condition.column];
+    if (condition.operator === 'IS NULL') return value === null || value === undefined;
+    if (condition.operator === 'IS NOT NULL') return value !== null && value !== undefined;
+    if (value === null || value === undefined) return nullIsFalse ? false : null;
+    let result;
+    switch (condition.operator.replace(/^NOT /, '')) {
+        case '=': return compare(value, condition.value) === 0;
+        case '<>': return compare(value, condition.value) !== 0;
+        case '<': return compare(value, condition.value) < 0;
+        case '<=': return compare(value, condition.value) <= 0;
+        case '>': return compare(value, condition.value) > 0;
+        case '>=': return compare(value, condition.value) >= 0;
+        case 'LIKE': result = like2RegExp(String(condition.value)).test(String(value)); break;
+        case 'IN': result = condition.values.some(option => compare(value, option) === 0); break;
+        case 'BETWEEN': result = compare(value, condition.values[0]) >= 0 && compare(value, condition.values[1]) <= 0; break;
+    }
+    return condition.operator.startsWith('NOT ') ? !result : result;
+}
+
+class FilterDriver extends MemoryDriver {
+    constructor(nullIsFalse) {
+        super();
+        this.nullIsFalse = nullIsFalse;
+        this.filtered = 0;
+    }
+
+    loadWhere(table, predicate) {
+        return this.load(table).then(rows => {
+            this.filtered++;
+            let keys = Object.keys(rows).filter(key => predicate.every(condition => matches(condition, rows[key], this.nullIsFalse) === true));
+            return { rows: keys.map(key => [key, rows[key]]), handled: true };
+        });
+    }
+}
+
+test("A driver which filters rows with three-valued logic passes the conformance suite", () => {
+    let drivers = [];
+    return runConformance(() => drivers[drivers.push(new FilterDriver(false)) - 1]).then(report => {
+        assert.deepStrictEqual(failures(report), []);
+        assert.ok(drivers.some(driver => driver.filtered > 0));
+    });
+});
+
+test("The conformance suite fails a driver whose negated conditions match NULL", () => {
+    return runConformance(() => new FilterDriver(true)).then(report => {
+        assert.deepStrictEqual(report.results.filter(result => !result.passed).map(result => result.name), ["Negated conditions do not match NULL"]);
+    });
+});
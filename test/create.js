@@ -0,0 +1,44 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, name VARCHAR(10), score FLOAT)",
+        "INSERT INTO t (id, name, score) VALUES (1, 'a', 2), (2, 'b', 3)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+function types(driver, table) {
+    return driver.query("SELECT column_name, data_type FROM information_schema.columns WHERE table_name = ? ORDER BY ordinal_position", [table])
+        .then(rows => rows.map(row => row.column_name + " " + row.data_type));
+}
+
+test("CREATE TABLE AS SELECT types a float expression as float", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE TABLE c AS SELECT id, id * 1.5 AS x, score + id AS s FROM t")
+            .then(() => types(driver, 'c'))
+            .then(columns => assert.deepStrictEqual(columns, ['id integer', 'x float', 's float']))
+            .then(() => driver.query("SELECT x FROM c ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [{ x: 1.5 }, { x: 3 }]));
+    });
+});
+
+test("CREATE TABLE AS SELECT types the columns of an empty result", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE TABLE c AS SELECT name, id * 1.5 AS x, id > 1 AS big, UPPER(name) AS u, COUNT(*) AS n, id / 2 AS h FROM t WHERE id > 5 GROUP BY id, name")
+            .then(() => types(driver, 'c'))
+            .then(columns => assert.deepStrictEqual(columns, ['name string', 'x float', 'big boolean', 'u string', 'n integer', 'h float']))
+            .then(() => driver.query("SELECT * FROM c"))
+            .then(rows => assert.deepStrictEqual(rows, []));
+    });
+});
+
+test("CREATE TABLE AS SELECT types a column which can not be worked out from its values", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE TABLE c AS SELECT id, ? AS p FROM t", ['x'])
+            .then(() => types(driver, 'c'))
+            .then(columns => assert.deepStrictEqual(columns, ['id integer', 'p string']));
+    });
+});
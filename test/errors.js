@@ -0,0 +1,61 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { SQLError, QueryError, ConstraintError, UnsupportedFeatureError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return ["CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)", "INSERT INTO t (id, name) VALUES (1, 'a')"]
+        .reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve())
+        .then(() => driver);
+}
+
+function rejectsWith(promise, type, check = () => {}) {
+    return assert.rejects(promise, err => {
+        assert.ok(err instanceof type, err.name + ": " + err.message);
+        assert.ok(err instanceof SQLError);
+        check(err);
+        return true;
+    });
+}
+
+test("A value which does not fit its column type is a ConstraintError", () => {
+    return createDriver().then(driver => {
+        return rejectsWith(driver.execute("INSERT INTO t (id, name) VALUES ('x', 'b')"), ConstraintError, err => {
+            assert.strictEqual(err.constraint, 'TYPE');
+            assert.strictEqual(err.table, 't');
+            assert.deepStrictEqual(err.columns, ['id']);
+        });
+    });
+});
+
+test("An unknown function is an UnsupportedFeatureError", () => {
+    return createDriver().then(driver => {
+        return rejectsWith(driver.query("SELECT NOSUCH(name) FROM t"), UnsupportedFeatureError, err => {
+            assert.strictEqual(err.feature, 'NOSUCH');
+        });
+    });
+});
+
+test("Unknown and existing names are QueryErrors", () => {
+    return createDriver().then(driver => {
+        return rejectsWith(driver.execute("ALTER TABLE t DROP COLUMN nosuch"), QueryError, err => {
+            assert.strictEqual(err.message, "Unknown column nosuch in table t");
+        })
+            .then(() => rejectsWith(driver.execute("ALTER TABLE t ADD COLUMN name TEXT"), QueryError))
+            .then(() => rejectsWith(driver.execute("CREATE INDEX t_x ON t (nosuch)"), QueryError))
+            .then(() => rejectsWith(driver.execute("CREATE VIEW t AS SELECT 1"), QueryError))
+            .then(() => rejectsWith(driver.execute("DROP VIEW nosuch"), QueryError))
+            .then(() => rejectsWith(driver.query("SELECT * FROM information_schema.nosuch"), QueryError))
+            .then(() => rejectsWith(driver.execute("COMMIT"), QueryError));
+    });
+});
+
+test("Misused subqueries and parameters are QueryErrors", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (2, 'b')")
+            .then(() => rejectsWith(driver.query("SELECT (SELECT id FROM t) AS x"), QueryError))
+            .then(() => rejectsWith(driver.query("SELECT * FROM t WHERE id = ?"), QueryError))
+            .then(() => rejectsWith(driver.query("SELECT id FROM t ORDER BY 3"), QueryError));
+    });
+});
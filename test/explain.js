@@ -0,0 +1,87 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { UnsupportedFeatureError, SyntaxError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)",
+        "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER)",
+        "INSERT INTO users (id, name) VALUES (1, 'a'), (2, 'b')",
+        "INSERT INTO orders (id, user_id) VALUES (1, 1), (2, 1), (3, 2)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("EXPLAIN gives a row for each stage of a SELECT", () => {
+    return createDriver().then(driver => {
+        return driver.query("EXPLAIN SELECT u.name, COUNT(*) AS n FROM users u JOIN orders o ON o.user_id = u.id WHERE o.id > 0 GROUP BY u.name HAVING n > 0 ORDER BY n LIMIT 5");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [
+            { step: 1, stage: 'FROM', detail: 'users u INNER JOIN orders o ON o.user_id = u.id' },
+            { step: 2, stage: 'WHERE', detail: 'o.id > 0' },
+            { step: 3, stage: 'GROUP BY', detail: 'u.name' },
+            { step: 4, stage: 'HAVING', detail: 'n > 0' },
+            { step: 5, stage: 'SELECT', detail: 'u.name, n' },
+            { step: 6, stage: 'ORDER BY', detail: 'n ASC' },
+            { step: 7, stage: 'LIMIT', detail: '5 OFFSET 0' }
+        ]);
+    });
+});
+
+test("EXPLAIN ANALYZE runs the SELECT and gives the rows and time of each stage, and how tables were read and joined", () => {
+    return createDriver().then(driver => {
+        return driver.query("EXPLAIN ANALYZE SELECT u.name, COUNT(*) AS n FROM users u JOIN orders o ON o.user_id = u.id GROUP BY u.name").then(rows => {
+            assert.deepStrictEqual(rows.map(row => [row.stage, row.rows]), [['FROM', 3], ['GROUP BY', 2], ['SELECT', 2]]);
+            assert.ok(rows.every(row => typeof row.time === 'number' && row.time >= 0));
+            assert.strictEqual(rows[0].detail, 'users u (load, 2 rows) INNER JOIN orders o ON o.user_id = u.id (load, 3 rows; hash join, 3 rows)');
+            return driver.query("EXPLAIN ANALYZE SELECT DISTINCT u.name FROM users u JOIN orders o ON o.user_id < u.id");
+        }).then(rows => {
+            assert.match(rows[0].detail, /nested loop join, 2 rows/);
+            assert.deepStrictEqual(rows.map(row => [row.stage, row.rows]), [['FROM', 2], ['SELECT', 2], ['DISTINCT', 1]]);
+        });
+    });
+});
+
+test("Other statements are explained by one row, and can not be analyzed", () => {
+    return createDriver().then(driver => {
+        return driver.query("EXPLAIN DELETE FROM users WHERE id = 1").then(rows => {
+            assert.deepStrictEqual(rows, [{ step: 1, stage: 'DELETE', detail: 'users WHERE id = 1' }]);
+            return assert.rejects(driver.query("EXPLAIN ANALYZE DELETE FROM users WHERE id = 1"), UnsupportedFeatureError);
+        }).then(() => driver.query("SELECT COUNT(*) AS n FROM users")).then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]));
+    });
+});
+
+test("beforeQuery and afterQuery are called around each statement", () => {
+    return createDriver().then(driver => {
+        let calls = [];
+        driver.beforeQuery = (query) => calls.push(['before', query.sql, query.params, query.statement.type]);
+        driver.afterQuery = (query) => {
+            calls.push(['after', query.sql, query.statement && query.statement.type, query.result, query.error && query.error.constructor, typeof query.time]);
+            throw new Error("ignored");
+        };
+        return driver.query("SELECT id FROM users WHERE id = ?", [2]).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 2 }]);
+            return assert.rejects(driver.query("SELECT FROM"), SyntaxError);
+        }).then(() => {
+            assert.deepStrictEqual(calls, [
+                ['before', "SELECT id FROM users WHERE id = ?", [2], 'select'],
+                ['after', "SELECT id FROM users WHERE id = ?", 'select', [{ id: 2 }], null, 'number'],
+                ['after', "SELECT FROM", null, null, SyntaxError, 'number']
+            ]);
+        });
+    });
+});
+
+test("A statement beforeQuery rejects is not run", () => {
+    return createDriver().then(driver => {
+        driver.beforeQuery = (query) => {
+            if (query.statement.type !== 'select') {
+                throw new Error("The database is read only");
+            }
+        };
+        return assert.rejects(driver.execute("DELETE FROM users"), /read only/)
+            .then(() => driver.query("SELECT COUNT(*) AS n FROM users"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]));
+    });
+});
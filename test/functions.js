@@ -0,0 +1,72 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT, price FLOAT, at TIMESTAMP)",
+        "INSERT INTO t (id, name, price, at) VALUES (1, '  Ann ', 2.345, '2020-03-04T05:06:07Z'), (2, 'bob', -1.5, NULL)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("String functions", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT UPPER(name) AS u, LOWER(name) AS l, LENGTH(name) AS n, SUBSTR(name, 3, 2) AS s, SUBSTRING(name, 3) AS s2, TRIM(name) AS t, LTRIM(name) AS lt, RTRIM(name) AS rt, REPLACE(name, 'n', 'x') AS r, INSTR(name, 'n') AS i FROM t WHERE id = 1");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ u: '  ANN ', l: '  ann ', n: 6, s: 'An', s2: 'Ann ', t: 'Ann', lt: 'Ann ', rt: '  Ann', r: '  Axx ', i: 4 }]);
+    });
+});
+
+test("A NULL argument gives NULL, except for CONCAT, COALESCE and IFNULL", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT UPPER(NULL) AS u, ROUND(NULL) AS r, DATE(at) AS d, CONCAT(name, NULL, '!') AS c, COALESCE(at, NULL, 'none') AS co, IFNULL(at, 0) AS i, NULLIF(id, 2) AS ni FROM t WHERE id = 2");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ u: null, r: null, d: null, c: 'bob!', co: 'none', i: 0, ni: null }]);
+    });
+});
+
+test("Number functions", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT ROUND(price, 1) AS r, ROUND(price) AS r0, ABS(price) AS a, CEIL(price) AS c, CEILING(price) AS c2, FLOOR(price) AS f, MIN(id, 5, 3) AS mn, MAX(id, 5, 3) AS mx FROM t ORDER BY id");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [
+            { r: 2.3, r0: 2, a: 2.345, c: 3, c2: 3, f: 2, mn: 1, mx: 5 },
+            { r: -1.5, r0: -2, a: 1.5, c: -1, c2: -1, f: -2, mn: 2, mx: 5 }
+        ]);
+    });
+});
+
+test("Date functions work in UTC", () => {
+    return createDriver().then(driver => {
+        let before = Date.now();
+        return driver.query("SELECT DATE(at) AS d, TIME(at) AS t, DATETIME(at) AS dt, STRFTIME('%Y/%m/%d %H:%M:%S %j %w %s', at) AS f, NOW() AS now FROM t WHERE id = 1").then(rows => {
+            let row = rows[0];
+            assert.ok(row.now instanceof Date && row.now.getTime() >= before && row.now.getTime() <= Date.now());
+            delete row.now;
+            assert.deepStrictEqual(rows, [{ d: '2020-03-04', t: '05:06:07', dt: '2020-03-04 05:06:07', f: '2020/03/04 05:06:07 064 3 1583298367' }]);
+        });
+    });
+});
+
+test("Functions can be used in WHERE, ORDER BY, SET and VALUES", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO t (id, name, price) VALUES (3, UPPER('cy'), ABS(-4))").then(() => {
+            return driver.execute("UPDATE t SET name = TRIM(name) WHERE LENGTH(name) > 5");
+        }).then(() => {
+            return driver.query("SELECT id, name, price FROM t WHERE LOWER(name) <> 'bob' ORDER BY LENGTH(name), id DESC");
+        });
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ id: 3, name: 'CY', price: 4 }, { id: 1, name: 'Ann', price: 2.345 }]);
+    });
+});
+
+test("registerFunction adds a function or replaces a built in one", () => {
+    return createDriver().then(driver => {
+        driver.registerFunction('REVERSE', (text) => text === null ? null : text.split('').reverse().join(''));
+        driver.registerFunction('upper', (text) => text === null ? null : '<' + text + '>');
+        return driver.query("SELECT REVERSE(TRIM(name)) AS r, UPPER(name) AS u FROM t WHERE id = 1");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ r: 'nnA', u: '<  Ann >' }]);
+    });
+});
@@ -0,0 +1,82 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, uid INTEGER, name TEXT)",
+        "CREATE INDEX t_uid ON t (uid)",
+        "INSERT INTO t (id, uid, name) VALUES (1, 1, 'a'), (2, 1, 'b'), (3, 3, 'c')"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("An index is used and kept up to date by writes", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM t WHERE uid = 1 ORDER BY id")
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]))
+            .then(() => driver.execute("UPDATE t SET uid = 3 WHERE id = 1"))
+            .then(() => driver.query("SELECT id FROM t WHERE uid = 3 ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }]));
+    });
+});
+
+test("An index is built again when a row is changed underneath the driver", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM t WHERE uid = 2").then(rows => {
+            assert.deepStrictEqual(rows, []);
+            // another process changes a row, keeping the number of rows
+            let key = Object.keys(driver.data.tables.t.rows).find(key => driver.data.tables.t.rows[key].id === 3);
+            driver.data.tables.t.rows[key].uid = 2;
+            return driver.query("SELECT id FROM t WHERE uid = 2");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 3 }]);
+            return driver.execute("DELETE FROM t WHERE uid = 2");
+        }).then(ids => {
+            assert.strictEqual(ids.length, 1);
+            return driver.query("SELECT id FROM t ORDER BY id");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]));
+    });
+});
+
+test("An index is built again when a row is replaced underneath the driver", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM t WHERE uid = 3").then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 3 }]);
+            let stored = driver.data.tables.t.rows;
+            let key = Object.keys(stored).find(key => stored[key].id === 3);
+            delete stored[key];
+            stored[99] = { id: 4, uid: 3, name: 'd' };
+            return driver.query("SELECT id FROM t WHERE uid = 3");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 4 }]));
+    });
+});
+
+test("invalidateCache clears the indexes of a table", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM t WHERE uid = 1").then(() => {
+            assert.strictEqual(driver.indexes.t.t_uid.built, true);
+            driver.invalidateCache('t');
+            assert.strictEqual(driver.indexes.t.t_uid.built, false);
+            return driver.query("SELECT id FROM t WHERE uid = 1").then(() => driver.invalidateCache());
+        }).then(() => assert.strictEqual(driver.indexes.t.t_uid.built, false));
+    });
+});
+
+test("watchTables notifications clear the cached rows and indexes", () => {
+    return createDriver().then(driver => {
+        let changed = null;
+        driver.watchTables = (notify) => {
+            changed = notify;
+            return null;
+        };
+        return driver.enableCache({ ttl: 0 }).then(() => driver.query("SELECT id FROM t WHERE uid = 3")).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 3 }]);
+            let key = Object.keys(driver.data.tables.t.rows).find(key => driver.data.tables.t.rows[key].id === 1);
+            driver.data.tables.t.rows[key].uid = 3;
+            changed('t');
+            assert.strictEqual(driver.indexes.t.t_uid.built, false);
+            return driver.query("SELECT id FROM t WHERE uid = 3 ORDER BY id");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }]));
+    });
+});
@@ -0,0 +1,101 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, boss INTEGER)",
+        "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total INTEGER)",
+        "CREATE TABLE items (order_id INTEGER, sku TEXT)",
+        "CREATE TABLE notes (user_id INTEGER, note TEXT)",
+        "INSERT INTO users (id, name, boss) VALUES (1, 'Ann', NULL), (2, 'Bob', 1), (3, 'Cid', 1)",
+        "INSERT INTO orders (id, user_id, total) VALUES (10, 1, 5), (11, 1, 7), (12, 2, 9), (13, 9, 1)",
+        "INSERT INTO items (order_id, sku) VALUES (10, 'x'), (12, 'y')",
+        "INSERT INTO notes (user_id, note) VALUES (2, 'late'), (8, 'new')"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("LEFT and RIGHT joins pad the rows which match nothing with NULLs", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT u.name, o.id FROM users u LEFT JOIN orders o ON u.id = o.user_id ORDER BY u.id, o.id").then(rows => {
+            assert.deepStrictEqual(rows, [
+                { 'u.name': 'Ann', 'o.id': 10 }, { 'u.name': 'Ann', 'o.id': 11 }, { 'u.name': 'Bob', 'o.id': 12 }, { 'u.name': 'Cid', 'o.id': null }
+            ]);
+            return driver.query("SELECT u.name, o.id FROM users u RIGHT OUTER JOIN orders o ON u.id = o.user_id ORDER BY o.id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [
+                { 'u.name': 'Ann', 'o.id': 10 }, { 'u.name': 'Ann', 'o.id': 11 }, { 'u.name': 'Bob', 'o.id': 12 }, { 'u.name': null, 'o.id': 13 }
+            ]);
+        });
+    });
+});
+
+test("A FULL OUTER JOIN keeps the unmatched rows of both tables", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT u.name, o.id FROM users u FULL OUTER JOIN orders o ON u.id = o.user_id ORDER BY u.id, o.id");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [
+            { 'u.name': null, 'o.id': 13 },
+            { 'u.name': 'Ann', 'o.id': 10 }, { 'u.name': 'Ann', 'o.id': 11 }, { 'u.name': 'Bob', 'o.id': 12 }, { 'u.name': 'Cid', 'o.id': null }
+        ]);
+    });
+});
+
+test("Conditions in ON decide the matches, while WHERE filters the joined rows", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT u.name, o.id FROM users u LEFT JOIN orders o ON u.id = o.user_id AND o.total > 6 ORDER BY u.id").then(rows => {
+            assert.deepStrictEqual(rows, [{ 'u.name': 'Ann', 'o.id': 11 }, { 'u.name': 'Bob', 'o.id': 12 }, { 'u.name': 'Cid', 'o.id': null }]);
+            return driver.query("SELECT u.name FROM users u LEFT JOIN orders o ON u.id = o.user_id WHERE o.id IS NULL");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ 'u.name': 'Cid' }]);
+        });
+    });
+});
+
+test("Any number of tables can be joined, and a table joined to itself", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT u.name, o.id, i.sku FROM users u LEFT JOIN orders o ON u.id = o.user_id LEFT JOIN items i ON i.order_id = o.id ORDER BY u.id, o.id").then(rows => {
+            assert.deepStrictEqual(rows, [
+                { 'u.name': 'Ann', 'o.id': 10, 'i.sku': 'x' },
+                { 'u.name': 'Ann', 'o.id': 11, 'i.sku': null },
+                { 'u.name': 'Bob', 'o.id': 12, 'i.sku': 'y' },
+                { 'u.name': 'Cid', 'o.id': null, 'i.sku': null }
+            ]);
+            return driver.query("SELECT e.name, b.name FROM users e JOIN users b ON e.boss = b.id ORDER BY e.id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ 'e.name': 'Bob', 'b.name': 'Ann' }, { 'e.name': 'Cid', 'b.name': 'Ann' }]);
+        });
+    });
+});
+
+test("CROSS JOIN and tables listed after a comma give every pair of rows", () => {
+    return createDriver().then(driver => {
+        return Promise.all([
+            driver.query("SELECT COUNT(*) AS n FROM users CROSS JOIN orders"),
+            driver.query("SELECT COUNT(*) AS n FROM users, orders"),
+            driver.query("SELECT u.name FROM users u, orders o WHERE u.id = o.user_id AND o.total > 8")
+        ]);
+    }).then(([cross, comma, filtered]) => {
+        assert.deepStrictEqual(cross, [{ n: 12 }]);
+        assert.deepStrictEqual(comma, [{ n: 12 }]);
+        assert.deepStrictEqual(filtered, [{ 'u.name': 'Bob' }]);
+    });
+});
+
+test("A column can be used without its table name if only one table has it, or it is joined with USING", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT order_id, sku, total FROM items i JOIN orders o ON o.id = i.order_id ORDER BY order_id").then(rows => {
+            assert.deepStrictEqual(rows, [{ order_id: 10, sku: 'x', total: 5 }, { order_id: 12, sku: 'y', total: 9 }]);
+            return driver.query("SELECT user_id, o.id, note FROM orders o FULL JOIN notes USING (user_id) ORDER BY user_id, o.id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [
+                { user_id: 1, 'o.id': 10, note: null },
+                { user_id: 1, 'o.id': 11, note: null },
+                { user_id: 2, 'o.id': 12, note: 'late' },
+                { user_id: 8, 'o.id': null, note: 'new' },
+                { user_id: 9, 'o.id': 13, note: null }
+            ]);
+        });
+    });
+});
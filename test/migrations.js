@@ -0,0 +1,73 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var { Migrator, loadMigrations } = require('../lib/migrations');
+var { SyntaxError, QueryError } = require('../lib/errors');
+
+test("applied creates the migrations table once", () => {
+    let driver = new MemoryDriver();
+    let migrator = new Migrator(driver);
+    return migrator.applied()
+        .then(versions => assert.deepStrictEqual(versions, []))
+        .then(() => migrator.migrate([{ version: 1, name: '001_t.sql', sql: "CREATE TABLE t (id INTEGER)" }]))
+        .then(() => migrator.applied())
+        .then(versions => assert.deepStrictEqual(versions, [1]));
+});
+
+test("applied passes on an error reading the migrations table", () => {
+    let driver = new MemoryDriver();
+    let migrator = new Migrator(driver);
+    return migrator.applied().then(() => {
+        driver.load = () => Promise.reject(new Error("The connection was lost"));
+        return assert.rejects(migrator.applied(), /The connection was lost/);
+    });
+});
+
+test("A syntax error in a script is located in the whole script", () => {
+    let driver = new MemoryDriver();
+    let sql = "CREATE TABLE t (id INTEGER);\n-- seed\nINSERT INTO t (id) VALUES (1);\n  SELECT id FROM t WHERE;";
+    return assert.rejects(driver.executeScript(sql), err => {
+        assert.ok(err instanceof SyntaxError);
+        assert.strictEqual(err.line, 4);
+        assert.strictEqual(err.column, 25);
+        assert.strictEqual(err.offset, sql.length - 1);
+        assert.match(err.message, / at line 4, column 25$/);
+        assert.strictEqual(err.results.length, 2);
+        return true;
+    });
+});
+
+test("A migration which fails is not recorded, and the later ones are not run", () => {
+    let driver = new MemoryDriver();
+    let migrator = new Migrator(driver);
+    let migrations = [
+        { version: 1, name: '001_t.sql', sql: "CREATE TABLE t (id INTEGER);\nINSERT INTO t (id) VALUES (1);\nINSERT INTO t (id VALUES (2);" },
+        { version: 2, name: '002_u.sql', sql: "CREATE TABLE u (id INTEGER)" }
+    ];
+    return assert.rejects(migrator.migrate(migrations), err => {
+        assert.strictEqual(err.migration, '001_t.sql');
+        assert.strictEqual(err.line, 3);
+        assert.strictEqual(err.results.length, 2);
+        return true;
+    }).then(() => migrator.applied())
+        .then(versions => assert.deepStrictEqual(versions, []))
+        .then(() => driver.query("SELECT id FROM t"))
+        .then(rows => assert.deepStrictEqual(rows, [{ id: 1 }]))
+        .then(() => driver.tableExists('u'))
+        .then(exists => assert.strictEqual(exists, false));
+});
+
+test("Two migrations with the same version are a QueryError", () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(directory, '001_a.sql'), "CREATE TABLE a (id INTEGER)");
+    fs.writeFileSync(path.join(directory, '1_b.sql'), "CREATE TABLE b (id INTEGER)");
+    return assert.rejects(loadMigrations(directory), err => {
+        assert.ok(err instanceof QueryError);
+        assert.match(err.message, /001_a\.sql/);
+        assert.match(err.message, /1_b\.sql/);
+        return true;
+    }).finally(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
@@ -0,0 +1,58 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { QueryError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, nickname TEXT, age INTEGER, born DATE)",
+        "INSERT INTO users (id, name, nickname, age) VALUES (1, 'Bob', 'Rob', 21), (2, 'Ann', 'Bob', 30), (3, 'Cid', NULL, 45)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("? parameters take their values from an array in the order they appear", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM users WHERE name = ? OR age > ? ORDER BY id LIMIT ?", ['Bob', 40, 5]);
+    }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }]));
+});
+
+test("$n parameters take their values from an array by position and can be repeated", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM users WHERE name = $1 OR nickname = $1 ORDER BY id", ['Bob']);
+    }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]));
+});
+
+test(":name parameters take their values from an object", () => {
+    return createDriver().then(driver => {
+        return driver.execute("UPDATE users SET age = :age, born = :born WHERE name = :name", { name: 'Bob', age: '22', born: new Date('2001-02-03T00:00:00Z') }).then(() => {
+            return driver.query("SELECT age, born FROM users WHERE id = :id", { id: 1 });
+        });
+    }).then(rows => assert.deepStrictEqual(rows, [{ age: 22, born: new Date('2001-02-03T00:00:00Z') }]));
+});
+
+test("Parameter values are never read as SQL", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO users (id, name, nickname) VALUES (?, ?, ?)", [4, "Dee'); DROP TABLE users; --", null]).then(() => {
+            return driver.query("SELECT name, nickname FROM users WHERE id = ?", [4]);
+        });
+    }).then(rows => assert.deepStrictEqual(rows, [{ name: "Dee'); DROP TABLE users; --", nickname: null }]));
+});
+
+test("A missing or invalid parameter value is a QueryError", () => {
+    return createDriver().then(driver => {
+        return assert.rejects(driver.query("SELECT * FROM users WHERE id = ? AND age = ?", [1]), err => {
+            assert.ok(err instanceof QueryError);
+            assert.match(err.message, /No value bound for parameter \?/);
+            return true;
+        }).then(() => assert.rejects(driver.query("SELECT * FROM users WHERE name = :name", { nick: 'Bob' }), err => {
+            assert.ok(err instanceof QueryError);
+            assert.match(err.message, /:name/);
+            return true;
+        })).then(() => assert.rejects(driver.query("SELECT * FROM users WHERE id = $1", [NaN]), err => {
+            assert.ok(err instanceof QueryError);
+            assert.match(err.message, /Invalid value for parameter \$1/);
+            return true;
+        })).then(() => assert.rejects(driver.query("SELECT * FROM users WHERE id = ?", [{ id: 1 }]), QueryError));
+    });
+});
@@ -0,0 +1,188 @@
+var test = require('node:test');
+var assert = require('assert');
+var { parse } = require('../lib/parser');
+var { MemoryDriver } = require('../lib/memory');
+var { SyntaxError } = require('../lib/errors');
+
+/**
+ * Keeps the keys of an AST which the expected tree has, so the nodes
+ * node-sqlparser produced can be compared without the keys added since,
+ * such as having and returning
+ */
+function shape(actual, expected) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) ? actual.map((item, n) => shape(item, expected[n])) : actual;
+    }
+    if (expected && typeof expected === 'object' && actual && typeof actual === 'object') {
+        let kept = {};
+        Object.keys(expected).forEach(key => kept[key] = shape(actual[key], expected[key]));
+        return kept;
+    }
+    return actual;
+}
+
+function assertShape(sql, expected) {
+    let ast = parse(sql);
+    assert.deepStrictEqual(shape(ast, expected), expected);
+}
+
+let column = (name, table = '') => ({ type: 'column_ref', table: table, column: name });
+let number = (value) => ({ type: 'number', value: value });
+let string = (value) => ({ type: 'string', value: value });
+let binary = (operator, left, right) => ({ type: 'binary_expr', operator: operator, left: left, right: right });
+
+test("SELECT parses to the tree node-sqlparser produced", () => {
+    assertShape("SELECT id, name AS n FROM users WHERE age > 30 AND city = 'Oslo'", {
+        type: 'select',
+        distinct: null,
+        columns: [{ expr: column('id'), as: null }, { expr: column('name'), as: 'n' }],
+        from: [{ db: '', table: 'users', as: null }],
+        where: binary('AND', binary('>', column('age'), number(30)), binary('=', column('city'), string('Oslo'))),
+        groupby: null,
+        orderby: null,
+        limit: null,
+        params: []
+    });
+    assertShape("SELECT * FROM users ORDER BY name DESC, id LIMIT 2, 5", {
+        columns: '*',
+        orderby: [{ expr: column('name'), type: 'DESC' }, { expr: column('id'), type: 'ASC' }],
+        limit: [number(2), number(5)]
+    });
+    assertShape("SELECT * FROM users LIMIT 5", { limit: [number(0), number(5)] });
+    assertShape("SELECT DISTINCT city FROM users", { distinct: 'DISTINCT' });
+});
+
+test("Joins, aliases and qualified names parse as node-sqlparser did", () => {
+    assertShape("SELECT a.id, b.total FROM users a INNER JOIN orders b ON a.id = b.user_id", {
+        columns: [{ expr: column('id', 'a'), as: null }, { expr: column('total', 'b'), as: null }],
+        from: [
+            { db: '', table: 'users', as: 'a' },
+            { db: '', table: 'orders', as: 'b', join: 'INNER JOIN', on: binary('=', column('id', 'a'), column('user_id', 'b')) }
+        ]
+    });
+    assertShape("SELECT * FROM users AS u LEFT JOIN orders o ON u.id = o.user_id", {
+        from: [{ table: 'users', as: 'u' }, { table: 'orders', as: 'o', join: 'LEFT JOIN' }]
+    });
+    assertShape("SELECT * FROM users RIGHT JOIN orders ON users.id = orders.user_id", {
+        from: [{ table: 'users', as: null }, { table: 'orders', join: 'RIGHT JOIN' }]
+    });
+    assertShape("SELECT * FROM users JOIN orders ON users.id = orders.user_id", {
+        from: [{ table: 'users' }, { table: 'orders', join: 'INNER JOIN' }]
+    });
+    assertShape("SELECT * FROM a, b WHERE a.id = b.id", {
+        from: [{ table: 'a' }, { table: 'b' }],
+        where: binary('=', column('id', 'a'), column('id', 'b'))
+    });
+    assertShape("SELECT `id` FROM db.`users`", {
+        columns: [{ expr: column('id'), as: null }],
+        from: [{ db: 'db', table: 'users', as: null }]
+    });
+});
+
+test("Conditions, aggregates and functions parse as node-sqlparser did", () => {
+    assertShape("SELECT * FROM t WHERE name LIKE 'A%' OR age <= 10", {
+        where: binary('OR', binary('LIKE', column('name'), string('A%')), binary('<=', column('age'), number(10)))
+    });
+    assertShape("SELECT * FROM t WHERE id IN (1, 2) AND id NOT IN (3)", {
+        where: binary('AND',
+            binary('IN', column('id'), { type: 'expr_list', value: [number(1), number(2)] }),
+            binary('NOT IN', column('id'), { type: 'expr_list', value: [number(3)] }))
+    });
+    assertShape("SELECT * FROM t WHERE age BETWEEN 1 AND 3", {
+        where: binary('BETWEEN', column('age'), { type: 'expr_list', value: [number(1), number(3)] })
+    });
+    assertShape("SELECT * FROM t WHERE age IS NULL", { where: binary('IS', column('age'), { type: 'null', value: null }) });
+    assertShape("SELECT * FROM t WHERE NOT age > 3", {
+        where: { type: 'unary_expr', operator: 'NOT', expr: binary('>', column('age'), number(3)) }
+    });
+    assertShape("SELECT * FROM t WHERE a <> 1 AND b != -2 AND c = TRUE AND d = \"x\" AND e % 2 = 0", {
+        where: binary('AND',
+            binary('AND',
+                binary('AND',
+                    binary('AND', binary('<>', column('a'), number(1)), binary('!=', column('b'), number(-2))),
+                    binary('=', column('c'), { type: 'bool', value: true })),
+                binary('=', column('d'), string('x'))),
+            binary('=', binary('%', column('e'), number(2)), number(0)))
+    });
+    assertShape("SELECT city, COUNT(*), COUNT(DISTINCT id) AS n, SUM(age) FROM t GROUP BY city", {
+        columns: [
+            { expr: column('city'), as: null },
+            { expr: { type: 'aggr_func', name: 'COUNT', args: { expr: { type: 'star', value: '*' } } }, as: null },
+            { expr: { type: 'aggr_func', name: 'COUNT', args: { distinct: 'DISTINCT', expr: column('id') } }, as: 'n' },
+            { expr: { type: 'aggr_func', name: 'SUM', args: { expr: column('age') } }, as: null }
+        ],
+        groupby: [column('city')]
+    });
+    assertShape("SELECT CONCAT(a, 'b') AS s, id + 1 FROM t", {
+        columns: [
+            { expr: { type: 'function', name: 'CONCAT', args: { type: 'expr_list', value: [column('a'), string('b')] } }, as: 's' },
+            { expr: binary('+', column('id'), number(1)), as: null }
+        ]
+    });
+    assertShape("SELECT 'a\\'b' FROM t", { columns: [{ expr: string("a'b"), as: null }] });
+});
+
+test("INSERT, UPDATE, DELETE and CREATE TABLE parse as node-sqlparser did", () => {
+    assertShape("INSERT INTO users (id, name) VALUES (1, 'Ann'), (2, ?)", {
+        type: 'insert',
+        db: '',
+        table: 'users',
+        columns: ['id', 'name'],
+        values: [
+            { type: 'expr_list', value: [number(1), string('Ann')] },
+            { type: 'expr_list', value: [number(2), { type: 'param', value: '?' }] }
+        ],
+        params: [{ type: 'param', value: '?' }]
+    });
+    assertShape("UPDATE users SET name = ?, age = 3 WHERE id = 1", {
+        type: 'update',
+        db: '',
+        table: 'users',
+        set: [{ column: 'name', value: { type: 'param', value: '?' } }, { column: 'age', value: number(3) }],
+        where: binary('=', column('id'), number(1))
+    });
+    assertShape("DELETE FROM users WHERE id = 1", {
+        type: 'delete',
+        from: [{ db: '', table: 'users', as: null }],
+        where: binary('=', column('id'), number(1))
+    });
+    assertShape("DELETE FROM users", { type: 'delete', where: null });
+    assertShape("CREATE TABLE t (id INTEGER, name VARCHAR(20), code CHARACTER(3))", {
+        type: 'create_table',
+        name: { db: '', table: 't' },
+        columns: [
+            { name: 'id', type: { type: 'INTEGER' } },
+            { name: 'name', type: { type: 'VARCHAR', args: ['20'] } },
+            { name: 'code', type: { type: 'CHARACTER', args: ['3'] } }
+        ]
+    });
+});
+
+test("Statements of the old grammar run against a driver", () => {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER, name VARCHAR(20), city CHARACTER(4))",
+        "CREATE TABLE orders (id INTEGER, user_id INTEGER, total INTEGER)",
+        "INSERT INTO users (id, name, city) VALUES (1, 'Ann', 'Oslo')",
+        "INSERT INTO users (id, name, city) VALUES (2, 'Bob', 'Rome')",
+        "INSERT INTO orders (id, user_id, total) VALUES (1, 1, 10)",
+        "UPDATE users SET name = 'Bo' WHERE id = 2"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => {
+        return driver.query("SELECT users.name, SUM(orders.total) AS spent FROM users LEFT JOIN orders ON users.id = orders.user_id GROUP BY users.name ORDER BY users.name LIMIT 0, 5");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ 'users.name': 'Ann', spent: 10 }, { 'users.name': 'Bo', spent: null }]);
+        return driver.execute("DELETE FROM users WHERE id = 2");
+    }).then(() => driver.execute("DROP TABLE orders")).then(() => driver.query("SELECT * FROM users")).then(rows => {
+        assert.deepStrictEqual(rows, [{ id: 1, name: 'Ann', city: 'Oslo' }]);
+        return assert.rejects(driver.query("SELECT * FROM orders"));
+    });
+});
+
+test("A syntax error gives its line and column", () => {
+    assert.throws(() => parse("SELECT *\nFROM users WHERE"), err => {
+        assert.ok(err instanceof SyntaxError);
+        assert.strictEqual(err.line, 2);
+        assert.strictEqual(err.column, 17);
+        return true;
+    });
+});
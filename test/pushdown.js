@@ -0,0 +1,122 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+/**
+ * A driver which records the calls to loadWhere, and answers them with the
+ * rows, and the conditions handled, a test gives
+ */
+class PushdownDriver extends MemoryDriver {
+    constructor() {
+        super();
+        this.calls = [];
+        this.answer = null;
+    }
+
+    loadWhere(table, predicate, columns, limit) {
+        this.calls.push({ table: table, predicate: predicate, columns: columns, limit: limit });
+        if (!this.answer) {
+            return null;
+        }
+        return this.load(table).then(rows => {
+            let keys = Object.keys(rows).filter(key => this.answer.filter(rows[key]));
+            return { rows: keys.map(key => [key, rows[key]]), handled: this.answer.handled };
+        });
+    }
+}
+
+function createDriver() {
+    let driver = new PushdownDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER, city TEXT)",
+        "CREATE TABLE visits (user_id INTEGER, page TEXT)",
+        "INSERT INTO users (id, name, age, city) VALUES (1, 'Ann', 34, 'Oslo'), (2, 'Bob', 27, 'Rome'), (3, 'Cid', 41, 'Oslo')",
+        "INSERT INTO visits (user_id, page) VALUES (1, 'a'), (2, 'b'), (3, 'a')"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => {
+        driver.calls = [];
+        return driver;
+    });
+}
+
+test("loadWhere is given the conditions in plain form, the columns used and the limit", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT name FROM users WHERE 30 < age AND city = ? AND id IN (1, 1 + 2) LIMIT 1", ['Oslo']).then(rows => {
+            assert.deepStrictEqual(rows, [{ name: 'Ann' }]);
+            assert.deepStrictEqual(driver.calls[0], {
+                table: 'users',
+                predicate: [
+                    { column: 'age', operator: '>', value: 30 },
+                    { column: 'city', operator: '=', value: 'Oslo' },
+                    { column: 'id', operator: 'IN', values: [1, 3] }
+                ],
+                columns: ['name', 'age', 'city', 'id'],
+                limit: 1
+            });
+            driver.calls = [];
+            return driver.query("SELECT * FROM users WHERE age IS NOT NULL AND (city LIKE 'R%' OR NOT id BETWEEN 1 AND 2)");
+        }).then(rows => {
+            assert.deepStrictEqual(rows.map(row => row.id), [2, 3]);
+            assert.deepStrictEqual(driver.calls[0].predicate, [
+                { column: 'age', operator: 'IS NOT NULL' },
+                { or: [{ column: 'city', operator: 'LIKE', value: 'R%' }, { not: { column: 'id', operator: 'BETWEEN', values: [1, 2] } }] }
+            ]);
+            assert.strictEqual(driver.calls[0].columns, null);
+        });
+    });
+});
+
+test("Conditions which can not be given in plain form are left out, and so is the limit", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT name FROM users WHERE age > 30 AND UPPER(name) = 'CID' AND age < id * 20 LIMIT 1").then(rows => {
+            assert.deepStrictEqual(rows, [{ name: 'Cid' }]);
+            assert.deepStrictEqual(driver.calls[0].predicate, [{ column: 'age', operator: '>', value: 30 }]);
+            assert.strictEqual(driver.calls[0].limit, null);
+        });
+    });
+});
+
+test("The conditions a driver did not handle are tested on the rows it returns", () => {
+    return createDriver().then(driver => {
+        // only city = 'Oslo' is applied
+        driver.answer = { filter: row => row.city === 'Oslo', handled: [0] };
+        return driver.query("SELECT name FROM users WHERE city = 'Oslo' AND age > 35").then(rows => {
+            assert.deepStrictEqual(rows, [{ name: 'Cid' }]);
+            return driver.execute("DELETE FROM users WHERE city = 'Oslo' AND age > 35");
+        }).then(ids => {
+            assert.strictEqual(ids.length, 1);
+            assert.strictEqual(driver.calls.length, 2);
+            driver.answer = null;
+            return driver.query("SELECT id FROM users ORDER BY id");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]));
+    });
+});
+
+test("The conditions a driver handled are not tested again by a streamed SELECT", () => {
+    return createDriver().then(driver => {
+        // a driver which wrongly keeps every row
+        driver.answer = { filter: () => true, handled: true };
+        return driver.query("SELECT id FROM users WHERE city = 'Oslo'");
+    }).then(rows => {
+        assert.deepStrictEqual(rows.map(row => row.id).sort(), [1, 2, 3]);
+    });
+});
+
+test("loadWhere is not used for tables with writes in the current transaction, or an UPDATE of a table with keys", () => {
+    return createDriver().then(driver => {
+        return driver.execute("UPDATE users SET age = 1 WHERE city = 'Oslo'").then(() => {
+            assert.strictEqual(driver.calls.length, 0);
+            return driver.execute("UPDATE visits SET page = 'c' WHERE page = 'a'");
+        }).then(ids => {
+            assert.strictEqual(ids.length, 2);
+            assert.deepStrictEqual(driver.calls.map(call => call.table), ['visits']);
+            driver.calls = [];
+            return driver.execute("BEGIN");
+        }).then(() => driver.execute("INSERT INTO users (id, name, city) VALUES (9, 'Dee', 'Oslo')")).then(() => {
+            return driver.query("SELECT id FROM users WHERE city = 'Oslo' ORDER BY id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }, { id: 9 }]);
+            assert.strictEqual(driver.calls.length, 0);
+            return driver.execute("ROLLBACK");
+        });
+    });
+});
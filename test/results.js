@@ -0,0 +1,117 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { Result } = require('../lib/result');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)",
+        "INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b')"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+function keyOf(driver, id) {
+    let rows = driver.data.tables.t.rows;
+    return Object.keys(rows).find(key => rows[key].id === id);
+}
+
+test("An upsert gives the keys of the rows inserted and updated", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (2, 'x'), (3, 'c') ON CONFLICT (id) DO UPDATE SET name = excluded.name", [], { metadata: true }).then(result => {
+            assert.ok(result instanceof Result);
+            assert.deepStrictEqual(result.insertIds, [keyOf(driver, 3)]);
+            assert.deepStrictEqual(result.updatedIds, [keyOf(driver, 2)]);
+            assert.deepStrictEqual(result.ids, result.insertIds.concat(result.updatedIds));
+            assert.strictEqual(result.rowsAffected, 2);
+        });
+    });
+});
+
+test("UPDATE gives the keys of the rows updated", () => {
+    return createDriver().then(driver => {
+        return driver.execute("UPDATE t SET name = 'x' WHERE id = 1 RETURNING id, name", [], { metadata: true }).then(result => {
+            assert.deepStrictEqual(result.rows, [{ id: 1, name: 'x' }]);
+            assert.deepStrictEqual(result.updatedIds, [keyOf(driver, 1)]);
+            assert.deepStrictEqual(result.insertIds, []);
+        });
+    });
+});
+
+test("RETURNING resolves with a plain array of the rows", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (3, 'c') RETURNING id").then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 3 }]);
+            assert.deepStrictEqual(Object.keys(rows), ['0']);
+            return driver.execute("DELETE FROM t WHERE id > 1");
+        }).then(ids => assert.strictEqual(ids.length, 2));
+    });
+});
+
+test("INSERT, UPDATE and DELETE give the keys of the rows as strings", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO t (id, name) VALUES (3, 'c')").then(ids => {
+            assert.deepStrictEqual(ids, [keyOf(driver, 3)]);
+            return driver.execute("UPDATE t SET name = 'x' WHERE id = 3");
+        }).then(ids => {
+            assert.deepStrictEqual(ids, [keyOf(driver, 3)]);
+            return driver.execute("BEGIN")
+                .then(() => driver.execute("INSERT INTO t (id, name) VALUES (4, 'd')"))
+                .then(() => driver.execute("COMMIT"));
+        }).then(keys => {
+            assert.deepStrictEqual(Object.values(keys), [keyOf(driver, 4)]);
+            return driver.execute("DELETE FROM t WHERE id > 2");
+        }).then(ids => assert.ok(ids.every(id => typeof id === 'string')));
+    });
+});
+
+test("RETURNING gives expressions of the rows after an UPDATE, and the rows before a DELETE", () => {
+    return createDriver().then(driver => {
+        let key = keyOf(driver, 2);
+        return driver.execute("UPDATE t SET name = name || '!' RETURNING id, UPPER(name) AS loud").then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 1, loud: 'A!' }, { id: 2, loud: 'B!' }]);
+            return driver.execute("DELETE FROM t WHERE id = 2 RETURNING *", [], { metadata: true });
+        }).then(result => {
+            assert.deepStrictEqual(result.rows, [{ id: 2, name: 'b!' }]);
+            assert.deepStrictEqual(result.ids, [key]);
+            assert.strictEqual(result.rowsAffected, 1);
+            return driver.query("SELECT id FROM t");
+        }).then(rows => assert.deepStrictEqual(rows, [{ id: 1 }]));
+    });
+});
+
+test("The result of a SELECT gives the name and type of each column", () => {
+    return createDriver().then(driver => {
+        // rows written by another program, with no definition
+        driver.data.tables.raw = { definition: null, rows: { 1: { a: 1, b: null, c: 'x' }, 2: { a: 2, b: null, c: 3 } }, nextKey: 3, indexes: {} };
+        return driver.query("SELECT * FROM raw", [], { metadata: true }).then(raw => {
+            assert.deepStrictEqual(raw.columns, [{ name: 'a', type: 'integer' }, { name: 'b', type: null }, { name: 'c', type: 'object' }]);
+            return driver.execute("CREATE TABLE p (id INTEGER, name VARCHAR(5), price FLOAT)");
+        }).then(() => {
+            return driver.query("SELECT id, name, price * 2 AS double, id > 1 AS big, COUNT(*) AS n, UPPER(name) AS loud FROM p GROUP BY id, name, price", [], { metadata: true });
+        }).then(result => {
+            assert.strictEqual(result.type, 'select');
+            assert.deepStrictEqual(result.rows, []);
+            assert.strictEqual(result.rowsAffected, 0);
+            assert.deepStrictEqual(result.columns, [
+                { name: 'id', type: 'integer' },
+                { name: 'name', type: 'string', length: 5 },
+                { name: 'double', type: 'float' },
+                { name: 'big', type: 'boolean' },
+                { name: 'n', type: 'integer' },
+                { name: 'loud', type: 'string' }
+            ]);
+        });
+    });
+});
+
+test("Any statement gives a result object with metadata", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE TABLE z (a INTEGER)", [], { metadata: true }).then(result => {
+            assert.ok(result instanceof Result);
+            assert.strictEqual(result.type, 'create_table');
+            assert.strictEqual(result.rowsAffected, 0);
+            assert.deepStrictEqual(result.ids, []);
+        });
+    });
+});
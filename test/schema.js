@@ -0,0 +1,112 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { ConstraintError } = require('../lib/errors');
+
+function createDriver(statements) {
+    let driver = new MemoryDriver();
+    return statements.reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("A CHAR value equals the value it was padded from", () => {
+    return createDriver([
+        "CREATE TABLE c (code CHAR(5) PRIMARY KEY, n INTEGER)",
+        "INSERT INTO c (code, n) VALUES ('ab', 1), ('abc', 2)"
+    ]).then(driver => {
+        return driver.query("SELECT code, n FROM c WHERE code = 'ab'")
+            .then(rows => assert.deepStrictEqual(rows, [{ code: 'ab   ', n: 1 }]))
+            .then(() => driver.query("SELECT n FROM c WHERE code IN ('ab', 'x') ORDER BY n"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 1 }]))
+            .then(() => driver.query("SELECT n FROM c WHERE code <> 'ab'"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }]))
+            .then(() => driver.query("SELECT COUNT(*) AS n FROM c WHERE code < 'abc'"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 1 }]));
+    });
+});
+
+test("A CHAR key rejects the value it was padded from", () => {
+    return createDriver([
+        "CREATE TABLE c (code CHAR(5) PRIMARY KEY, label CHAR(3) UNIQUE)",
+        "INSERT INTO c (code, label) VALUES ('ab', 'x')"
+    ]).then(driver => {
+        return assert.rejects(driver.execute("INSERT INTO c (code, label) VALUES ('ab', 'y')"), err => err instanceof ConstraintError && err.constraint === 'PRIMARY KEY')
+            .then(() => assert.rejects(driver.execute("INSERT INTO c (code, label) VALUES ('cd', 'x  ')"), err => err instanceof ConstraintError && err.constraint === 'UNIQUE'))
+            .then(() => driver.execute("INSERT INTO c (code, label) VALUES ('ab', 'z') ON CONFLICT (code) DO UPDATE SET label = excluded.label"))
+            .then(() => driver.query("SELECT code, label FROM c"))
+            .then(rows => assert.deepStrictEqual(rows, [{ code: 'ab   ', label: 'z  ' }]));
+    });
+});
+
+test("An index on a CHAR column finds the value it was padded from", () => {
+    return createDriver([
+        "CREATE TABLE c (code CHAR(5), n INTEGER)",
+        "CREATE INDEX c_code ON c (code)",
+        "INSERT INTO c (code, n) VALUES ('ab', 1), ('cd', 2)",
+        "CREATE TABLE d (code VARCHAR(5), m INTEGER)",
+        "INSERT INTO d (code, m) VALUES ('ab', 10)"
+    ]).then(driver => {
+        return driver.query("SELECT n FROM c WHERE code = 'ab'")
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 1 }]))
+            .then(() => driver.query("SELECT c.n, d.m FROM c JOIN d ON c.code = d.code"))
+            .then(rows => assert.deepStrictEqual(rows, [{ 'c.n': 1, 'd.m': 10 }]))
+            .then(() => driver.execute("INSERT INTO d (code, m) VALUES ('ab  ', 20), ('cd', 30)"))
+            .then(() => driver.query("SELECT COUNT(*) AS n FROM d GROUP BY code ORDER BY code"))
+            .then(rows => assert.deepStrictEqual(rows, [{ n: 2 }, { n: 1 }]));
+    });
+});
+
+const TYPED = [
+    "CREATE TABLE t (id INTEGER PRIMARY KEY, code CHARACTER(3), name VARCHAR(4) NOT NULL, ok BOOLEAN, at DATE, price FLOAT DEFAULT 1.5, qty INTEGER CHECK (qty >= 0), CONSTRAINT pair UNIQUE (name, code))"
+];
+
+function rejectsConstraint(promise, constraint, columns) {
+    return assert.rejects(promise, err => {
+        assert.ok(err instanceof ConstraintError, err.message);
+        assert.strictEqual(err.constraint, constraint);
+        assert.strictEqual(err.table, 't');
+        assert.deepStrictEqual(err.columns.slice().sort(), columns);
+        return true;
+    });
+}
+
+test("Written values are converted to their column's type, and missing columns get their DEFAULT", () => {
+    return createDriver(TYPED).then(driver => {
+        return driver.execute("INSERT INTO t (id, code, name, ok, at, qty) VALUES ('42', 'ab', 'abcdef', 'true', '2018-07-19', '7')").then(() => {
+            return driver.execute("UPDATE t SET qty = '3.0', ok = 0");
+        }).then(() => driver.query("SELECT * FROM t"));
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ id: 42, code: 'ab ', name: 'abcd', ok: false, at: new Date('2018-07-19T00:00:00Z'), price: 1.5, qty: 3 }]);
+    });
+});
+
+test("Values which can not be converted are rejected", () => {
+    return createDriver(TYPED).then(driver => {
+        return rejectsConstraint(driver.execute("INSERT INTO t (id, name, at) VALUES (1, 'x', 'nope')"), 'TYPE', ['at'])
+            .then(() => rejectsConstraint(driver.execute("INSERT INTO t (id, name, ok) VALUES (1, 'x', 'maybe')"), 'TYPE', ['ok']))
+            .then(() => rejectsConstraint(driver.execute("INSERT INTO t (id, name) VALUES ('one', 'x')"), 'TYPE', ['id']));
+    });
+});
+
+test("NOT NULL, CHECK, PRIMARY KEY and UNIQUE constraints are enforced on INSERT and UPDATE", () => {
+    return createDriver(TYPED.concat(["INSERT INTO t (id, name, code, qty) VALUES (1, 'a', 'x', 1), (2, 'b', 'x', 2)"])).then(driver => {
+        return rejectsConstraint(driver.execute("INSERT INTO t (id, name) VALUES (3, NULL)"), 'NOT NULL', ['name'])
+            .then(() => rejectsConstraint(driver.execute("INSERT INTO t (id, name, qty) VALUES (3, 'c', -1)"), 'CHECK', ['qty']))
+            .then(() => rejectsConstraint(driver.execute("INSERT INTO t (id, name) VALUES (1, 'c')"), 'PRIMARY KEY', ['id']))
+            .then(() => rejectsConstraint(driver.execute("INSERT INTO t (id, name, code) VALUES (3, 'a', 'x')"), 'UNIQUE', ['code', 'name']))
+            .then(() => rejectsConstraint(driver.execute("UPDATE t SET name = NULL WHERE id = 1"), 'NOT NULL', ['name']))
+            .then(() => rejectsConstraint(driver.execute("UPDATE t SET qty = qty - 2"), 'CHECK', ['qty']))
+            .then(() => rejectsConstraint(driver.execute("UPDATE t SET id = 2 WHERE id = 1"), 'PRIMARY KEY', ['id']))
+            .then(() => rejectsConstraint(driver.execute("UPDATE t SET name = 'b' WHERE id = 1"), 'UNIQUE', ['code', 'name']))
+            // a CHECK which is unknown for NULL passes
+            .then(() => driver.execute("INSERT INTO t (id, name, code) VALUES (3, 'a', 'y')"));
+    });
+});
+
+test("A write which breaks a constraint stores none of its rows", () => {
+    return createDriver(TYPED.concat(["INSERT INTO t (id, name, qty) VALUES (1, 'a', 1), (2, 'b', 5)"])).then(driver => {
+        return rejectsConstraint(driver.execute("INSERT INTO t (id, name, qty) VALUES (3, 'c', 1), (4, 'd', -1)"), 'CHECK', ['qty'])
+            .then(() => rejectsConstraint(driver.execute("UPDATE t SET qty = qty - 3"), 'CHECK', ['qty']))
+            .then(() => driver.query("SELECT id, qty FROM t ORDER BY id"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1, qty: 1 }, { id: 2, qty: 5 }]));
+    });
+});
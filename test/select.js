@@ -0,0 +1,73 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, city TEXT, age INTEGER)",
+        "INSERT INTO users (id, name, city, age) VALUES (1, 'Ann', 'Oslo', 34), (2, 'Bob', 'Rome', 27), (3, 'Cid', 'Oslo', 41), (4, 'Dee', NULL, NULL), (5, 'Eve', 'Rome', 19)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("DISTINCT is applied to the selected columns before LIMIT", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT DISTINCT city FROM users ORDER BY city LIMIT 2").then(rows => {
+            assert.deepStrictEqual(rows, [{ city: null }, { city: 'Oslo' }]);
+            return driver.query("SELECT DISTINCT city FROM users WHERE city IS NOT NULL ORDER BY city DESC");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ city: 'Rome' }, { city: 'Oslo' }]);
+        });
+    });
+});
+
+test("ORDER BY an expression, a column label or a column position", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT name FROM users WHERE age IS NOT NULL ORDER BY age % 10, id").then(rows => {
+            assert.deepStrictEqual(rows.map(row => row.name), ['Cid', 'Ann', 'Bob', 'Eve']);
+            return driver.query("SELECT name, age * 2 AS double FROM users WHERE age > 20 ORDER BY double DESC");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ name: 'Cid', double: 82 }, { name: 'Ann', double: 68 }, { name: 'Bob', double: 54 }]);
+            return driver.query("SELECT id, name FROM users ORDER BY 2 DESC LIMIT 2");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 5, name: 'Eve' }, { id: 4, name: 'Dee' }]);
+        });
+    });
+});
+
+test("NULLs sort first ascending and last descending unless NULLS FIRST or LAST is given", () => {
+    return createDriver().then(driver => {
+        let names = (sql) => driver.query(sql).then(rows => rows.map(row => row.name));
+        return Promise.all([
+            names("SELECT name FROM users ORDER BY age"),
+            names("SELECT name FROM users ORDER BY age DESC"),
+            names("SELECT name FROM users ORDER BY age NULLS LAST"),
+            names("SELECT name FROM users ORDER BY age DESC NULLS FIRST")
+        ]).then(found => assert.deepStrictEqual(found, [
+            ['Dee', 'Eve', 'Bob', 'Ann', 'Cid'],
+            ['Cid', 'Ann', 'Bob', 'Eve', 'Dee'],
+            ['Eve', 'Bob', 'Ann', 'Cid', 'Dee'],
+            ['Dee', 'Cid', 'Ann', 'Bob', 'Eve']
+        ]));
+    });
+});
+
+test("LIMIT and OFFSET count the sorted result rows", () => {
+    return createDriver().then(driver => {
+        let ids = (sql) => driver.query(sql).then(rows => rows.map(row => row.id));
+        return Promise.all([
+            ids("SELECT id FROM users ORDER BY id DESC LIMIT 2"),
+            ids("SELECT id FROM users ORDER BY id LIMIT 1, 2"),
+            ids("SELECT id FROM users ORDER BY id LIMIT 2 OFFSET 3"),
+            ids("SELECT id FROM users ORDER BY id LIMIT 2 OFFSET 10")
+        ]).then(found => assert.deepStrictEqual(found, [[5, 4], [2, 3], [4, 5], []]));
+    });
+});
+
+test("GROUP BY and HAVING are applied before the select list, DISTINCT and ORDER BY", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT DISTINCT COUNT(*) AS n FROM users WHERE age > 18 GROUP BY city HAVING COUNT(*) > 1 ORDER BY n");
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ n: 2 }]);
+    });
+});
@@ -0,0 +1,138 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { UnsupportedFeatureError } = require('../lib/errors');
+
+/**
+ * A driver which streams its tables from an async generator, counting the
+ * rows read and the streams closed
+ */
+class StreamDriver extends MemoryDriver {
+    constructor() {
+        super();
+        this.read = 0;
+        this.closed = 0;
+        this.loads = 0;
+    }
+
+    load(table) {
+        this.loads++;
+        return super.load(table);
+    }
+
+    loadStream(table) {
+        let rows = this.getTable(table).rows;
+        let driver = this;
+        return (async function* () {
+            try {
+                for (let key of Object.keys(rows)) {
+                    driver.read++;
+                    yield [key, rows[key]];
+                }
+            } finally {
+                driver.closed++;
+            }
+        })();
+    }
+}
+
+function createDriver() {
+    let driver = new StreamDriver();
+    let values = [];
+    for (let id = 1; id <= 20; id++) {
+        values.push("(" + id + ", " + (id % 2) + ")");
+    }
+    return driver.execute("CREATE TABLE events (id INTEGER PRIMARY KEY, odd INTEGER)")
+        .then(() => driver.execute("INSERT INTO events (id, odd) VALUES " + values.join(", ")))
+        .then(() => {
+            driver.read = 0;
+            driver.closed = 0;
+            driver.loads = 0;
+            return driver;
+        });
+}
+
+test("A SELECT with LIMIT stops reading the stream once it has its rows", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM events WHERE odd = 1 LIMIT 3").then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }, { id: 5 }]);
+            assert.strictEqual(driver.read, 5);
+            assert.strictEqual(driver.closed, 1);
+            assert.strictEqual(driver.loads, 0);
+        });
+    });
+});
+
+test("A sorted SELECT reads the whole stream", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT id FROM events ORDER BY id DESC LIMIT 1").then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 20 }]);
+            assert.strictEqual(driver.read, 20);
+        });
+    });
+});
+
+test("queryStream gives the rows as a Readable, and stops reading when it is destroyed", () => {
+    return createDriver().then(driver => {
+        let rows = [];
+        return (async () => {
+            for await (let row of driver.queryStream("SELECT id FROM events WHERE id > ?", [17])) {
+                rows.push(row);
+            }
+        })().then(() => {
+            assert.deepStrictEqual(rows, [{ id: 18 }, { id: 19 }, { id: 20 }]);
+            driver.read = 0;
+            rows = [];
+            return (async () => {
+                for await (let row of driver.queryStream("SELECT id FROM events")) {
+                    rows.push(row);
+                    if (rows.length === 2) break;
+                }
+            })();
+        }).then(() => {
+            assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]);
+            assert.ok(driver.read < 20);
+            assert.strictEqual(driver.closed, 2);
+        });
+    });
+});
+
+test("UPDATE and DELETE read the rows they match from the stream", () => {
+    return createDriver().then(driver => {
+        return driver.execute("DELETE FROM events WHERE id > 18").then(ids => {
+            assert.strictEqual(ids.length, 2);
+            assert.strictEqual(driver.loads, 0);
+            return driver.execute("UPDATE events SET odd = 2 WHERE id = 18");
+        }).then(() => driver.query("SELECT COUNT(*) AS n, MAX(odd) AS most FROM events")).then(rows => {
+            assert.deepStrictEqual(rows, [{ n: 18, most: 2 }]);
+            assert.strictEqual(driver.loads, 0);
+        });
+    });
+});
+
+test("A table with writes in the current transaction is loaded instead of streamed", () => {
+    return createDriver().then(driver => {
+        return driver.execute("BEGIN").then(() => driver.execute("UPDATE events SET odd = 5 WHERE id = 1")).then(() => {
+            driver.read = 0;
+            return driver.query("SELECT id FROM events WHERE odd = 5");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ id: 1 }]);
+            assert.strictEqual(driver.read, 0);
+            assert.strictEqual(driver.loads, 1);
+            return driver.execute("ROLLBACK");
+        });
+    });
+});
+
+test("queryStream only runs a SELECT", () => {
+    return createDriver().then(driver => {
+        let stream = driver.queryStream("DELETE FROM events");
+        return new Promise(resolve => {
+            stream.on('error', resolve);
+            stream.resume();
+        }).then(err => {
+            assert.ok(err instanceof UnsupportedFeatureError);
+            return driver.query("SELECT COUNT(*) AS n FROM events");
+        }).then(rows => assert.deepStrictEqual(rows, [{ n: 20 }]));
+    });
+});
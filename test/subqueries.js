@@ -0,0 +1,83 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { QueryError, SyntaxError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, grp INTEGER)",
+        "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total INTEGER)",
+        "INSERT INTO users (id, name, grp) VALUES (1, 'Ann', 1), (2, 'Bob', 1), (3, 'Cid', 2)",
+        "INSERT INTO orders (id, user_id, total) VALUES (10, 1, 5), (11, 1, 7), (12, 2, 9), (13, NULL, 1)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+function names(driver, sql) {
+    return driver.query(sql).then(rows => rows.map(row => row.name));
+}
+
+test("[NOT] IN (SELECT ...) matches the values of the subquery, with NULL making NOT IN unknown", () => {
+    return createDriver().then(driver => {
+        return Promise.all([
+            names(driver, "SELECT name FROM users WHERE id IN (SELECT user_id FROM orders) ORDER BY id"),
+            names(driver, "SELECT name FROM users WHERE id NOT IN (SELECT user_id FROM orders)"),
+            names(driver, "SELECT name FROM users WHERE id NOT IN (SELECT user_id FROM orders WHERE user_id IS NOT NULL)")
+        ]);
+    }).then(found => assert.deepStrictEqual(found, [['Ann', 'Bob'], [], ['Cid']]));
+});
+
+test("[NOT] EXISTS and scalar subqueries can use the columns of the outer query", () => {
+    return createDriver().then(driver => {
+        return Promise.all([
+            names(driver, "SELECT name FROM users u WHERE EXISTS (SELECT * FROM orders o WHERE o.user_id = u.id) ORDER BY id"),
+            names(driver, "SELECT name FROM users u WHERE NOT EXISTS (SELECT * FROM orders o WHERE o.user_id = u.id)"),
+            driver.query("SELECT name, (SELECT MAX(total) FROM orders o WHERE o.user_id = u.id) AS most FROM users u ORDER BY id"),
+            names(driver, "SELECT name FROM users WHERE id = (SELECT user_id FROM orders WHERE total = 9)")
+        ]);
+    }).then(([exists, notExists, scalar, equal]) => {
+        assert.deepStrictEqual(exists, ['Ann', 'Bob']);
+        assert.deepStrictEqual(notExists, ['Cid']);
+        assert.deepStrictEqual(scalar, [{ name: 'Ann', most: 7 }, { name: 'Bob', most: 9 }, { name: 'Cid', most: null }]);
+        assert.deepStrictEqual(equal, ['Bob']);
+    });
+});
+
+test("A derived table is queried like a table", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT t.user_id, t.spent FROM (SELECT user_id, SUM(total) AS spent FROM orders GROUP BY user_id) AS t WHERE t.spent > 5 ORDER BY t.user_id");
+    }).then(rows => assert.deepStrictEqual(rows, [{ user_id: 1, spent: 12 }, { user_id: 2, spent: 9 }]));
+});
+
+test("A subquery runs once, or once for each different value of the outer columns it uses", () => {
+    return createDriver().then(driver => {
+        let calls = 0;
+        driver.registerFunction('TICK', (value) => {
+            calls++;
+            return value;
+        });
+        return driver.query("SELECT name FROM users WHERE id IN (SELECT user_id FROM orders WHERE TICK(total) > 0)").then(() => {
+            assert.strictEqual(calls, 4);
+            calls = 0;
+            // three users, but only two groups
+            return driver.query("SELECT name, (SELECT COUNT(*) FROM orders o WHERE TICK(o.user_id) = u.grp) AS n FROM users u ORDER BY id");
+        }).then(rows => {
+            assert.deepStrictEqual(rows, [{ name: 'Ann', n: 2 }, { name: 'Bob', n: 2 }, { name: 'Cid', n: 1 }]);
+            assert.strictEqual(calls, 8);
+        });
+    });
+});
+
+test("Subqueries which return the wrong shape, and derived tables without an alias, are rejected", () => {
+    return createDriver().then(driver => {
+        return assert.rejects(driver.query("SELECT name FROM users WHERE id = (SELECT user_id FROM orders)"), err => {
+            assert.ok(err instanceof QueryError);
+            assert.match(err.message, /more than one row/);
+            return true;
+        }).then(() => assert.rejects(driver.query("SELECT name FROM users WHERE id IN (SELECT user_id, total FROM orders)"), err => {
+            assert.ok(err instanceof QueryError);
+            assert.match(err.message, /single column/);
+            return true;
+        })).then(() => assert.rejects(driver.query("SELECT * FROM (SELECT user_id FROM orders)"), SyntaxError));
+    });
+});
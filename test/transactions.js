@@ -0,0 +1,43 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return driver.execute("CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)").then(() => driver);
+}
+
+test("COMMIT resolves with the keys the inserted rows were stored under", () => {
+    return createDriver().then(driver => {
+        let inserted = [];
+        return driver.execute("BEGIN")
+            .then(() => driver.execute("INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b')"))
+            .then(ids => inserted.push(...ids))
+            .then(() => driver.execute("INSERT INTO t (id, name) VALUES (3, 'c')"))
+            .then(ids => inserted.push(...ids))
+            .then(() => driver.execute("UPDATE t SET name = 'x' WHERE id = 1"))
+            .then(() => driver.execute("COMMIT"))
+            .then(keys => {
+                assert.deepStrictEqual(Object.keys(keys).sort(), inserted.slice().sort());
+                let rows = driver.data.tables.t.rows;
+                assert.deepStrictEqual(inserted.map(key => rows[keys[key]]), [
+                    { id: 1, name: 'x' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }
+                ]);
+            });
+    });
+});
+
+test("COMMIT leaves out rows inserted and deleted in the transaction", () => {
+    return createDriver().then(driver => {
+        return driver.execute("BEGIN")
+            .then(() => driver.execute("INSERT INTO t (id, name) VALUES (1, 'a'), (2, 'b')"))
+            .then(() => driver.execute("DELETE FROM t WHERE id = 2"))
+            .then(() => driver.execute("COMMIT", [], { metadata: true }))
+            .then(result => {
+                assert.strictEqual(result.type, 'transaction');
+                assert.strictEqual(Object.keys(result.keys).length, 1);
+                let key = Object.values(result.keys)[0];
+                assert.deepStrictEqual(driver.data.tables.t.rows[key], { id: 1, name: 'a' });
+            });
+    });
+});
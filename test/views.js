@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { SQLError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return ["CREATE TABLE t (id INTEGER)", "INSERT INTO t (id) VALUES (1), (2)"]
+        .reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve())
+        .then(() => driver);
+}
+
+test("CREATE VIEW rejects a view which reads itself", () => {
+    return createDriver().then(driver => {
+        return assert.rejects(driver.execute("CREATE VIEW self AS SELECT * FROM self"), err => {
+            assert.ok(err instanceof SQLError);
+            assert.strictEqual(err.message, "View self refers to itself: self -> self");
+            return true;
+        }).then(() => assert.deepStrictEqual(driver.data.views, {}));
+    });
+});
+
+test("CREATE VIEW rejects a view which reads itself through other views", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE VIEW a AS SELECT * FROM t")
+            .then(() => driver.execute("CREATE VIEW b AS SELECT * FROM a"))
+            .then(() => assert.rejects(driver.execute("CREATE OR REPLACE VIEW a AS SELECT * FROM b"), /View a refers to itself: a -> b -> a/))
+            .then(() => assert.rejects(driver.execute("CREATE OR REPLACE VIEW a AS SELECT * FROM t WHERE id IN (SELECT id FROM b)"), /View a refers to itself: a -> b -> a/))
+            .then(() => driver.query("SELECT * FROM b"))
+            .then(rows => assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]));
+    });
+});
+
+test("A view may be read twice by one query", () => {
+    return createDriver().then(driver => {
+        return driver.execute("CREATE VIEW a AS SELECT * FROM t")
+            .then(() => driver.query("SELECT x.id FROM a x JOIN a y ON x.id = y.id WHERE x.id IN (SELECT id FROM a)"))
+            .then(rows => assert.deepStrictEqual(rows, [{ 'x.id': 1 }, { 'x.id': 2 }]));
+    });
+});
+
+test("A view saved by another process which reads itself directly fails", () => {
+    return createDriver().then(driver => {
+        driver.data.views.z = { sql: "SELECT * FROM (SELECT * FROM z) q", columns: null };
+        return assert.rejects(driver.query("SELECT * FROM z"), err => {
+            assert.ok(err instanceof SQLError);
+            assert.strictEqual(err.message, "View z refers to itself: z -> z");
+            return true;
+        });
+    });
+});
+
+test("A view saved by another process which reads itself through another view fails", () => {
+    return createDriver().then(driver => {
+        driver.data.views.x = { sql: "SELECT * FROM y", columns: null };
+        driver.data.views.y = { sql: "SELECT * FROM t WHERE id IN (SELECT id FROM x)", columns: null };
+        return assert.rejects(driver.query("SELECT * FROM x"), err => {
+            assert.ok(err instanceof SQLError);
+            assert.strictEqual(err.message, "View x refers to itself: x -> y -> x");
+            return true;
+        });
+    });
+});
@@ -0,0 +1,81 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, price INTEGER, qty INTEGER)",
+        "INSERT INTO items (id, name, price, qty) VALUES (1, 'apple', 10, 5), (2, 'pear', 20, 10), (3, 'plum', 30, NULL), (4, NULL, NULL, 1)",
+        "CREATE TABLE tags (item_id INTEGER, tag TEXT)",
+        "INSERT INTO tags (item_id, tag) VALUES (1, 'red'), (2, 'green'), (3, 'red')"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+function ids(driver, where) {
+    return driver.query("SELECT id FROM items WHERE " + where + " ORDER BY id").then(rows => rows.map(row => row.id));
+}
+
+test("OR, NOT and parentheses combine conditions", () => {
+    return createDriver().then(driver => {
+        return ids(driver, "price = 10 OR price = 30").then(found => {
+            assert.deepStrictEqual(found, [1, 3]);
+            return ids(driver, "NOT price = 10");
+        }).then(found => {
+            assert.deepStrictEqual(found, [2, 3]);
+            return ids(driver, "(price = 10 OR price = 20) AND qty > 5");
+        }).then(found => {
+            assert.deepStrictEqual(found, [2]);
+            return ids(driver, "price = 10 OR price = 20 AND qty > 5");
+        }).then(found => assert.deepStrictEqual(found, [1, 2]));
+    });
+});
+
+test("IN, BETWEEN, LIKE and IS NULL, and their negations, match rows", () => {
+    return createDriver().then(driver => {
+        return Promise.all([
+            ids(driver, "price IN (10, 30)"),
+            ids(driver, "price NOT IN (10, 30)"),
+            ids(driver, "price BETWEEN 15 AND 30"),
+            ids(driver, "price NOT BETWEEN 15 AND 30"),
+            ids(driver, "name LIKE 'p%'"),
+            ids(driver, "name NOT LIKE 'p%'"),
+            ids(driver, "price IS NULL"),
+            ids(driver, "price IS NOT NULL")
+        ]).then(found => assert.deepStrictEqual(found, [[1, 3], [2], [2, 3], [1], [2, 3], [1], [4], [1, 2, 3]]));
+    });
+});
+
+test("Arithmetic and concatenation are evaluated in conditions", () => {
+    return createDriver().then(driver => {
+        return ids(driver, "price * qty > 100").then(found => {
+            assert.deepStrictEqual(found, [2]);
+            return ids(driver, "price / 10 + 1 = 3 OR price % 20 = 10 AND price - 5 = 5");
+        }).then(found => {
+            assert.deepStrictEqual(found, [1, 2]);
+            return ids(driver, "name || '!' = 'pear!'");
+        }).then(found => assert.deepStrictEqual(found, [2]));
+    });
+});
+
+test("Conditions on NULL follow three-valued logic", () => {
+    return createDriver().then(driver => {
+        return Promise.all([
+            // qty > 1 is unknown for plum and its negation is too, so plum matches neither
+            ids(driver, "qty > 1"),
+            ids(driver, "NOT qty > 1"),
+            ids(driver, "qty = NULL OR qty <> NULL"),
+            // unknown OR true is true, unknown AND false is false
+            ids(driver, "qty > 1 OR price = 30"),
+            ids(driver, "NOT (qty > 1 AND price = 10)"),
+            ids(driver, "price NOT IN (10, NULL)"),
+            ids(driver, "price IN (10, NULL)")
+        ]).then(found => assert.deepStrictEqual(found, [[1, 2], [4], [], [1, 2, 3], [2, 3, 4], [], [1]]));
+    });
+});
+
+test("Parenthesised conditions of a join compare the columns of their tables", () => {
+    return createDriver().then(driver => {
+        return driver.query("SELECT items.name, tags.tag FROM items JOIN tags ON items.id = tags.item_id WHERE (tags.tag = 'red' AND (items.price > 15 OR items.qty = 5)) ORDER BY items.id");
+    }).then(rows => assert.deepStrictEqual(rows, [{ 'items.name': 'apple', 'tags.tag': 'red' }, { 'items.name': 'plum', 'tags.tag': 'red' }]));
+});
@@ -0,0 +1,62 @@
+var test = require('node:test');
+var assert = require('assert');
+var { MemoryDriver } = require('../lib/memory');
+var { QueryError } = require('../lib/errors');
+
+function createDriver() {
+    let driver = new MemoryDriver();
+    return [
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, visits INTEGER DEFAULT 0, score FLOAT)",
+        "CREATE TABLE archive (id INTEGER, name TEXT, total INTEGER DEFAULT 1)",
+        "INSERT INTO users (id, name, visits, score) VALUES (1, 'Ann', 2, 1.5), (2, 'Bob', 5, 2)"
+    ].reduce((previous, sql) => previous.then(() => driver.execute(sql)), Promise.resolve()).then(() => driver);
+}
+
+test("UPDATE SET expressions are worked out from each row's values before the update", () => {
+    return createDriver().then(driver => {
+        return driver.execute("UPDATE users SET visits = visits + 1, score = score * visits, name = name || '!' WHERE id = 1").then(() => {
+            return driver.query("SELECT * FROM users ORDER BY id");
+        });
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ id: 1, name: 'Ann!', visits: 3, score: 3 }, { id: 2, name: 'Bob', visits: 5, score: 2 }]);
+    });
+});
+
+test("INSERT ... SELECT inserts the rows selected", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO archive (id, name, total) SELECT id, UPPER(name), visits * 10 FROM users WHERE visits > 2").then(() => {
+            return driver.execute("INSERT INTO archive (name, id) SELECT name, id + 10 FROM users WHERE id = 1");
+        }).then(() => driver.query("SELECT * FROM archive ORDER BY id"));
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ id: 2, name: 'BOB', total: 50 }, { id: 11, name: 'Ann', total: 1 }]);
+    });
+});
+
+test("Without a column list the values are for every column, in order", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO users VALUES (3, 'Cid', 9, 0.5)").then(() => {
+            return driver.execute("INSERT INTO archive SELECT id, name, visits FROM users WHERE id = 3");
+        }).then(() => Promise.all([driver.query("SELECT * FROM users WHERE id = 3"), driver.query("SELECT * FROM archive")])).then(([users, archive]) => {
+            assert.deepStrictEqual(users, [{ id: 3, name: 'Cid', visits: 9, score: 0.5 }]);
+            assert.deepStrictEqual(archive, [{ id: 3, name: 'Cid', total: 9 }]);
+            return assert.rejects(driver.execute("INSERT INTO users VALUES (5, 'Eve')"), err => {
+                assert.ok(err instanceof QueryError);
+                assert.match(err.message, /4 columns but 2 values/);
+                return true;
+            });
+        });
+    });
+});
+
+test("DEFAULT VALUES inserts a row of the column defaults", () => {
+    return createDriver().then(driver => {
+        return driver.execute("INSERT INTO archive DEFAULT VALUES").then(() => driver.query("SELECT * FROM archive"));
+    }).then(rows => assert.deepStrictEqual(rows, [{ id: null, name: null, total: 1 }]));
+});
+
+test("INSERT ... SELECT into a table with no known definition inserts the selected columns by name", () => {
+    return createDriver().then(driver => {
+        driver.data.tables.log = { definition: null, rows: {}, nextKey: 1, indexes: {} };
+        return driver.execute("INSERT INTO log SELECT id, name AS who FROM users WHERE id = 2").then(() => driver.query("SELECT * FROM log"));
+    }).then(rows => assert.deepStrictEqual(rows, [{ id: 2, who: 'Bob' }]));
+});